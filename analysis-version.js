@@ -0,0 +1,45 @@
+/**
+ * ANALYSIS VERSION REGISTRY
+ * Every feature payload is stamped with `analysis_version`. Bump CURRENT (and
+ * add a registry entry) whenever extractor output changes; cached results and
+ * stored trackMatrix entries from any other version are then treated as stale
+ * and picked up by scripts/reanalyze-stale.js.
+ */
+
+const ANALYSIS_VERSIONS = {
+  '2.1-beta5': { extractor: 'mock', description: 'Math.random() placeholder features (no audio decoded)' },
+  '3.0.0': {
+    extractor: 'essentia.js',
+    description: 'Essentia.js extraction: rhythm, EDMA key + Camelot, R128 loudness, emb-v1 vector',
+    embedding: 'emb-v1'
+  },
+  '3.1.0': {
+    extractor: 'essentia.js',
+    description: '3.0.0 + chroma fingerprint for recording de-duplication',
+    embedding: 'emb-v1',
+    fingerprint: 'fp-v1'
+  }
+};
+
+const CURRENT_ANALYSIS_VERSION = '3.1.0';
+
+function isCurrentAnalysis(features) {
+  return !!features && features.analysis_version === CURRENT_ANALYSIS_VERSION;
+}
+
+// Mongo filter matching documents whose version field (dotted path) is missing or not current
+function staleVersionFilter(path) {
+  return { $or: [{ [path]: { $exists: false } }, { [path]: { $ne: CURRENT_ANALYSIS_VERSION } }] };
+}
+
+function describeVersion(version) {
+  return ANALYSIS_VERSIONS[version] ? { version, ...ANALYSIS_VERSIONS[version] } : { version: version || null, extractor: 'unknown' };
+}
+
+module.exports = {
+  ANALYSIS_VERSIONS,
+  CURRENT_ANALYSIS_VERSION,
+  isCurrentAnalysis,
+  staleVersionFilter,
+  describeVersion
+};
@@ -0,0 +1,77 @@
+/**
+ * APPLE STOREFRONTS
+ * iTunes Search API calls across an ordered list of storefronts (`country`).
+ * Catalogs differ per country (many Russian artists exist only in the RU
+ * storefront), so a search tries the storefronts in order and stops at the
+ * first whose results the caller can use. Configured with APPLE_STOREFRONTS,
+ * the Apple counterpart of SPOTIFY_PREVIEW_MARKETS.
+ * Every storefront tried is one request against the shared iTunes budget
+ * (~20/min), so only the US storefront is searched unless more are opted into,
+ * and an artist run moves the storefront that found its tracks to the front.
+ */
+
+const { upstreamFetch } = require('./rate-limiter');
+
+const DEFAULT_STOREFRONTS = ['us'];
+
+// Ordered, de-duplicated two-letter storefront codes from a comma-separated value
+function parseStorefronts(value, fallback = DEFAULT_STOREFRONTS) {
+  const codes = String(value || '')
+    .split(',')
+    .map(code => code.trim().toLowerCase())
+    .filter(code => /^[a-z]{2}$/.test(code));
+  return codes.length ? [...new Set(codes)] : [...fallback];
+}
+
+// The order with storefront first: later searches for the same artist usually hit where the last one did
+function preferStorefront(order, storefront) {
+  if (!storefront || order[0] === storefront || !order.includes(storefront)) return order;
+  return [storefront, ...order.filter(code => code !== storefront)];
+}
+
+/**
+ * @param {{ fetch: Function, storefronts?: string[] }} opts fetch(url) -> Response (the rate-limited iTunes fetch)
+ */
+function createAppleSearch({ fetch, storefronts = DEFAULT_STOREFRONTS }) {
+  return {
+    storefronts,
+
+    /**
+     * @param {object} params iTunes Search query parameters (term, entity, limit...)
+     * @param {{ storefronts?: string[], usable?: Function }} opts usable(results) decides whether a storefront answered
+     *   (default: any result)
+     * @returns {Promise<{ results: object[], storefront: string|null, tried: string[] }>} the first usable storefront's
+     *   results; when none is usable, the first storefront's results with storefront null
+     */
+    async search(params, { storefronts: order = storefronts, usable = results => results.length > 0 } = {}) {
+      const tried = [];
+      let fallback = null;
+      for (const country of order) {
+        const query = new URLSearchParams({ ...params, country }).toString();
+        const response = await fetch(`https://itunes.apple.com/search?${query}`);
+        tried.push(country);
+        if (!response.ok) continue;
+        const data = await response.json();
+        const results = data.results || [];
+        if (usable(results)) return { results, storefront: country, tried };
+        if (!fallback) fallback = results;
+      }
+      return { results: fallback || [], storefront: null, tried };
+    }
+  };
+}
+
+// Process-wide instance over the shared iTunes rate limiter
+const appleSearch = createAppleSearch({
+  fetch: url => upstreamFetch('itunes', url),
+  storefronts: parseStorefronts(process.env.APPLE_STOREFRONTS)
+});
+
+module.exports = {
+  DEFAULT_STOREFRONTS,
+  parseStorefronts,
+  preferStorefront,
+  createAppleSearch,
+  APPLE_STOREFRONTS: appleSearch.storefronts,
+  searchItunes: appleSearch.search
+};
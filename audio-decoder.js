@@ -0,0 +1,267 @@
+/**
+ * PREVIEW AUDIO DECODING
+ * Turns preview bytes (Apple AAC/M4A, Deezer/Spotify MP3, WAV) into mono
+ * Float32 PCM at a fixed sample rate. Pure JS + WASM decoders only, so it
+ * runs on a plain dyno without an ffmpeg binary.
+ */
+
+const DEFAULT_SAMPLE_RATE = 44100;
+
+class AudioDecodeError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'AudioDecodeError';
+    this.code = code; // unsupported_format | decode_failed | empty_audio
+    Object.assign(this, details);
+  }
+}
+
+function ascii(bytes, start, end) {
+  return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+// Identify container/codec from magic bytes
+function detectContainer(bytes) {
+  if (!bytes || bytes.length < 12) return 'unknown';
+  if (ascii(bytes, 0, 3) === 'ID3') return 'mp3';
+  if (ascii(bytes, 4, 8) === 'ftyp') return 'm4a';
+  if (ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WAVE') return 'wav';
+  if (ascii(bytes, 0, 4) === 'OggS') return 'ogg';
+  if (ascii(bytes, 0, 4) === 'fLaC') return 'flac';
+  if (bytes[0] === 0xFF && (bytes[1] & 0xE0) === 0xE0) {
+    const layer = (bytes[1] >> 1) & 0x03;
+    // ADTS frames carry layer bits 00; MPEG audio layer III is 01
+    if (layer === 0 && (bytes[1] & 0xF0) === 0xF0) return 'aac';
+    if (layer !== 0) return 'mp3';
+  }
+  const head = ascii(bytes, 0, Math.min(bytes.length, 64)).trim().toLowerCase();
+  if (head.startsWith('<') || head.startsWith('{')) return 'text';
+  return 'unknown';
+}
+
+// Minimal PCM/float WAV reader (fmt 1 / 3, 8-32 bit)
+function decodeWav(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 12;
+  let fmt = null;
+  while (offset + 8 <= bytes.length) {
+    const id = ascii(bytes, offset, offset + 4);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      fmt = {
+        format: view.getUint16(body, true),
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true)
+      };
+    } else if (id === 'data') {
+      if (!fmt) throw new AudioDecodeError('WAV data chunk before fmt chunk', 'decode_failed');
+      const { format, channels, bitsPerSample } = fmt;
+      const bytesPerSample = bitsPerSample / 8;
+      const end = Math.min(body + size, bytes.length);
+      const frames = Math.floor((end - body) / (bytesPerSample * channels));
+      const channelData = Array.from({ length: channels }, () => new Float32Array(frames));
+      for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < channels; c++) {
+          const p = body + (i * channels + c) * bytesPerSample;
+          let v;
+          if (format === 3 && bitsPerSample === 32) v = view.getFloat32(p, true);
+          else if (bitsPerSample === 8) v = (view.getUint8(p) - 128) / 128;
+          else if (bitsPerSample === 16) v = view.getInt16(p, true) / 32768;
+          else if (bitsPerSample === 24) v = (((view.getInt8(p + 2) << 16) | (view.getUint8(p + 1) << 8) | view.getUint8(p))) / 8388608;
+          else if (bitsPerSample === 32) v = view.getInt32(p, true) / 2147483648;
+          else throw new AudioDecodeError(`Unsupported WAV sample format (fmt=${format}, bits=${bitsPerSample})`, 'unsupported_format');
+          channelData[c][i] = v;
+        }
+      }
+      return { channelData, sampleRate: fmt.sampleRate };
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new AudioDecodeError('WAV file has no data chunk', 'decode_failed');
+}
+
+// ---- Analysis window ----
+// Full-length streams (Bandcamp tracks, 2 minute Beatport samples) are cut to a preview-sized window from the
+// middle of the track: MP3 on frame boundaries before decoding, other containers after decoding
+
+const MP3_BITRATES_KBPS = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+const MP3_SYNC_SCAN_BYTES = 64 * 1024; // junk tolerated before the first frame
+
+// MPEG audio layer III frame header at offset: { length, seconds }, or null
+function mp3FrameAt(bytes, offset) {
+  if (offset + 4 > bytes.length || bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) return null;
+  const version = (bytes[offset + 1] >> 3) & 0x03; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+  const layer = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const rateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+  const mpeg1 = version === 3;
+  const sampleRate = MP3_SAMPLE_RATES[rateIndex] / (mpeg1 ? 1 : version === 2 ? 2 : 4);
+  const samples = mpeg1 ? 1152 : 576;
+  const bitrate = MP3_BITRATES_KBPS[mpeg1 ? 'mpeg1' : 'mpeg2'][bitrateIndex] * 1000;
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+  return { length: Math.floor(((samples / 8) * bitrate) / sampleRate) + padding, seconds: samples / sampleRate };
+}
+
+function id3v2Length(bytes) {
+  if (bytes.length < 10 || ascii(bytes, 0, 3) !== 'ID3') return 0;
+  const size = ((bytes[6] & 0x7F) << 21) | ((bytes[7] & 0x7F) << 14) | ((bytes[8] & 0x7F) << 7) | (bytes[9] & 0x7F);
+  return 10 + size + (bytes[5] & 0x10 ? 10 : 0);
+}
+
+/**
+ * The frames of an MP3 stream covering maxSeconds from its middle. A stream that is already short enough,
+ * or whose frames cannot be walked, comes back unchanged (cropped false).
+ * @returns {{ bytes: Uint8Array, cropped: boolean, offsetSeconds?: number, sourceDuration?: number }}
+ */
+function cropMp3(bytes, maxSeconds) {
+  const starts = [];
+  let offset = id3v2Length(bytes);
+  const scanLimit = offset + MP3_SYNC_SCAN_BYTES;
+  while (offset < scanLimit && offset < bytes.length && !mp3FrameAt(bytes, offset)) offset++;
+  let duration = 0;
+  for (let frame = mp3FrameAt(bytes, offset); frame && offset + frame.length <= bytes.length; frame = mp3FrameAt(bytes, offset)) {
+    starts.push({ offset, time: duration });
+    offset += frame.length;
+    duration += frame.seconds;
+  }
+  if (starts.length === 0 || duration <= maxSeconds) return { bytes, cropped: false };
+  const from = (duration - maxSeconds) / 2;
+  const first = starts.findIndex(f => f.time >= from);
+  const last = starts.findIndex(f => f.time >= from + maxSeconds);
+  const end = last === -1 ? offset : starts[last].offset;
+  return { bytes: bytes.subarray(starts[first].offset, end), cropped: true, offsetSeconds: starts[first].time, sourceDuration: duration };
+}
+
+// maxSeconds from the middle of decoded channels (copied, so the full decode can be collected)
+function cropChannels(channelData, sampleRate, maxSeconds) {
+  const window = Math.round(maxSeconds * sampleRate);
+  const length = Math.min(...channelData.map(ch => ch.length));
+  if (length <= window) return null;
+  const start = Math.floor((length - window) / 2);
+  return { channelData: channelData.map(ch => ch.slice(start, start + window)), offsetSeconds: start / sampleRate, sourceDuration: length / sampleRate };
+}
+
+async function decodeCompressed(container, bytes) {
+  const mod = container === 'mp3'
+    ? await import('@audio/decode-mp3')
+    : await import('@audio/decode-aac'); // handles both M4A containers and raw ADTS
+  return mod.default(bytes);
+}
+
+function downmix(channelData) {
+  if (channelData.length === 1) return channelData[0];
+  const length = Math.min(...channelData.map(ch => ch.length));
+  const mono = new Float32Array(length);
+  for (const ch of channelData) {
+    for (let i = 0; i < length; i++) mono[i] += ch[i];
+  }
+  for (let i = 0; i < length; i++) mono[i] /= channelData.length;
+  return mono;
+}
+
+// Windowed-sinc resampler (Hann window, cutoff at the lower Nyquist)
+function resample(signal, fromRate, toRate, halfWidth = 8) {
+  if (fromRate === toRate) return signal;
+  const ratio = toRate / fromRate;
+  const cutoff = Math.min(1, ratio);
+  const outLength = Math.floor(signal.length * ratio);
+  const out = new Float32Array(outLength);
+  const taps = Math.ceil(halfWidth / cutoff);
+  for (let n = 0; n < outLength; n++) {
+    const center = n / ratio;
+    const first = Math.max(0, Math.floor(center) - taps + 1);
+    const last = Math.min(signal.length - 1, Math.floor(center) + taps);
+    let acc = 0;
+    let norm = 0;
+    for (let k = first; k <= last; k++) {
+      const x = k - center;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x * cutoff) / (Math.PI * x * cutoff);
+      const w = 0.5 + 0.5 * Math.cos((Math.PI * x) / (taps + 1));
+      const weight = sinc * w;
+      acc += signal[k] * weight;
+      norm += weight;
+    }
+    out[n] = norm !== 0 ? acc / norm : 0;
+  }
+  return out;
+}
+
+/**
+ * Decode preview bytes to mono PCM.
+ * @param {Buffer|Uint8Array} input
+ * @param {{ sampleRate?: number, keepChannels?: boolean, maxSeconds?: number }} [opts] keepChannels also returns per-channel PCM
+ *   (for loudness metering); maxSeconds keeps only that much audio from the middle of longer input
+ * @returns {Promise<{ signal: Float32Array, sampleRate: number, container: string, sourceSampleRate: number, channels: number, duration: number, channelData?: Float32Array[], window?: { offsetSeconds: number, sourceDuration: number } }>}
+ */
+async function decodeAudioBuffer(input, opts = {}) {
+  const targetRate = opts.sampleRate || DEFAULT_SAMPLE_RATE;
+  let bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (bytes.length === 0) throw new AudioDecodeError('Audio buffer is empty', 'empty_audio');
+  const container = detectContainer(bytes);
+  let window = null;
+  if (opts.maxSeconds && container === 'mp3') {
+    const crop = cropMp3(bytes, opts.maxSeconds);
+    if (crop.cropped) {
+      bytes = crop.bytes;
+      window = { offsetSeconds: crop.offsetSeconds, sourceDuration: crop.sourceDuration };
+    }
+  }
+
+  let decoded;
+  try {
+    if (container === 'wav') decoded = decodeWav(bytes);
+    else if (container === 'mp3' || container === 'm4a' || container === 'aac') decoded = await decodeCompressed(container, bytes);
+    else {
+      const hint = container === 'text' ? ' (server returned text/HTML, not audio)' : '';
+      throw new AudioDecodeError(`Unsupported audio format: ${container}${hint}`, 'unsupported_format', { container });
+    }
+  } catch (e) {
+    if (e instanceof AudioDecodeError) throw e;
+    throw new AudioDecodeError(`Failed to decode ${container} audio: ${e.message}`, 'decode_failed', { container });
+  }
+
+  let { channelData, sampleRate } = decoded || {};
+  if (!channelData || channelData.length === 0 || !channelData[0] || channelData[0].length === 0 || !sampleRate) {
+    throw new AudioDecodeError(`Decoder produced no ${container} samples`, 'empty_audio', { container });
+  }
+  const decodedWindow = opts.maxSeconds ? cropChannels(channelData, sampleRate, opts.maxSeconds) : null;
+  if (decodedWindow) {
+    channelData = decodedWindow.channelData;
+    window = window
+      ? { offsetSeconds: window.offsetSeconds + decodedWindow.offsetSeconds, sourceDuration: window.sourceDuration }
+      : { offsetSeconds: decodedWindow.offsetSeconds, sourceDuration: decodedWindow.sourceDuration };
+  }
+  const mono = downmix(channelData);
+  const signal = resample(mono, sampleRate, targetRate);
+  const out = {
+    signal,
+    sampleRate: targetRate,
+    container,
+    sourceSampleRate: sampleRate,
+    channels: channelData.length,
+    duration: signal.length / targetRate,
+    ...(window ? { window } : {})
+  };
+  if (opts.keepChannels) {
+    out.channelData = channelData.length === 1 ? [signal] : channelData.map(ch => resample(ch, sampleRate, targetRate));
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_SAMPLE_RATE,
+  AudioDecodeError,
+  detectContainer,
+  cropMp3,
+  decodeWav,
+  downmix,
+  resample,
+  decodeAudioBuffer
+};
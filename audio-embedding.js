@@ -0,0 +1,80 @@
+/**
+ * AUDIO EMBEDDING
+ * Deterministic fixed-length track vector built from Essentia clip statistics.
+ * Stored as `features.vector` (tagged with `features.vector_version`) on
+ * audio_features and every trackMatrix entry; compare with cosineSimilarity.
+ *
+ * emb-v1 layout (52 dims):
+ *   [0-11]  MFCC mean, c1..c12 (c0 dropped: it tracks level, not timbre)
+ *   [12-23] MFCC standard deviation, c1..c12 (diagonal of the covariance)
+ *   [24-35] HPCP chroma profile, 12 pitch classes from A
+ *   [36-41] spectral contrast, 6 bands
+ *   [42-47] spectral valley, 6 bands
+ *   [48-51] rhythm: tempo, rhythm strength, danceability, energy
+ * Each timbral/tonal block is mean-centred and unit-normalised so it encodes
+ * shape rather than level, then weighted; the rhythm block is offset against
+ * fixed priors. The full vector is L2-normalised.
+ */
+
+const EMBEDDING_VERSION = 'emb-v1';
+const EMBEDDING_DIMS = 52;
+
+const BLOCK_WEIGHTS = { mfccMean: 1.0, mfccStd: 0.75, chroma: 0.75, contrast: 0.75, valley: 0.5, rhythm: 1.0 };
+
+function l2(values) {
+  return Math.sqrt(values.reduce((s, v) => s + v * v, 0));
+}
+
+// Mean-centre, unit-normalise and weight one block (fixed length, zero-filled)
+function shapeBlock(values, length, weight) {
+  const block = Array.from({ length }, (_, i) => (Number.isFinite(values?.[i]) ? values[i] : 0));
+  const avg = block.reduce((s, v) => s + v, 0) / length;
+  const centred = block.map(v => v - avg);
+  const norm = l2(centred);
+  return centred.map(v => (norm > 0 ? (v / norm) * weight : 0));
+}
+
+function rhythmBlock({ tempo, rhythmStrength, danceability, energy }, weight) {
+  const finite = v => (Number.isFinite(v) ? v : 0);
+  return [
+    (finite(tempo || 120) - 120) / 60,
+    finite(rhythmStrength) - 0.5,
+    finite(danceability) - 0.5,
+    finite(energy) - 0.5
+  ].map(v => Math.max(-1, Math.min(1, v)) * weight);
+}
+
+/**
+ * @param {{ mfccMean: number[], mfccVar: number[], chroma: number[], contrast: number[], valley: number[], tempo: number, rhythmStrength: number, danceability: number, energy: number }} stats
+ * @returns {number[]} EMBEDDING_DIMS-length unit vector
+ */
+function buildEmbedding(stats) {
+  const mfccMean = (stats.mfccMean || []).slice(1, 13);
+  const mfccStd = (stats.mfccVar || []).slice(1, 13).map(v => Math.sqrt(Math.max(0, v)));
+  const vector = [
+    ...shapeBlock(mfccMean, 12, BLOCK_WEIGHTS.mfccMean),
+    ...shapeBlock(mfccStd, 12, BLOCK_WEIGHTS.mfccStd),
+    ...shapeBlock(stats.chroma, 12, BLOCK_WEIGHTS.chroma),
+    ...shapeBlock(stats.contrast, 6, BLOCK_WEIGHTS.contrast),
+    ...shapeBlock(stats.valley, 6, BLOCK_WEIGHTS.valley),
+    ...rhythmBlock(stats, BLOCK_WEIGHTS.rhythm)
+  ];
+  const norm = l2(vector);
+  return vector.map(v => (norm > 0 ? +(v / norm).toFixed(6) : 0));
+}
+
+// Cosine similarity in [-1, 1]; null when vectors are missing or from different layouts
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return null;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  const denom = l2(a) * l2(b);
+  return denom > 0 ? dot / denom : null;
+}
+
+module.exports = {
+  EMBEDDING_VERSION,
+  EMBEDDING_DIMS,
+  buildEmbedding,
+  cosineSimilarity
+};
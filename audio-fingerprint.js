@@ -0,0 +1,140 @@
+/**
+ * ACOUSTIC FINGERPRINT
+ * Chromaprint-style recording fingerprint: a 12-bin chroma image (Essentia
+ * HPCP) is smoothed over time and every frame is reduced to a 32-bit code of
+ * sign comparisons between pitch classes and against earlier frames. Two clips
+ * match when some time alignment makes most bits agree, so previews of the
+ * same recording from Apple, Deezer or Spotify (different codecs, offsets and
+ * levels) collapse to one analysis as long as the clips overlap.
+ */
+
+const { createWasmScope, withWasmScope } = require('./wasm-scope');
+
+const FINGERPRINT_VERSION = 'fp-v1';
+const FRAME_SIZE = 16384; // ~0.37s window: chroma stays stable across codec and offset differences
+const HOP_SIZE = 2048; // ~46ms at 44.1kHz
+const SMOOTH_FRAMES = 8;
+const TEMPORAL_LAG = 8;
+const MIN_OVERLAP_FRAMES = 96; // ~4.5s of shared audio
+const MATCH_THRESHOLD = 0.88;
+const KEY_SPAN = 16; // frames between the two halves of an index key
+
+// Per-frame 12-bin chroma, L1-normalised (level invariant)
+function chromaImage(e, signal, sampleRate) {
+  const rows = [];
+  withWasmScope(scope => {
+    const frames = scope.keep(e.FrameGenerator(signal, FRAME_SIZE, HOP_SIZE));
+    const frameScope = createWasmScope();
+    for (let i = 0; i < frames.size(); i++) {
+      try {
+        const windowed = frameScope.out(e.Windowing(frameScope.keep(frames.get(i)), true, FRAME_SIZE, 'blackmanharris62')).frame;
+        const spectrum = frameScope.out(e.Spectrum(windowed, FRAME_SIZE)).spectrum;
+        const peaks = frameScope.out(e.SpectralPeaks(spectrum, 0.00001, 3500, 100, 80, 'magnitude', sampleRate));
+        const hpcp = Array.from(e.vectorToArray(frameScope.out(e.HPCP(peaks.frequencies, peaks.magnitudes, true, 500, 0, 3500, false, 80, false, 'none')).hpcp));
+        const sum = hpcp.reduce((s, v) => s + v, 0);
+        rows.push(hpcp.map(v => (sum > 0 ? v / sum : 0)));
+      } finally {
+        frameScope.free();
+      }
+    }
+  });
+  return rows;
+}
+
+function smooth(rows, width) {
+  return rows.map((_, t) => {
+    const from = Math.max(0, t - width + 1);
+    const out = new Array(12).fill(0);
+    for (let k = from; k <= t; k++) for (let b = 0; b < 12; b++) out[b] += rows[k][b];
+    return out.map(v => v / (t - from + 1));
+  });
+}
+
+// 32-bit code per frame: 12 neighbour-bin, 12 temporal and 8 fifth-apart comparisons
+function frameCodes(chroma) {
+  const codes = new Uint32Array(Math.max(0, chroma.length - TEMPORAL_LAG));
+  for (let t = TEMPORAL_LAG; t < chroma.length; t++) {
+    const c = chroma[t];
+    const prev = chroma[t - TEMPORAL_LAG];
+    let code = 0;
+    for (let b = 0; b < 12; b++) code = (code << 1) | (c[b] > c[(b + 1) % 12] ? 1 : 0);
+    for (let b = 0; b < 12; b++) code = (code << 1) | (c[b] > prev[b] ? 1 : 0);
+    for (let b = 0; b < 8; b++) code = (code << 1) | (c[b] > c[(b + 7) % 12] ? 1 : 0);
+    codes[t - TEMPORAL_LAG] = code >>> 0;
+  }
+  return codes;
+}
+
+function popcount(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return (((x + (x >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * @param {object} e Essentia instance
+ * @param {Float32Array} signal mono PCM
+ * @param {number} sampleRate
+ * @returns {Uint32Array} one code per hop
+ */
+function computeFingerprint(e, signal, sampleRate) {
+  return frameCodes(smooth(chromaImage(e, signal, sampleRate), SMOOTH_FRAMES));
+}
+
+function encodeFingerprint(codes) {
+  return Buffer.from(codes.buffer, codes.byteOffset, codes.byteLength).toString('base64');
+}
+
+function decodeFingerprint(encoded) {
+  if (!encoded) return new Uint32Array(0);
+  const buf = Buffer.from(encoded, 'base64');
+  const aligned = new Uint8Array(buf.length - (buf.length % 4));
+  aligned.set(buf.subarray(0, aligned.length));
+  return new Uint32Array(aligned.buffer);
+}
+
+/**
+ * Best bit agreement over all alignments with at least MIN_OVERLAP_FRAMES shared frames.
+ * @returns {{ similarity: number, offsetFrames: number, overlapFrames: number }|null}
+ */
+function compareFingerprints(a, b) {
+  const minOverlap = Math.min(MIN_OVERLAP_FRAMES, a.length, b.length);
+  if (minOverlap < 8) return null;
+  let best = null;
+  for (let offset = -(b.length - minOverlap); offset <= a.length - minOverlap; offset++) {
+    const start = Math.max(0, offset);
+    const end = Math.min(a.length, b.length + offset);
+    const overlap = end - start;
+    if (overlap < minOverlap) continue;
+    let diff = 0;
+    for (let i = start; i < end; i++) diff += popcount((a[i] ^ b[i - offset]) >>> 0);
+    const similarity = 1 - diff / (32 * overlap);
+    if (!best || similarity > best.similarity) best = { similarity: +similarity.toFixed(4), offsetFrames: offset, overlapFrames: overlap };
+  }
+  return best;
+}
+
+function isSameRecording(a, b) {
+  const r = compareFingerprints(a, b);
+  return !!r && r.similarity >= MATCH_THRESHOLD;
+}
+
+// Index keys for candidate lookup: pitch-class bits of a frame joined with those KEY_SPAN frames later
+function fingerprintKeys(codes) {
+  const keys = new Set();
+  for (let t = 0; t + KEY_SPAN < codes.length; t++) {
+    keys.add(((codes[t] >>> 20) << 12) | (codes[t + KEY_SPAN] >>> 20));
+  }
+  return [...keys];
+}
+
+module.exports = {
+  FINGERPRINT_VERSION,
+  MATCH_THRESHOLD,
+  computeFingerprint,
+  encodeFingerprint,
+  decodeFingerprint,
+  compareFingerprints,
+  isSameRecording,
+  fingerprintKeys
+};
@@ -0,0 +1,112 @@
+/**
+ * BATCH STATE
+ * Per-batchId record of a /api/batch run (`batches` collection, in memory when
+ * MongoDB is not configured). Every URL is an item with its own status and
+ * result, written as soon as it finishes, so re-submitting the same batchId
+ * after a crash or timeout only re-runs the items that are not done.
+ */
+
+const ITEM_STATUSES = ['pending', 'running', 'done', 'failed'];
+
+function summarize(items) {
+  const counts = { total: items.length, pending: 0, running: 0, done: 0, failed: 0 };
+  for (const item of items) counts[item.status]++;
+  return counts;
+}
+
+/**
+ * @param {import('mongodb').Collection|null} collection `batches`, or null for an in-memory store
+ */
+function createBatchStore(collection) {
+  const memory = new Map();
+
+  async function load(batchId) {
+    if (collection) return collection.findOne({ batchId }, { projection: { _id: 0 } });
+    const batch = memory.get(batchId);
+    return batch ? structuredClone(batch) : null;
+  }
+
+  async function write(batch) {
+    batch.updatedAt = new Date();
+    if (collection) await collection.replaceOne({ batchId: batch.batchId }, batch, { upsert: true });
+    else memory.set(batch.batchId, structuredClone(batch));
+  }
+
+  return {
+    persistent: !!collection,
+
+    get: load,
+
+    // Create the batch, or reopen it: URLs already in it keep their state, new URLs are appended as pending
+    async open(batchId, audioUrls, correlationId) {
+      const now = new Date();
+      const batch = (await load(batchId)) || { batchId, items: [], createdAt: now, runs: 0 };
+      const known = new Set(batch.items.map(item => item.audioUrl));
+      for (const audioUrl of audioUrls) {
+        if (known.has(audioUrl)) continue;
+        known.add(audioUrl);
+        batch.items.push({ index: batch.items.length, audioUrl, status: 'pending', attempts: 0, features: null, error: null, finishedAt: null });
+      }
+      batch.status = 'running';
+      batch.runs = (batch.runs || 0) + 1;
+      batch.correlationId = correlationId;
+      batch.counts = summarize(batch.items);
+      await write(batch);
+      return batch;
+    },
+
+    async updateItem(batchId, index, fields) {
+      if (collection) {
+        const set = { updatedAt: new Date() };
+        for (const [key, value] of Object.entries(fields)) set[`items.${index}.${key}`] = value;
+        await collection.updateOne({ batchId }, { $set: set });
+        return;
+      }
+      const batch = memory.get(batchId);
+      if (!batch) return;
+      Object.assign(batch.items[index], structuredClone(fields));
+      batch.updatedAt = new Date();
+    },
+
+    async finish(batchId) {
+      const batch = await load(batchId);
+      if (!batch) return null;
+      batch.counts = summarize(batch.items);
+      batch.status = batch.counts.failed > 0 ? 'completed_with_errors' : 'completed';
+      batch.finishedAt = new Date();
+      await write(batch);
+      return batch;
+    }
+  };
+}
+
+// GET /api/batch/:batchId shape; features only when asked for (they dominate the payload)
+function describeBatch(batch, { includeResults = false } = {}) {
+  const counts = summarize(batch.items);
+  return {
+    batchId: batch.batchId,
+    status: batch.status,
+    ...counts,
+    progress: counts.total ? +((counts.done + counts.failed) / counts.total).toFixed(3) : 1,
+    runs: batch.runs,
+    items: batch.items.map(item => ({
+      index: item.index,
+      audioUrl: item.audioUrl,
+      status: item.status,
+      attempts: item.attempts,
+      ...(item.error ? { error: item.error } : {}),
+      ...(includeResults && item.features ? { features: item.features } : {}),
+      finishedAt: item.finishedAt
+    })),
+    correlationId: batch.correlationId,
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt,
+    finishedAt: batch.finishedAt || null
+  };
+}
+
+module.exports = {
+  ITEM_STATUSES,
+  createBatchStore,
+  describeBatch
+};
@@ -0,0 +1,107 @@
+/**
+ * BEAT GRID
+ * Derives downbeats, a phrase-length estimate and a tempo-stability score
+ * from Essentia RhythmExtractor2013 beat ticks. Assumes 4/4 (dance music).
+ */
+
+const BEATS_PER_BAR = 4;
+const PHRASE_CANDIDATES = [4, 8, 16];
+const DEFAULT_BARS_PER_PHRASE = 8;
+
+function round3(v) {
+  return Math.round(v * 1000) / 1000;
+}
+
+// Low-band (kick/bass) energy in a short window after each beat
+function beatAccents(ticks, signal, sampleRate, windowSec = 0.07) {
+  const alpha = 1 - Math.exp((-2 * Math.PI * 150) / sampleRate); // one-pole low-pass at ~150Hz
+  const win = Math.max(1, Math.round(windowSec * sampleRate));
+  return ticks.map(t => {
+    const start = Math.max(0, Math.round(t * sampleRate));
+    const end = Math.min(signal.length, start + win);
+    let y = 0;
+    let energy = 0;
+    for (let i = start; i < end; i++) {
+      y += alpha * (signal[i] - y);
+      energy += y * y;
+    }
+    return end > start ? energy / (end - start) : 0;
+  });
+}
+
+// Pick the beat phase (0-3) whose beats carry the strongest accents
+function estimateDownbeatPhase(accents) {
+  const sums = new Array(BEATS_PER_BAR).fill(0);
+  const counts = new Array(BEATS_PER_BAR).fill(0);
+  accents.forEach((a, i) => { sums[i % BEATS_PER_BAR] += a; counts[i % BEATS_PER_BAR]++; });
+  const means = sums.map((s, i) => (counts[i] ? s / counts[i] : 0));
+  const phase = means.indexOf(Math.max(...means));
+  const total = means.reduce((s, v) => s + v, 0);
+  return { phase, confidence: total > 0 ? round3(means[phase] / total) : 0 };
+}
+
+// Phrase length in bars: the period whose boundaries line up with the largest bar-to-bar energy changes
+function estimateBarsPerPhrase(barEnergies) {
+  const novelty = barEnergies.slice(1).map((e, i) => Math.abs(e - barEnergies[i]));
+  if (novelty.length < PHRASE_CANDIDATES[0] + 1) return DEFAULT_BARS_PER_PHRASE;
+  const overall = novelty.reduce((s, v) => s + v, 0) / novelty.length;
+  if (overall === 0) return DEFAULT_BARS_PER_PHRASE;
+  let best = DEFAULT_BARS_PER_PHRASE;
+  let bestScore = 0;
+  for (const period of PHRASE_CANDIDATES) {
+    if (novelty.length < period + 1) continue;
+    let phaseScore = 0;
+    for (let offset = 0; offset < period; offset++) {
+      const hits = novelty.filter((_, i) => (i + 1 - offset) % period === 0);
+      if (hits.length < 2) continue;
+      phaseScore = Math.max(phaseScore, hits.reduce((s, v) => s + v, 0) / hits.length);
+    }
+    const score = phaseScore / overall;
+    if (score > bestScore * 1.1) { best = period; bestScore = score; }
+  }
+  return best;
+}
+
+// 1 = perfectly steady inter-beat intervals, 0 = >=20% variation
+function tempoStability(ticks) {
+  if (ticks.length < 3) return 0;
+  const intervals = ticks.slice(1).map((t, i) => t - ticks[i]);
+  const avg = intervals.reduce((s, v) => s + v, 0) / intervals.length;
+  if (avg <= 0) return 0;
+  const sd = Math.sqrt(intervals.reduce((s, v) => s + (v - avg) * (v - avg), 0) / intervals.length);
+  return round3(Math.max(0, Math.min(1, 1 - (sd / avg) / 0.2)));
+}
+
+/**
+ * @param {{ bpm: number, ticks: number[], confidence: number }} rhythm beat ticks in seconds
+ * @param {Float32Array} signal mono PCM the ticks were extracted from
+ * @param {number} sampleRate
+ */
+function buildBeatGrid(rhythm, signal, sampleRate) {
+  const ticks = Array.from(rhythm.ticks || []);
+  const accents = beatAccents(ticks, signal, sampleRate);
+  const { phase, confidence: downbeatConfidence } = estimateDownbeatPhase(accents);
+  const downbeats = ticks.filter((_, i) => i >= phase && (i - phase) % BEATS_PER_BAR === 0);
+  const barEnergies = [];
+  for (let i = phase; i + BEATS_PER_BAR <= accents.length; i += BEATS_PER_BAR) {
+    barEnergies.push(accents.slice(i, i + BEATS_PER_BAR).reduce((s, v) => s + v, 0));
+  }
+  return {
+    bpm: rhythm.bpm,
+    beats: ticks.map(round3),
+    downbeats: downbeats.map(round3),
+    beats_per_bar: BEATS_PER_BAR,
+    bars_per_phrase: estimateBarsPerPhrase(barEnergies),
+    downbeat_confidence: downbeatConfidence,
+    tempo_stability: tempoStability(ticks),
+    tempo_confidence: round3(Math.max(0, Math.min(1, (rhythm.confidence || 0) / 5.32)))
+  };
+}
+
+module.exports = {
+  BEATS_PER_BAR,
+  estimateDownbeatPhase,
+  estimateBarsPerPhrase,
+  tempoStability,
+  buildBeatGrid
+};
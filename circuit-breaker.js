@@ -0,0 +1,107 @@
+/**
+ * CIRCUIT BREAKERS
+ * One breaker per upstream provider. After `failureThreshold` consecutive
+ * failures (network errors, timeouts, 5xx) the breaker opens and calls to that
+ * provider are refused at once instead of each waiting to fail. After
+ * `cooldownMs` it lets a single probe through (half-open): success closes it,
+ * failure re-opens it for another cooldown.
+ */
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_MS = 30000;
+
+class ProviderUnavailableError extends Error {
+  constructor(provider, retryInMs) {
+    super(`${provider} circuit open; skipping for ${Math.ceil(retryInMs / 1000)}s`);
+    this.name = 'ProviderUnavailableError';
+    this.code = 'PROVIDER_UNAVAILABLE';
+    this.provider = provider;
+    this.retryInMs = retryInMs;
+  }
+}
+
+/**
+ * @param {string} name provider label
+ * @param {{ failureThreshold?: number, cooldownMs?: number, now?: Function }} opts
+ */
+function createCircuitBreaker(name, { failureThreshold = DEFAULT_FAILURE_THRESHOLD, cooldownMs = DEFAULT_COOLDOWN_MS, now = Date.now } = {}) {
+  const counters = { failures: 0, successes: 0, rejected: 0, opened: 0 };
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let probeInFlight = false;
+  let lastError = null;
+
+  function currentState() {
+    if (state === 'open' && now() - openedAt >= cooldownMs) {
+      state = 'half_open';
+      probeInFlight = false;
+    }
+    return state;
+  }
+
+  function open() {
+    state = 'open';
+    openedAt = now();
+    probeInFlight = false;
+    counters.opened++;
+  }
+
+  return {
+    name,
+
+    // Cheap check for callers that want to skip a step without trying (does not take the half-open probe)
+    isAvailable() {
+      const s = currentState();
+      return s === 'closed' || (s === 'half_open' && !probeInFlight);
+    },
+
+    // Throws ProviderUnavailableError when a call would be refused
+    assertAvailable() {
+      if (this.isAvailable()) return;
+      counters.rejected++;
+      const retryInMs = currentState() === 'open' ? cooldownMs - (now() - openedAt) : cooldownMs;
+      throw new ProviderUnavailableError(name, Math.max(0, retryInMs));
+    },
+
+    // Immediately before sending: like assertAvailable, and in half-open the caller becomes the one probe
+    beforeRequest() {
+      this.assertAvailable();
+      if (currentState() === 'half_open') probeInFlight = true;
+    },
+
+    onSuccess() {
+      counters.successes++;
+      consecutiveFailures = 0;
+      if (currentState() !== 'closed') {
+        state = 'closed';
+        openedAt = null;
+        probeInFlight = false;
+      }
+    },
+
+    onFailure(error) {
+      counters.failures++;
+      consecutiveFailures++;
+      lastError = error ? String(error.message || error) : null;
+      const s = currentState();
+      if (s === 'half_open' || (s === 'closed' && consecutiveFailures >= failureThreshold)) open();
+    },
+
+    stats() {
+      const s = currentState();
+      return {
+        state: s,
+        consecutiveFailures,
+        ...(s === 'open' ? { retryInMs: Math.max(0, cooldownMs - (now() - openedAt)) } : {}),
+        lastError,
+        ...counters
+      };
+    }
+  };
+}
+
+module.exports = {
+  ProviderUnavailableError,
+  createCircuitBreaker
+};
@@ -5,6 +5,10 @@
  */
 
 // Enhanced audio source functions for Essentia service
+// Every upstream call goes through the shared per-provider rate limiter; its refusals (rate limit, open
+// circuit) are rethrown, other failures read as "nothing found"
+const { upstreamFetch, isUpstreamRefusal } = require('./rate-limiter');
+const { searchItunes } = require('./apple-storefronts');
 
 async function findYouTubeAudioUrl(artistName, trackName) {
   try {
@@ -14,8 +18,7 @@ async function findYouTubeAudioUrl(artistName, trackName) {
     const searchQuery = encodeURIComponent(`${artistName} ${trackName}`);
     const youtubeSearchUrl = `https://www.googleapis.com/youtube/v3/search?part=snippet&q=${searchQuery}&type=video&maxResults=5&key=${process.env.YOUTUBE_API_KEY}`;
     
-    const fetch = (await import('node-fetch')).default;
-    const response = await fetch(youtubeSearchUrl);
+    const response = await upstreamFetch('youtube', youtubeSearchUrl);
     
     if (!response.ok) {
       console.log(`⚠️ YouTube search failed: ${response.status}`);
@@ -63,6 +66,7 @@ async function findYouTubeAudioUrl(artistName, trackName) {
     };
     
   } catch (error) {
+    if (isUpstreamRefusal(error)) throw error;
     console.log(`❌ YouTube search error: ${error.message}`);
     return null;
   }
@@ -74,8 +78,7 @@ async function findDeezerArtistTracks(artistName, limit = 10) {
     console.log(`🎶 Searching Deezer (artist-level) for: ${artistName} (limit=${limit})`);
     const q = encodeURIComponent(`artist:"${artistName}"`);
     const deezerSearchUrl = `https://api.deezer.com/search?q=${q}&limit=${limit}`;
-    const fetch = (await import('node-fetch')).default;
-    const resp = await fetch(deezerSearchUrl);
+    const resp = await upstreamFetch('deezer', deezerSearchUrl);
     if (!resp.ok) {
       console.log(`⚠️ Deezer artist search failed: ${resp.status}`);
       return [];
@@ -97,6 +100,7 @@ async function findDeezerArtistTracks(artistName, limit = 10) {
     console.log(`✅ Deezer artist search found ${tracks.length} preview(s) for ${artistName}`);
     return tracks;
   } catch (error) {
+    if (isUpstreamRefusal(error)) throw error;
     console.log(`❌ Deezer artist search error: ${error.message}`);
     return [];
   }
@@ -107,24 +111,56 @@ async function findDeezerArtistTracks(artistName, limit = 10) {
 // but that approach is fragile and caused confusion when previews were unavailable. For clarity the
 // SoundCloud-specific lookup was removed. Use `apple` and `deezer` sources instead.
 
-async function findBeatportPreviewUrl(artistName, trackName) {
+// Deezer track search: every result with a preview, as match candidates (title/artist/duration for scoring)
+async function searchDeezerTracks(artistName, trackName, limit = 10) {
   try {
-    console.log(`🎛️ Searching Beatport for: ${artistName} - ${trackName}`);
-    
-    // Beatport has longer previews (2 minutes) but requires web scraping
-    // This is a simplified version - in production, you'd need proper Beatport integration
-    
     const searchQuery = encodeURIComponent(`${artistName} ${trackName}`);
-    const beatportSearchUrl = `https://www.beatport.com/search?q=${searchQuery}`;
-    
-    // Note: This would require web scraping or Beatport API access
-    // For now, we'll return a placeholder structure
-    
-    console.log(`📝 Beatport search requires web scraping implementation`);
-    return null;
-    
+    const resp = await upstreamFetch('deezer', `https://api.deezer.com/search?q=${searchQuery}&limit=${limit}`);
+    if (!resp.ok) {
+      console.log(`⚠️ Deezer search failed: ${resp.status}`);
+      return [];
+    }
+    const data = await resp.json();
+    return (data.data || []).filter(t => t && t.preview).map(t => ({
+      audioUrl: t.preview,
+      source: 'deezer',
+      title: t.title,
+      artist: t.artist && t.artist.name,
+      durationMs: t.duration ? t.duration * 1000 : undefined,
+      metadata: { deezerId: t.id }
+    }));
   } catch (error) {
-    console.log(`❌ Beatport search error: ${error.message}`);
+    if (isUpstreamRefusal(error)) throw error;
+    console.log(`❌ Deezer search error: ${error.message}`);
+    return [];
+  }
+}
+
+// Deezer track for an ISRC (`/track/isrc:<code>`), as an exact candidate; null when unknown or without a preview
+async function findDeezerTrackByIsrc(isrc) {
+  try {
+    const resp = await upstreamFetch('deezer', `https://api.deezer.com/track/isrc:${encodeURIComponent(isrc)}`);
+    if (!resp.ok) {
+      console.log(`⚠️ Deezer ISRC lookup failed: ${resp.status}`);
+      return null;
+    }
+    const t = await resp.json();
+    // Unknown ISRCs come back as HTTP 200 with an `error` object
+    if (!t || t.error || !t.preview) return null;
+    return {
+      audioUrl: t.preview,
+      source: 'deezer',
+      title: t.title,
+      artist: t.artist && t.artist.name,
+      durationMs: t.duration ? t.duration * 1000 : undefined,
+      isrc,
+      exact: true,
+      matchedBy: 'isrc',
+      metadata: { deezerId: t.id }
+    };
+  } catch (error) {
+    if (isUpstreamRefusal(error)) throw error;
+    console.log(`❌ Deezer ISRC lookup error: ${error.message}`);
     return null;
   }
 }
@@ -135,8 +171,7 @@ async function findDeezerPreviewUrl(artistName, trackName) {
     console.log(`🎶 Searching Deezer for: ${artistName} - ${trackName}`);
     const searchQuery = encodeURIComponent(`${artistName} ${trackName}`);
     const deezerSearchUrl = `https://api.deezer.com/search?q=${searchQuery}`;
-    const fetch = (await import('node-fetch')).default;
-    const response = await fetch(deezerSearchUrl);
+    const response = await upstreamFetch('deezer', deezerSearchUrl);
     if (!response.ok) {
       console.log(`⚠️ Deezer search failed: ${response.status}`);
       return null;
@@ -170,30 +205,23 @@ async function findDeezerPreviewUrl(artistName, trackName) {
 async function findAudioUrlEnhanced(artistName, trackName, spotifyPreviewUrl = null) {
   console.log(`🔍 Searching previews (apple_primary → deezer_secondary) for: ${artistName} - ${trackName}`);
 
-  // 1) Apple / iTunes primary search (iTunes Search API provides previewUrl)
+  // 1) Apple / iTunes primary search (iTunes Search API provides previewUrl), storefronts in APPLE_STOREFRONTS order
   try {
-    const appleQuery = encodeURIComponent(`${artistName} ${trackName}`);
-    const appleUrl = `https://itunes.apple.com/search?term=${appleQuery}&entity=song&limit=5`;
-    const fetch = (await import('node-fetch')).default;
-    const appleResp = await fetch(appleUrl);
-    if (appleResp.ok) {
-      const appleData = await appleResp.json();
-      if (appleData.results && appleData.results.length) {
-        const best = appleData.results.find(r => r.previewUrl) || appleData.results[0];
-        if (best && best.previewUrl) {
-          console.log(`✅ Found Apple preview: ${best.trackName} by ${best.artistName}`);
-          return {
-            audioUrl: best.previewUrl,
-            source: 'apple',
-            duration: Math.round((best.trackTimeMillis||30000) / 2),
-            quality: 'high',
-            metadata: best
-          };
-        }
-      }
-    } else {
-      console.log(`⚠️ Apple search failed: ${appleResp.status}`);
+    const { results, storefront, tried } = await searchItunes({ term: `${artistName} ${trackName}`, entity: 'song', limit: 5 }, {
+      usable: found => found.some(r => r.previewUrl)
+    });
+    const best = results.find(r => r.previewUrl);
+    if (best) {
+      console.log(`✅ Found Apple preview (${storefront}): ${best.trackName} by ${best.artistName}`);
+      return {
+        audioUrl: best.previewUrl,
+        source: 'apple',
+        duration: Math.round((best.trackTimeMillis||30000) / 2),
+        quality: 'high',
+        metadata: { ...best, storefront }
+      };
     }
+    console.log(`⚠️ No Apple preview in storefronts: ${tried.join(', ')}`);
   } catch (e) {
     console.log(`❌ Apple search error: ${e.message}`);
   }
@@ -312,8 +340,9 @@ function inferAudioFeaturesFromGenres(genres, artistName, mode) {
 
 module.exports = {
   findYouTubeAudioUrl,
-  findBeatportPreviewUrl,
   findDeezerPreviewUrl,
+  searchDeezerTracks,
+  findDeezerTrackByIsrc,
   findDeezerArtistTracks,
   findAudioUrlEnhanced,
   inferAudioFeaturesFromMetadata,
@@ -0,0 +1,284 @@
+/**
+ * ESSENTIA FEATURE EXTRACTION
+ * Downloads a preview, decodes it to mono PCM and runs the Essentia.js (WASM)
+ * algorithms that back every field of the analysis payload.
+ */
+
+const fetch = require('node-fetch');
+const { EssentiaWASM, Essentia } = require('essentia.js');
+const { decodeAudioBuffer } = require('./audio-decoder');
+const { buildEmbedding, EMBEDDING_VERSION } = require('./audio-embedding');
+const { describeKey } = require('./key-notation');
+const { buildBeatGrid } = require('./beat-grid');
+const { segmentClip } = require('./segmentation');
+const { measureLoudness } = require('./loudness-r128');
+const { computeFingerprint, encodeFingerprint, FINGERPRINT_VERSION } = require('./audio-fingerprint');
+const { createWasmScope, withWasmScope } = require('./wasm-scope');
+
+const ANALYSIS_SAMPLE_RATE = 44100; // Essentia rhythm/tonal algorithms assume 44.1kHz
+const FRAME_SIZE = 2048;
+const HOP_SIZE = 1024;
+const MAX_PREVIEW_BYTES = 15 * 1024 * 1024;
+const PREVIEW_WINDOW_SECONDS = 30; // analysis window for full-length streams (segmentation and extraction assume a ~30s clip)
+const DOWNLOAD_TIMEOUT_MS = 15000;
+const DEFAULT_TIMESERIES_HOP_SEC = 0.1;
+
+let essentia = null;
+function getEssentia() {
+  if (!essentia) essentia = new Essentia(EssentiaWASM);
+  return essentia;
+}
+
+// Fetch preview bytes (Apple M4A / Deezer MP3 / Spotify MP3); resolvedUrl is the URL after redirects.
+// Full-length streams (Bandcamp) only need a window, so at most MAX_PREVIEW_BYTES are requested
+async function downloadPreview(audioUrl) {
+  const resp = await fetch(audioUrl, { timeout: DOWNLOAD_TIMEOUT_MS, size: MAX_PREVIEW_BYTES, headers: { Range: `bytes=0-${MAX_PREVIEW_BYTES - 1}` } });
+  if (!resp.ok) throw new Error(`Audio download failed: HTTP ${resp.status}`);
+  const buf = await resp.buffer();
+  if (buf.length === 0) throw new Error('Audio download returned an empty body');
+  return { bytes: buf, resolvedUrl: resp.url || audioUrl };
+}
+
+async function downloadAudio(audioUrl) {
+  return (await downloadPreview(audioUrl)).bytes;
+}
+
+function mean(values) {
+  if (!values.length) return 0;
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+function clamp01(v) {
+  return Math.max(0, Math.min(1, v));
+}
+
+function toDb(amplitude) {
+  return 20 * Math.log10(Math.max(amplitude, 1e-10));
+}
+
+// Element-wise running sum over per-frame vectors
+function accumulate(target, values, square = false) {
+  for (let i = 0; i < values.length; i++) target[i] = (target[i] || 0) + (square ? values[i] * values[i] : values[i]);
+  return target;
+}
+
+// Frame-wise spectral/tonal descriptors (averaged over the clip)
+function extractFrameFeatures(e, signal, sampleRate) {
+  const centroids = [], rolloffs = [], fluxes = [], mfccMeans = [], chromaMeans = [], dissonances = [], zcrs = [];
+  const sums = { mfcc: [], mfccSq: [], hpcp: [], contrast: [], valley: [], frames: 0 };
+  withWasmScope(scope => {
+    const frames = scope.keep(e.FrameGenerator(signal, FRAME_SIZE, HOP_SIZE));
+    const frameScope = createWasmScope(); // freed after every frame so the loop runs in constant WASM memory
+    for (let i = 0; i < frames.size(); i++) {
+      try {
+        const frame = frameScope.keep(frames.get(i));
+        const rms = e.RMS(frame).rms;
+        zcrs.push(e.ZeroCrossingRate(frame).zeroCrossingRate);
+        if (rms < 1e-4) continue; // skip digital silence for spectral descriptors
+        centroids.push(e.SpectralCentroidTime(frame, sampleRate).centroid);
+        const windowed = frameScope.out(e.Windowing(frame, true, FRAME_SIZE, 'hann')).frame;
+        const spectrum = frameScope.out(e.Spectrum(windowed, FRAME_SIZE)).spectrum;
+        rolloffs.push(e.RollOff(spectrum, 0.85, sampleRate).rollOff);
+        fluxes.push(e.Flux(spectrum).flux);
+        const mfcc = Array.from(e.vectorToArray(frameScope.out(e.MFCC(spectrum)).mfcc));
+        mfccMeans.push(mean(mfcc.slice(1))); // skip c0 (frame energy)
+        accumulate(sums.mfcc, mfcc);
+        accumulate(sums.mfccSq, mfcc, true);
+        const peaks = frameScope.out(e.SpectralPeaks(spectrum, 0, 5000, 60, 40, 'frequency', sampleRate));
+        const hpcp = Array.from(e.vectorToArray(frameScope.out(e.HPCP(peaks.frequencies, peaks.magnitudes)).hpcp));
+        chromaMeans.push(mean(hpcp));
+        accumulate(sums.hpcp, hpcp);
+        dissonances.push(e.Dissonance(peaks.frequencies, peaks.magnitudes).dissonance);
+        const contrast = frameScope.out(e.SpectralContrast(spectrum, FRAME_SIZE, 11000, 20, 0.4, 6, sampleRate, 0.15));
+        accumulate(sums.contrast, e.vectorToArray(contrast.spectralContrast));
+        accumulate(sums.valley, e.vectorToArray(contrast.spectralValley));
+        sums.frames++;
+      } finally {
+        frameScope.free();
+      }
+    }
+  });
+  const n = Math.max(1, sums.frames);
+  const mfccMean = sums.mfcc.map(v => v / n);
+  return {
+    spectral_centroid: mean(centroids),
+    spectral_rolloff: mean(rolloffs),
+    spectral_flux: mean(fluxes),
+    mfcc_mean: mean(mfccMeans),
+    chroma_mean: mean(chromaMeans),
+    harmonicity: clamp01(1 - mean(dissonances)),
+    zerocrossingrate: mean(zcrs),
+    // Clip-level statistics consumed by the embedding
+    embeddingStats: {
+      mfccMean,
+      mfccVar: sums.mfccSq.map((v, i) => Math.max(0, v / n - mfccMean[i] * mfccMean[i])),
+      chroma: sums.hpcp.map(v => v / n),
+      contrast: sums.contrast.map(v => v / n),
+      valley: sums.valley.map(v => v / n)
+    }
+  };
+}
+
+function round4(v) {
+  return Math.round(v * 10000) / 10000;
+}
+
+// Frame-level curves at a caller-chosen hop, plus an energy segmentation of the clip
+function extractTimeSeries(e, signal, sampleRate, hopSeconds, beatTicks) {
+  const hop = Math.max(1, Math.round(hopSeconds * sampleRate));
+  const times = [], rms = [], loudness = [], centroid = [], onset = [];
+  withWasmScope(scope => {
+    const frames = scope.keep(e.FrameGenerator(signal, FRAME_SIZE, hop));
+    const frameScope = createWasmScope();
+    for (let i = 0; i < frames.size(); i++) {
+      try {
+        const frame = frameScope.keep(frames.get(i));
+        const r = e.RMS(frame).rms;
+        const windowed = frameScope.out(e.Windowing(frame, true, FRAME_SIZE, 'hann')).frame;
+        const spectrum = frameScope.out(e.Spectrum(windowed, FRAME_SIZE)).spectrum;
+        times.push(round4((i * hop) / sampleRate));
+        rms.push(round4(r));
+        loudness.push(+toDb(r).toFixed(2));
+        centroid.push(+(r < 1e-4 ? 0 : e.SpectralCentroidTime(frame, sampleRate).centroid).toFixed(1));
+        onset.push(round4(e.Flux(spectrum, true).flux)); // half-rectified spectral flux as onset strength
+      } finally {
+        frameScope.free();
+      }
+    }
+  });
+  const curves = {
+    hop_seconds: hop / sampleRate,
+    frame_size: FRAME_SIZE,
+    times,
+    rms,
+    loudness_db: loudness,
+    spectral_centroid: centroid,
+    onset_strength: onset
+  };
+  curves.segments = segmentClip(curves, { beats: beatTicks });
+  return curves;
+}
+
+// Whole-clip rhythm, key, danceability and RMS, copied out of the WASM heap
+function clipDescriptors(e, signal, sampleRate) {
+  return withWasmScope(scope => {
+    const vector = scope.keep(e.arrayToVector(signal));
+    const rhythm = scope.out(e.RhythmExtractor2013(vector));
+    return {
+      rhythm: {
+        bpm: rhythm.bpm,
+        confidence: rhythm.confidence,
+        ticks: rhythm.ticks.size() ? Array.from(e.vectorToArray(rhythm.ticks)) : []
+      },
+      key: e.KeyExtractor(vector, true, 4096, 4096, 12, 3500, 60, 25, 0.2, 'edma', sampleRate), // 'edma' profile is tuned for electronic music
+      danceability: scope.out(e.Danceability(vector, 8800, 310, sampleRate)).danceability,
+      rms: e.RMS(vector).rms
+    };
+  });
+}
+
+// Run the full extractor over a mono signal.
+// options.include: optional detail blocks ('beats', 'timeseries') attached to the payload under their own key
+// options.hopSeconds: timeseries hop (default 0.1s)
+// options.channelData: original channels for R128 metering (defaults to the mono signal)
+// options.fingerprint: precomputed codes from prepareAudio() (computed here otherwise)
+function extractFeatures(signal, sampleRate, options = {}) {
+  const include = options.include || [];
+  const e = getEssentia();
+  const { rhythm, key, danceability, rms } = clipDescriptors(e, signal, sampleRate);
+  const frameFeatures = extractFrameFeatures(e, signal, sampleRate);
+  const r128 = measureLoudness(e, options.channelData || [signal], sampleRate);
+
+  const tempo = rhythm.bpm;
+  const rhythmStrength = clamp01(rhythm.confidence / 5.32); // multifeature confidence range is [0, 5.32]
+  const rmsDb = toDb(rms);
+  const energy = clamp01((rmsDb + 40) / 34); // -40 dBFS → 0, -6 dBFS → 1
+  const danceNorm = clamp01(danceability / 3);
+  const brightness = clamp01((frameFeatures.spectral_centroid - 500) / 4500);
+  // Heuristic mood axes derived from measured descriptors (no trained model shipped)
+  const valence = clamp01(0.35 * (key.scale === 'major' ? 1 : 0) + 0.25 * clamp01((tempo - 60) / 120) + 0.2 * brightness + 0.2 * danceNorm);
+  const arousal = clamp01(0.5 * energy + 0.3 * clamp01((tempo - 60) / 120) + 0.2 * clamp01(frameFeatures.spectral_flux * 10));
+
+  const features = {
+    // Low-level features
+    spectral_centroid: frameFeatures.spectral_centroid,
+    spectral_rolloff: frameFeatures.spectral_rolloff,
+    spectral_flux: frameFeatures.spectral_flux,
+    mfcc_mean: frameFeatures.mfcc_mean,
+    chroma_mean: frameFeatures.chroma_mean,
+
+    // Rhythm features
+    tempo,
+    beats_per_minute: tempo,
+    rhythm_strength: rhythmStrength,
+
+    // Tonal features
+    key_strength: key.strength,
+    ...describeKey(key.key, key.scale, key.strength),
+    harmonicity: frameFeatures.harmonicity,
+
+    // High-level features
+    danceability: danceNorm,
+    energy,
+    valence,
+    arousal,
+
+    // Essentia-specific (loudness = integrated LUFS, dynamic_range = EBU loudness range in LU)
+    loudness: r128.loudness_integrated_lufs,
+    dynamic_range: r128.loudness_range_lu,
+    ...r128,
+    rms_db: rmsDb,
+    zerocrossingrate: frameFeatures.zerocrossingrate,
+
+    // Embedding
+    vector: buildEmbedding({ ...frameFeatures.embeddingStats, tempo, rhythmStrength, danceability: danceNorm, energy }),
+    vector_version: EMBEDDING_VERSION,
+
+    // Recording identity (same audio from another source/URL → same fingerprint)
+    fingerprint: encodeFingerprint(options.fingerprint || computeFingerprint(e, signal, sampleRate)),
+    fingerprint_version: FINGERPRINT_VERSION
+  };
+  if (include.includes('beats')) {
+    features.beats = buildBeatGrid({ bpm: tempo, ticks: rhythm.ticks, confidence: rhythm.confidence }, signal, sampleRate);
+  }
+  if (include.includes('timeseries')) {
+    features.timeseries = extractTimeSeries(e, signal, sampleRate, options.hopSeconds || DEFAULT_TIMESERIES_HOP_SEC, rhythm.ticks);
+  }
+  return features;
+}
+
+// Decode and fingerprint only, so callers can recognise a known recording before full extraction.
+// opts.maxSeconds keeps a window from the middle of longer audio (PREVIEW_WINDOW_SECONDS for streamed previews)
+async function prepareAudio(buf, opts = {}) {
+  const decoded = await decodeAudioBuffer(buf, { sampleRate: ANALYSIS_SAMPLE_RATE, keepChannels: true, maxSeconds: opts.maxSeconds });
+  return { ...decoded, fingerprint: computeFingerprint(getEssentia(), decoded.signal, decoded.sampleRate) };
+}
+
+// Full extraction from prepareAudio() output
+function extractPrepared(prepared, options = {}) {
+  const { signal, sampleRate, channelData, fingerprint } = prepared;
+  return extractFeatures(signal, sampleRate, { ...options, channelData, fingerprint });
+}
+
+// Analyze raw audio bytes (uploads, cached previews)
+async function analyzeAudioBuffer(buf, options = {}) {
+  return extractPrepared(await prepareAudio(buf), options);
+}
+
+async function analyzeAudioUrl(audioUrl, options = {}) {
+  const buf = await downloadAudio(audioUrl);
+  return extractPrepared(await prepareAudio(buf, { maxSeconds: PREVIEW_WINDOW_SECONDS }), options);
+}
+
+module.exports = {
+  ANALYSIS_SAMPLE_RATE,
+  DEFAULT_TIMESERIES_HOP_SEC,
+  PREVIEW_WINDOW_SECONDS,
+  downloadAudio,
+  downloadPreview,
+  extractFeatures,
+  prepareAudio,
+  extractPrepared,
+  analyzeAudioBuffer,
+  analyzeAudioUrl
+};
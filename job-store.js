@@ -0,0 +1,214 @@
+/**
+ * ANALYSIS JOBS
+ * Long-running work (full artist profiles) runs in the background instead of
+ * inside the request, so it is not cut off by the router's 30s timeout.
+ * Jobs live in the `analysis_jobs` collection (in memory when MongoDB is not
+ * configured) and carry status, progress, partial results and the final result.
+ * Every job records the instance that owns it (ownerId) and when that
+ * instance last heartbeated it. Another instance reclaims a queued or running
+ * job only after its lease has expired, with an atomic claim, and an owner that
+ * lost its lease can no longer write progress or results.
+ * A caller's callbackSecret is persisted only encrypted (AES-256-GCM with the
+ * store's secretKey); without a key it is dropped, and a recovered job whose
+ * secret is gone skips its callback instead of sending a wrong signature.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+const MAX_JOB_ATTEMPTS = 3;
+const JOB_LEASE_MS = 2 * 60 * 1000;
+
+// "v1:<iv>:<auth tag>:<ciphertext>" (base64 parts), keyed by SHA-256 of the configured secret key
+function sealSecret(value, secretKey) {
+  const key = crypto.createHash('sha256').update(secretKey).digest();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part)).join(':');
+}
+
+// Throws when the key is wrong or the value was tampered with
+function openSecret(sealed, secretKey) {
+  const [version, iv, tag, ciphertext] = String(sealed).split(':');
+  if (version !== 'v1' || !ciphertext) throw new Error('Unrecognised sealed secret');
+  const key = crypto.createHash('sha256').update(secretKey).digest();
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function defaultOwnerId() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * @param {import('mongodb').Collection|null} collection `analysis_jobs`, or null for an in-memory store
+ * @param {{ ownerId?: string, leaseMs?: number, secretKey?: string|null, now?: Function }} [opts]
+ *   ownerId identifies this instance; secretKey encrypts callback secrets for recovery
+ */
+function createJobStore(collection, { ownerId = defaultOwnerId(), leaseMs = JOB_LEASE_MS, secretKey = null, now = Date.now } = {}) {
+  const memory = new Map();
+
+  // The job's callback secret for a re-run; undefined when it was never given or cannot be recovered
+  function recoverCallbackSecret(job) {
+    if (!job.sealedCallbackSecret || !secretKey) return undefined;
+    try {
+      return openSecret(job.sealedCallbackSecret, secretKey);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  // Resolves false when the job is gone or (owned: true) another instance holds it now
+  async function save(jobId, fields, { owned = true } = {}) {
+    const updatedAt = new Date(now());
+    if (collection) {
+      const result = await collection.updateOne(owned ? { jobId, ownerId } : { jobId }, { $set: { ...fields, updatedAt } });
+      return result.matchedCount > 0;
+    }
+    const job = memory.get(jobId);
+    if (!job) return false;
+    const next = { ...job, updatedAt };
+    for (const [key, value] of Object.entries(fields)) {
+      // Mirror Mongo's one-level dotted $set paths ('progress.phase')
+      const [head, tail] = key.split('.');
+      if (tail) next[head] = { ...next[head], [tail]: value };
+      else next[key] = value;
+    }
+    memory.set(jobId, next);
+    return true;
+  }
+
+  return {
+    persistent: !!collection,
+    ownerId,
+    leaseMs,
+    recoverCallbackSecret,
+
+    // secrets.callbackSecret is kept sealed (secretKey set) or only noted as given (no key)
+    async create(type, params, correlationId, secrets = {}) {
+      const createdAt = new Date(now());
+      const job = {
+        jobId: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        params,
+        correlationId,
+        progress: { phase: 'queued', tracksPlanned: 0, tracksAttempted: 0, tracksAnalyzed: 0, round: null },
+        partialTrackMatrix: [],
+        result: null,
+        error: null,
+        attempts: 0,
+        ownerId,
+        heartbeatAt: createdAt,
+        createdAt,
+        updatedAt: createdAt,
+        startedAt: null,
+        finishedAt: null
+      };
+      if (secrets.callbackSecret) {
+        job.signedCallback = true;
+        if (secretKey && collection) job.sealedCallbackSecret = sealSecret(secrets.callbackSecret, secretKey);
+      }
+      if (collection) await collection.insertOne({ ...job });
+      else memory.set(job.jobId, job);
+      return job;
+    },
+
+    async get(jobId) {
+      if (collection) return collection.findOne({ jobId }, { projection: { _id: 0 } });
+      return memory.get(jobId) || null;
+    },
+
+    // start/progress/complete/fail resolve false once another instance has reclaimed the job
+    async start(job) {
+      job.attempts = (job.attempts || 0) + 1;
+      return save(job.jobId, { status: 'running', attempts: job.attempts, startedAt: new Date(now()), heartbeatAt: new Date(now()), error: null });
+    },
+
+    progress(jobId, progress, partialTrackMatrix) {
+      return save(jobId, partialTrackMatrix ? { progress, partialTrackMatrix } : { progress });
+    },
+
+    complete(jobId, result) {
+      return save(jobId, { status: 'completed', result, finishedAt: new Date(now()), 'progress.phase': 'completed' });
+    },
+
+    fail(jobId, error) {
+      return save(jobId, { status: 'failed', error, finishedAt: new Date(now()), 'progress.phase': 'failed' });
+    },
+
+    // Renew the lease on jobs this instance has queued or running
+    async heartbeat(jobIds) {
+      if (!collection || jobIds.length === 0) return;
+      await collection.updateMany({ jobId: { $in: jobIds }, ownerId }, { $set: { heartbeatAt: new Date(now()) } });
+    },
+
+    // Claim queued/running jobs whose owner stopped heartbeating (crashed or restarted instance); ones that
+    // already used up their attempts are failed. Jobs of live instances are left alone.
+    async recoverInterrupted() {
+      if (!collection) return [];
+      const expired = {
+        status: { $in: ['queued', 'running'] },
+        ownerId: { $ne: ownerId },
+        $or: [{ heartbeatAt: { $lt: new Date(now() - leaseMs) } }, { heartbeatAt: { $exists: false } }]
+      };
+      const candidates = await collection.find(expired, { projection: { _id: 0, jobId: 1 } }).sort({ createdAt: 1 }).toArray();
+      const resumable = [];
+      for (const { jobId } of candidates) {
+        // Atomic: when two instances race for the job, or its owner heartbeats meanwhile, only one update matches
+        const claim = await collection.findOneAndUpdate(
+          { jobId, ...expired },
+          { $set: { ownerId, heartbeatAt: new Date(now()) } },
+          { projection: { _id: 0 }, returnDocument: 'after', includeResultMetadata: true }
+        );
+        const job = claim && claim.value;
+        if (!job) continue;
+        if ((job.attempts || 0) >= MAX_JOB_ATTEMPTS) {
+          await save(jobId, { status: 'failed', error: `Interrupted ${job.attempts} times; giving up`, finishedAt: new Date(now()) });
+          continue;
+        }
+        const callbackSecret = recoverCallbackSecret(job);
+        // Never fall back to another secret: the receiver would reject (or worse, trust) the wrong signature
+        const callbackUndeliverable = !!job.signedCallback && !callbackSecret;
+        if (await save(jobId, { status: 'queued', 'progress.phase': 'requeued', ...(callbackUndeliverable ? { callbackUndeliverable } : {}) })) {
+          resumable.push({ ...job, status: 'queued', callbackUndeliverable });
+        }
+      }
+      return resumable;
+    }
+  };
+}
+
+// Response shape for GET /api/jobs/:id (partial results only while unfinished, final result once completed)
+function describeJob(job) {
+  const finished = job.status === 'completed' || job.status === 'failed';
+  return {
+    jobId: job.jobId,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    ...(finished ? {} : { partialTrackMatrix: job.partialTrackMatrix || [] }),
+    ...(job.status === 'completed' ? { result: job.result } : {}),
+    ...(job.status === 'failed' ? { error: job.error } : {}),
+    attempts: job.attempts,
+    ...(job.callbackUndeliverable ? { callbackUndeliverable: true } : {}),
+    correlationId: job.correlationId,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  MAX_JOB_ATTEMPTS,
+  JOB_LEASE_MS,
+  sealSecret,
+  openSecret,
+  createJobStore,
+  describeJob
+};
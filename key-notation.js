@@ -0,0 +1,84 @@
+/**
+ * KEY NOTATION
+ * Maps Essentia key/scale output to DJ notations (Camelot wheel, Open Key)
+ * and summarises key usage across a trackMatrix.
+ */
+
+const PITCH_CLASSES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const ENHARMONICS = { 'Db': 'C#', 'D#': 'Eb', 'Gb': 'F#', 'G#': 'Ab', 'A#': 'Bb', 'Cb': 'B', 'Fb': 'E', 'E#': 'F', 'B#': 'C' };
+
+// Camelot number per pitch class; minor keys sit three semitones below their relative major
+const CAMELOT_MAJOR = { 'C': 8, 'G': 9, 'D': 10, 'A': 11, 'E': 12, 'B': 1, 'F#': 2, 'C#': 3, 'Ab': 4, 'Eb': 5, 'Bb': 6, 'F': 7 };
+
+function normalizePitchClass(key) {
+  if (!key || typeof key !== 'string') return null;
+  const k = key.trim().charAt(0).toUpperCase() + key.trim().slice(1);
+  const canonical = ENHARMONICS[k] || k;
+  return PITCH_CLASSES.includes(canonical) ? canonical : null;
+}
+
+function normalizeScale(scale) {
+  const s = String(scale || '').toLowerCase();
+  if (s === 'major' || s === 'minor') return s;
+  return null;
+}
+
+function camelotNumber(key, scale) {
+  const pc = normalizePitchClass(key);
+  const sc = normalizeScale(scale);
+  if (!pc || !sc) return null;
+  if (sc === 'major') return CAMELOT_MAJOR[pc];
+  const relativeMajor = PITCH_CLASSES[(PITCH_CLASSES.indexOf(pc) + 3) % 12];
+  return CAMELOT_MAJOR[relativeMajor];
+}
+
+// e.g. ('A', 'minor') → '8A', ('C', 'major') → '8B'
+function toCamelot(key, scale) {
+  const n = camelotNumber(key, scale);
+  return n ? `${n}${normalizeScale(scale) === 'major' ? 'B' : 'A'}` : null;
+}
+
+// e.g. ('A', 'minor') → '1m', ('C', 'major') → '1d'
+function toOpenKey(key, scale) {
+  const n = camelotNumber(key, scale);
+  if (!n) return null;
+  return `${((n - 8 + 12) % 12) + 1}${normalizeScale(scale) === 'major' ? 'd' : 'm'}`;
+}
+
+// Key fields added to every feature payload
+function describeKey(key, scale, strength) {
+  const pc = normalizePitchClass(key);
+  const sc = normalizeScale(scale);
+  return {
+    key: pc,
+    scale: sc,
+    key_confidence: Number.isFinite(strength) ? Math.max(0, Math.min(1, strength)) : null,
+    camelot: toCamelot(pc, sc),
+    open_key: toOpenKey(pc, sc)
+  };
+}
+
+// Aggregate key usage over track profiles ({ essentiaFeatures: { camelot, key, scale } })
+function calculateKeyDistribution(trackProfiles) {
+  const byCamelot = {};
+  const byScale = { major: 0, minor: 0 };
+  let total = 0;
+  for (const t of trackProfiles || []) {
+    const f = t && t.essentiaFeatures;
+    if (!f || !f.camelot) continue;
+    byCamelot[f.camelot] = (byCamelot[f.camelot] || 0) + 1;
+    if (byScale[f.scale] !== undefined) byScale[f.scale]++;
+    total++;
+  }
+  if (total === 0) return { total: 0, byCamelot: {}, byScale, dominant: null };
+  const [dominant, count] = Object.entries(byCamelot).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0];
+  return { total, byCamelot, byScale, dominant, dominantShare: +(count / total).toFixed(3) };
+}
+
+module.exports = {
+  normalizePitchClass,
+  toCamelot,
+  toOpenKey,
+  describeKey,
+  calculateKeyDistribution
+};
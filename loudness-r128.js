@@ -0,0 +1,86 @@
+/**
+ * EBU R128 LOUDNESS
+ * Integrated loudness, short-term maximum and loudness range (ITU-R BS.1770
+ * K-weighting + gating, via Essentia LoudnessEBUR128) and true peak (BS.1770
+ * Annex 2 style 4x oversampling peak meter).
+ */
+
+const { withWasmScope } = require('./wasm-scope');
+
+const OVERSAMPLE = 4;
+const HALF_TAPS = 12; // per side, per phase
+
+// Polyphase windowed-sinc interpolation filter for the oversampling true-peak meter
+const PHASE_KERNELS = (() => {
+  const kernels = [];
+  for (let p = 1; p < OVERSAMPLE; p++) {
+    const frac = p / OVERSAMPLE;
+    const taps = [];
+    for (let k = -HALF_TAPS + 1; k <= HALF_TAPS; k++) {
+      const x = k - frac;
+      const sinc = Math.sin(Math.PI * x) / (Math.PI * x);
+      const w = 0.5 + 0.5 * Math.cos((Math.PI * x) / (HALF_TAPS + 1));
+      taps.push(sinc * w);
+    }
+    kernels.push(taps);
+  }
+  return kernels;
+})();
+
+function toDb(amplitude) {
+  return amplitude > 0 ? 20 * Math.log10(amplitude) : null;
+}
+
+// Linear true-peak amplitude of one channel (max of sample and inter-sample peaks)
+function truePeakAmplitude(signal) {
+  let peak = 0;
+  for (let i = 0; i < signal.length; i++) {
+    const v = Math.abs(signal[i]);
+    if (v > peak) peak = v;
+  }
+  for (let i = HALF_TAPS - 1; i < signal.length - HALF_TAPS; i++) {
+    for (const taps of PHASE_KERNELS) {
+      let acc = 0;
+      for (let t = 0; t < taps.length; t++) acc += signal[i - HALF_TAPS + 1 + t] * taps[t];
+      const v = Math.abs(acc);
+      if (v > peak) peak = v;
+    }
+  }
+  return peak;
+}
+
+function finiteOrNull(v, digits = 2) {
+  return Number.isFinite(v) ? +v.toFixed(digits) : null;
+}
+
+/**
+ * @param {object} e Essentia instance
+ * @param {Float32Array[]} channelData 1 (mono) or 2+ channels; only the first two are measured
+ * @param {number} sampleRate
+ * @returns {{ loudness_integrated_lufs: number|null, loudness_short_term_max_lufs: number|null, loudness_range_lu: number|null, true_peak_dbtp: number|null }}
+ */
+function measureLoudness(e, channelData, sampleRate) {
+  const left = channelData[0];
+  // BS.1770 mono: a single channel, no +3dB stereo summation
+  const right = channelData[1] || new Float32Array(left.length);
+  const { r, shortTerm } = withWasmScope(scope => {
+    const out = scope.out(e.LoudnessEBUR128(scope.keep(e.arrayToVector(left)), scope.keep(e.arrayToVector(right)), 0.1, sampleRate, false));
+    const values = out.shortTermLoudness.size() ? Array.from(e.vectorToArray(out.shortTermLoudness)) : [];
+    return { r: { integratedLoudness: out.integratedLoudness, loudnessRange: out.loudnessRange }, shortTerm: values.filter(Number.isFinite) };
+  });
+  const shortTermMax = shortTerm.length ? Math.max(...shortTerm) : null;
+  const truePeak = Math.max(...channelData.slice(0, 2).map(truePeakAmplitude));
+  // Essentia reports gated-out (silent) measurements as very large negative values
+  const audible = v => (Number.isFinite(v) && v > -70 ? v : null);
+  return {
+    loudness_integrated_lufs: finiteOrNull(audible(r.integratedLoudness)),
+    loudness_short_term_max_lufs: finiteOrNull(audible(shortTermMax)),
+    loudness_range_lu: audible(r.integratedLoudness) === null ? null : finiteOrNull(r.loudnessRange),
+    true_peak_dbtp: finiteOrNull(toDb(truePeak))
+  };
+}
+
+module.exports = {
+  truePeakAmplitude,
+  measureLoudness
+};
@@ -0,0 +1,173 @@
+/**
+ * PREVIEW AUDIO CACHE
+ * Content-addressed on-disk cache for downloaded preview bytes. Blobs are
+ * stored once under blobs/<sha256>; keys/<key> files map lookup keys (the
+ * service uses hashAudioUrl of the requested and of the redirect-resolved URL)
+ * to a blob. Total blob size is capped with least-recently-used eviction (file
+ * mtime is the LRU clock, so ordering survives restarts) and every read is
+ * re-hashed, so a truncated or corrupted file is dropped instead of analyzed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const SHA256_RE = /^[0-9a-f]{64}$/;
+const KEY_RE = /^[0-9a-zA-Z_-]{1,128}$/;
+
+function sha256(bytes) {
+  return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * @param {{ dir: string, maxBytes: number }} opts maxBytes <= 0 disables the cache
+ */
+function createPreviewCache({ dir, maxBytes }) {
+  const enabled = maxBytes > 0;
+  const blobDir = path.join(dir, 'blobs');
+  const keyDir = path.join(dir, 'keys');
+  const blobs = new Map(); // sha256 -> { size }, in LRU order (oldest first)
+  const writing = new Map(); // sha256 -> in-flight blob write, shared by concurrent puts of the same bytes
+  const counters = { hits: 0, misses: 0, writes: 0, evictions: 0, corrupt: 0, errors: 0 };
+  let totalBytes = 0;
+  let ready = null;
+
+  // Index existing blobs once, oldest access first
+  function init() {
+    if (!ready) {
+      ready = (async () => {
+        await fs.promises.mkdir(blobDir, { recursive: true });
+        await fs.promises.mkdir(keyDir, { recursive: true });
+        const names = (await fs.promises.readdir(blobDir)).filter(n => SHA256_RE.test(n));
+        const found = [];
+        for (const name of names) {
+          const stat = await fs.promises.stat(path.join(blobDir, name)).catch(() => null);
+          if (stat) found.push({ name, size: stat.size, mtimeMs: stat.mtimeMs });
+        }
+        found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const { name, size } of found) {
+          blobs.set(name, { size });
+          totalBytes += size;
+        }
+        await evict();
+      })();
+    }
+    return ready;
+  }
+
+  function touch(hash) {
+    const entry = blobs.get(hash);
+    blobs.delete(hash);
+    blobs.set(hash, entry);
+    const now = new Date();
+    fs.promises.utimes(path.join(blobDir, hash), now, now).catch(() => {});
+  }
+
+  async function dropBlob(hash) {
+    const entry = blobs.get(hash);
+    if (entry) totalBytes -= entry.size;
+    blobs.delete(hash);
+    await fs.promises.unlink(path.join(blobDir, hash)).catch(() => {});
+  }
+
+  // Key files pointing at evicted blobs are left behind and treated as misses
+  async function evict() {
+    for (const hash of blobs.keys()) {
+      if (totalBytes <= maxBytes) break;
+      await dropBlob(hash);
+      counters.evictions++;
+    }
+  }
+
+  // Write-then-rename so a crash never leaves a partial blob under its final name. The temp name is unique
+  // per write (other processes may share the directory), and the size is counted once per new blob.
+  async function writeBlob(hash, bytes) {
+    const tmp = path.join(blobDir, `${hash}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+    try {
+      await fs.promises.writeFile(tmp, bytes);
+      await fs.promises.rename(tmp, path.join(blobDir, hash));
+    } catch (e) {
+      await fs.promises.unlink(tmp).catch(() => {});
+      throw e;
+    }
+    if (blobs.has(hash)) return;
+    blobs.set(hash, { size: bytes.length });
+    totalBytes += bytes.length;
+    counters.writes++;
+  }
+
+  async function readKey(key) {
+    if (!KEY_RE.test(key)) return null;
+    const hash = (await fs.promises.readFile(path.join(keyDir, key), 'utf8').catch(() => '')).trim();
+    return SHA256_RE.test(hash) ? hash : null;
+  }
+
+  return {
+    enabled,
+
+    // Bytes for the first key that resolves to an intact blob; null on a miss
+    async get(keys) {
+      if (!enabled) return null;
+      try {
+        await init();
+        for (const key of keys.filter(Boolean)) {
+          const hash = await readKey(key);
+          if (!hash || !blobs.has(hash)) continue;
+          const bytes = await fs.promises.readFile(path.join(blobDir, hash)).catch(() => null);
+          if (!bytes || sha256(bytes) !== hash) {
+            counters.corrupt++;
+            await dropBlob(hash);
+            continue;
+          }
+          touch(hash);
+          counters.hits++;
+          return bytes;
+        }
+      } catch (e) {
+        counters.errors++;
+      }
+      counters.misses++;
+      return null;
+    },
+
+    // Store bytes under every key; never throws (a failed write only costs a future download)
+    async put(keys, bytes) {
+      if (!enabled || !bytes || bytes.length === 0 || bytes.length > maxBytes) return false;
+      try {
+        await init();
+        const hash = sha256(bytes);
+        if (blobs.has(hash)) {
+          touch(hash);
+        } else {
+          if (!writing.has(hash)) writing.set(hash, writeBlob(hash, bytes).finally(() => writing.delete(hash)));
+          await writing.get(hash);
+        }
+        for (const key of keys.filter(k => k && KEY_RE.test(k))) {
+          await fs.promises.writeFile(path.join(keyDir, key), hash);
+        }
+        await evict();
+        return true;
+      } catch (e) {
+        counters.errors++;
+        return false;
+      }
+    },
+
+    stats() {
+      const lookups = counters.hits + counters.misses;
+      return {
+        enabled,
+        dir,
+        ...counters,
+        hitRate: lookups ? +(counters.hits / lookups).toFixed(3) : null,
+        entries: blobs.size,
+        bytes: totalBytes,
+        maxBytes
+      };
+    }
+  };
+}
+
+module.exports = {
+  createPreviewCache
+};
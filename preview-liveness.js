@@ -0,0 +1,193 @@
+/**
+ * PREVIEW LIVENESS
+ * Stored preview URLs go stale: Deezer links carry signed tokens that expire
+ * and Apple previews disappear when catalog entries change. probePreviewUrl
+ * checks one URL (HEAD, else a ranged GET) for a live audio response; the
+ * refresher walks stored trackMatrix entries (artist_genre_profiles) and
+ * audio_features documents, marks dead URLs and re-resolves them in place.
+ * A probe that cannot reach the host, or gets a 5xx, is inconclusive: the URL
+ * is left alone rather than replaced because of a transient outage.
+ */
+
+const PROBE_TIMEOUT_MS = 8000;
+const PROBE_RANGE = 'bytes=0-1023';
+const MIN_PREVIEW_BYTES = 16 * 1024; // a real 30s preview is hundreds of KB
+const AUDIO_CONTENT_TYPE = /^(audio\/|application\/octet-stream|video\/mp4)/i;
+const DEFAULT_RECHECK_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Expiry (ms epoch) of a signed CDN URL: Deezer's `hdnea=exp=<unix seconds>~acl=...~hmac=...` or
+// Bandcamp's stream `token=<unix seconds>_<hash>`; null when unsigned
+function signedUrlExpiry(url) {
+  const text = String(url || '');
+  const match = /[?&]hdnea=[^&]*?\bexp=(\d+)/.exec(text) || /[?&]token=(\d{9,11})_/.exec(text);
+  return match ? parseInt(match[1], 10) * 1000 : null;
+}
+
+// Total size from Content-Range ("bytes 0-1023/483921") or Content-Length; null when unknown
+function responseLength(resp) {
+  const range = resp.headers.get('content-range');
+  const total = range && /\/(\d+)\s*$/.exec(range);
+  if (total) return parseInt(total[1], 10);
+  const length = resp.headers.get('content-length');
+  return length !== null && length !== undefined && /^\d+$/.test(length) ? parseInt(length, 10) : null;
+}
+
+// A ranged GET only needs its headers; stop reading the body (servers that ignore Range send the whole file)
+function discardBody(resp) {
+  if (resp.body && typeof resp.body.destroy === 'function') resp.body.destroy();
+}
+
+/**
+ * @param {string} url
+ * @param {{ fetch: Function, now?: Function, timeoutMs?: number }} opts
+ * @returns {Promise<{ alive: boolean|null, reason: string, status?: number, contentType?: string, contentLength?: number|null, checkedAt: Date }>}
+ *   alive null: inconclusive (network error or 5xx)
+ */
+async function probePreviewUrl(url, { fetch, now = Date.now, timeoutMs = PROBE_TIMEOUT_MS }) {
+  const checkedAt = new Date(now());
+  const expiresAt = signedUrlExpiry(url);
+  if (expiresAt !== null && expiresAt <= now()) return { alive: false, reason: 'expired', expiresAt: new Date(expiresAt), checkedAt };
+  let resp;
+  try {
+    resp = await fetch(url, { method: 'HEAD', timeout: timeoutMs });
+    // Some CDNs refuse HEAD or answer it without type/length; a 1KB ranged GET settles it
+    if (!resp.ok || !resp.headers.get('content-type') || responseLength(resp) === null) {
+      resp = await fetch(url, { headers: { Range: PROBE_RANGE }, timeout: timeoutMs });
+      discardBody(resp);
+    }
+  } catch (error) {
+    return { alive: null, reason: 'unreachable', error: error.message, checkedAt };
+  }
+  const status = resp.status;
+  if (status >= 500) return { alive: null, reason: `http_${status}`, status, checkedAt };
+  if (status === 404 || status === 410) return { alive: false, reason: 'gone', status, checkedAt };
+  if (status === 401 || status === 403) return { alive: false, reason: 'forbidden', status, checkedAt }; // expired/revoked signature
+  if (!resp.ok) return { alive: false, reason: `http_${status}`, status, checkedAt };
+  const contentType = resp.headers.get('content-type') || null;
+  const contentLength = responseLength(resp);
+  const details = { status, contentType, contentLength, checkedAt };
+  if (contentType && !AUDIO_CONTENT_TYPE.test(contentType)) return { alive: false, reason: 'not_audio', ...details };
+  if (contentLength !== null && contentLength < MIN_PREVIEW_BYTES) return { alive: false, reason: 'too_small', ...details };
+  return { alive: true, reason: 'ok', ...details };
+}
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @param {object} deps
+ * @param {import('mongodb').Collection} deps.profiles `artist_genre_profiles`
+ * @param {import('mongodb').Collection|null} [deps.features] `audio_features`
+ * @param {Function} deps.probe probe(url) -> probePreviewUrl result
+ * @param {Function} deps.reacquire reacquire(entry) -> candidate ({ audioUrl, source, provider, match }) or null
+ * @param {Function} [deps.resolveIsrc] resolveIsrc(isrc) -> candidate or null, for audio_features documents
+ * @param {Function} [deps.hashUrl] hashUrl(url) -> the audioHash /api/analyze keys that URL under
+ */
+function createPreviewRefresher({ profiles, features = null, probe, reacquire, resolveIsrc = null, hashUrl = null, now = Date.now, recheckAfterMs = DEFAULT_RECHECK_AFTER_MS }) {
+  // Documents never checked, or checked before the recheck window, oldest first
+  const due = (field, force) => (force ? {} : { $or: [{ [field]: { $exists: false } }, { [field]: { $lt: new Date(now() - recheckAfterMs) } }] });
+
+  async function refreshEntry(doc, index, summary) {
+    const entry = doc.trackMatrix[index];
+    const check = await probe(entry.previewUrl);
+    const prefix = `trackMatrix.${index}`;
+    const set = { [`${prefix}.previewCheck`]: check };
+    summary.checked++;
+    if (check.alive === null) {
+      summary.inconclusive++;
+    } else if (check.alive) {
+      summary.alive++;
+      set[`${prefix}.previewStatus`] = 'live';
+    } else {
+      summary.dead++;
+      const found = await reacquire(entry);
+      if (found && found.audioUrl && found.audioUrl !== entry.previewUrl) {
+        summary.refreshed++;
+        Object.assign(set, {
+          [`${prefix}.previewUrl`]: found.audioUrl,
+          [`${prefix}.audioSource`]: found.source,
+          [`${prefix}.previewMatch`]: { provider: found.provider, ...found.match },
+          [`${prefix}.previousPreviewUrl`]: entry.previewUrl,
+          [`${prefix}.previewRefreshedAt`]: new Date(now()),
+          [`${prefix}.previewStatus`]: 'refreshed'
+        });
+      } else {
+        summary.unresolved++;
+        set[`${prefix}.previewStatus`] = 'dead';
+      }
+    }
+    // Guarded on the URL we probed, so an analysis that rewrote the entry meanwhile is not clobbered
+    await profiles.updateOne({ _id: doc._id, [`${prefix}.previewUrl`]: entry.previewUrl }, { $set: set });
+  }
+
+  async function refreshFeatureDoc(doc, summary) {
+    const check = await probe(doc.audioUrl);
+    const set = { audioUrlCheck: check, audioUrlCheckedAt: check.checkedAt };
+    summary.checked++;
+    if (check.alive === null) {
+      summary.inconclusive++;
+    } else if (check.alive) {
+      summary.alive++;
+      set.audioUrlStatus = 'live';
+    } else {
+      summary.dead++;
+      // Only an ISRC identifies the recording well enough to swap the URL under stored features
+      const found = doc.isrc && resolveIsrc ? await resolveIsrc(doc.isrc) : null;
+      if (found && found.audioUrl && found.audioUrl !== doc.audioUrl) {
+        summary.refreshed++;
+        Object.assign(set, { audioUrl: found.audioUrl, previousAudioUrl: doc.audioUrl, audioUrlRefreshedAt: new Date(now()), audioUrlStatus: 'refreshed' });
+        // The old hash keys the dead URL; without a hasher, drop it rather than leave it pointing there
+        set.audioHash = hashUrl ? hashUrl(found.audioUrl) : null;
+      } else {
+        summary.unresolved++;
+        set.audioUrlStatus = 'dead';
+      }
+    }
+    await features.updateOne({ _id: doc._id, audioUrl: doc.audioUrl }, { $set: set });
+  }
+
+  return {
+    /**
+     * @param {{ artistName?: string, limit?: number, force?: boolean, includeFeatures?: boolean, onProgress?: Function }} opts
+     *   limit caps documents per collection; force ignores the recheck window
+     */
+    async run({ artistName = null, limit = 20, force = false, includeFeatures = true, onProgress = () => {} } = {}) {
+      const summary = {
+        profiles: { documents: 0, checked: 0, alive: 0, dead: 0, refreshed: 0, unresolved: 0, inconclusive: 0 },
+        audioFeatures: { documents: 0, checked: 0, alive: 0, dead: 0, refreshed: 0, unresolved: 0, inconclusive: 0 }
+      };
+      const profileFilter = {
+        'trackMatrix.previewUrl': { $type: 'string' },
+        ...(artistName ? { artistName: new RegExp(`^${escapeRegex(artistName)}$`, 'i') } : {}),
+        ...due('previewsCheckedAt', force)
+      };
+      const docs = await profiles.find(profileFilter).sort({ previewsCheckedAt: 1 }).limit(limit).toArray();
+      for (const doc of docs) {
+        for (let i = 0; i < doc.trackMatrix.length; i++) {
+          if (doc.trackMatrix[i] && typeof doc.trackMatrix[i].previewUrl === 'string') await refreshEntry(doc, i, summary.profiles);
+        }
+        await profiles.updateOne({ _id: doc._id }, { $set: { previewsCheckedAt: new Date(now()) } });
+        summary.profiles.documents++;
+        onProgress({ phase: 'profiles', ...summary });
+      }
+      if (features && includeFeatures && !artistName) {
+        const featureDocs = await features.find({ audioUrl: { $type: 'string' }, ...due('audioUrlCheckedAt', force) }).sort({ audioUrlCheckedAt: 1 }).limit(limit).toArray();
+        for (const doc of featureDocs) {
+          await refreshFeatureDoc(doc, summary.audioFeatures);
+          summary.audioFeatures.documents++;
+        }
+        onProgress({ phase: 'audio_features', ...summary });
+      }
+      return summary;
+    }
+  };
+}
+
+module.exports = {
+  MIN_PREVIEW_BYTES,
+  DEFAULT_RECHECK_AFTER_MS,
+  signedUrlExpiry,
+  probePreviewUrl,
+  createPreviewRefresher
+};
@@ -0,0 +1,98 @@
+/**
+ * PREVIEW PROVIDERS
+ * Registry of preview sources for artist analysis. A provider is
+ *   { name, upstream?, search(query, ctx) -> Promise<candidate[]> }
+ * where query is { artistName, trackName, durationMs, isrc, track } and a candidate is
+ *   { audioUrl, source, title, artist, durationMs?, isrc?, exact?, confidence?, metadata? }.
+ * Candidates are scored against the query by the caller's matcher (track-matcher.js);
+ * `exact` marks a preview that belongs to the requested track itself (confidence 1).
+ * `upstream` names the rate-limited API the provider calls (rate-limiter.js);
+ * while that API's circuit is open the provider is skipped without a call.
+ *
+ * `previewStrategy` is an ordered list of provider names (array or comma
+ * separated string) or a preset name; providers are tried in that order and
+ * the best playable candidate at or above the match threshold wins.
+ */
+
+const PRESET_STRATEGIES = {
+  // Apple first; Spotify previews are used when the track already has one, but never searched for.
+  // Beatport and Bandcamp stay opt-in until their page parsers are verified against captured pages.
+  apple_primary: ['spotify', 'apple', 'apple_broad', 'deezer'],
+  // Spotify recovery search before Apple (slow: up to 120 queries per track outside fastMode)
+  balanced: ['spotify', 'spotify_search', 'apple', 'apple_broad', 'deezer', 'beatport', 'bandcamp']
+};
+const DEFAULT_STRATEGY = 'apple_primary';
+
+function createProviderRegistry() {
+  const providers = new Map();
+  return {
+    register(provider) {
+      if (!provider || !provider.name || typeof provider.search !== 'function') throw new Error('A preview provider needs a name and a search function');
+      providers.set(provider.name, provider);
+      return provider;
+    },
+    get: name => providers.get(name) || null,
+    names: () => [...providers.keys()]
+  };
+}
+
+/**
+ * Ordered provider names for a previewStrategy value (preset, comma list or array).
+ * @returns {{ order: string[] } | { error: string }}
+ */
+function parsePreviewStrategy(value, registry, fallback = DEFAULT_STRATEGY) {
+  const raw = value === undefined || value === null || value === '' ? fallback : value;
+  let names;
+  if (Array.isArray(raw)) names = raw;
+  else if (typeof raw === 'string') names = PRESET_STRATEGIES[raw.trim().toLowerCase()] || raw.split(',');
+  else return { error: 'previewStrategy must be a preset name, a comma-separated list or an array of provider names' };
+  const order = [...new Set(names.map(n => String(n).trim().toLowerCase()).filter(Boolean))];
+  const unknown = order.filter(n => !registry.get(n));
+  if (unknown.length) return { error: `Unknown preview provider(s): ${unknown.join(', ')} (available: ${registry.names().join(', ')}; presets: ${Object.keys(PRESET_STRATEGIES).join(', ')})` };
+  if (order.length === 0) return { error: 'previewStrategy lists no providers' };
+  return { order };
+}
+
+/**
+ * Try providers in order; resolves with the best-matching playable candidate of the first provider that has one.
+ * @param {string[]} order provider names
+ * @param {object} query { artistName, trackName, durationMs, isrc, track }
+ * @param {{ registry: object, ctx?: object, score?: Function, minScore?: number, isAvailable?: Function, onAttempt?: Function }} opts
+ *   score(query, candidate) -> { score, ... } rates non-exact candidates (default: their own confidence);
+ *   onAttempt({ provider, outcome: 'hit'|'miss'|'rejected'|'skipped'|'error', candidates, bestScore?, error? }) after each provider
+ * @returns {Promise<object|null>} candidate plus `provider` and `match`, or null
+ */
+async function acquirePreview(order, query, { registry, ctx = {}, score = null, minScore = 0, isAvailable = () => true, onAttempt = () => {} }) {
+  for (const name of order) {
+    const provider = registry.get(name);
+    if (!provider) continue;
+    if (provider.upstream && !isAvailable(provider.upstream)) {
+      onAttempt({ provider: name, outcome: 'skipped', candidates: 0 });
+      continue;
+    }
+    let candidates;
+    try {
+      candidates = (await provider.search(query, ctx)) || [];
+    } catch (error) {
+      onAttempt({ provider: name, outcome: 'error', candidates: 0, error });
+      continue;
+    }
+    const scored = candidates
+      .filter(c => c && c.audioUrl)
+      .map(c => ({ ...c, match: c.exact || !score ? { score: c.confidence !== undefined ? c.confidence : 1, ...(c.exact ? { exact: true } : {}) } : score(query, c) }))
+      .sort((a, b) => b.match.score - a.match.score);
+    const accepted = scored.filter(c => c.match.score >= minScore);
+    const outcome = accepted.length ? 'hit' : (scored.length ? 'rejected' : 'miss');
+    onAttempt({ provider: name, outcome, candidates: candidates.length, ...(scored.length ? { bestScore: scored[0].match.score } : {}) });
+    if (accepted.length) return { ...accepted[0], provider: name };
+  }
+  return null;
+}
+
+module.exports = {
+  PRESET_STRATEGIES,
+  DEFAULT_STRATEGY,
+  createProviderRegistry,
+  parsePreviewStrategy,
+  acquirePreview
+};
@@ -0,0 +1,76 @@
+/**
+ * PROGRESS EVENTS
+ * In-process pub/sub for analysis progress, keyed by correlationId. Every
+ * channel keeps a bounded replay buffer so a client that connects late (or
+ * reconnects with Last-Event-ID) still sees what it missed. Channels are
+ * dropped a while after their terminal event. Events only reach subscribers
+ * on the same process; background jobs also persist progress in their job
+ * document (see job-store.js).
+ */
+
+const { EventEmitter } = require('events');
+
+const TERMINAL_EVENTS = ['complete', 'failed'];
+const DEFAULT_REPLAY_LIMIT = 500;
+const DEFAULT_RETAIN_MS = 10 * 60 * 1000;
+
+function createProgressHub({ replayLimit = DEFAULT_REPLAY_LIMIT, retainMs = DEFAULT_RETAIN_MS, now = Date.now } = {}) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const channels = new Map(); // key -> { seq, events, finishedAt, touchedAt }
+
+  function prune() {
+    const cutoff = now() - retainMs;
+    for (const [key, channel] of channels) {
+      if ((channel.finishedAt || channel.touchedAt) < cutoff && emitter.listenerCount(key) === 0) channels.delete(key);
+    }
+  }
+
+  return {
+    publish(key, type, data = {}) {
+      if (!key) return null;
+      let channel = channels.get(key);
+      if (!channel) {
+        prune();
+        channel = { seq: 0, events: [], finishedAt: null, touchedAt: now() };
+        channels.set(key, channel);
+      }
+      const event = { id: ++channel.seq, type, ts: new Date(now()).toISOString(), data };
+      channel.events.push(event);
+      if (channel.events.length > replayLimit) channel.events.shift();
+      channel.touchedAt = now();
+      // A new run on the same correlationId reopens the channel
+      channel.finishedAt = TERMINAL_EVENTS.includes(type) ? now() : null;
+      emitter.emit(key, event);
+      return event;
+    },
+
+    // Replays buffered events after lastEventId, then forwards live ones; returns unsubscribe
+    subscribe(key, listener, { lastEventId = 0 } = {}) {
+      const channel = channels.get(key);
+      if (channel) for (const event of channel.events) if (event.id > lastEventId) listener(event);
+      emitter.on(key, listener);
+      return () => emitter.off(key, listener);
+    },
+
+    isFinished(key) {
+      const channel = channels.get(key);
+      return !!channel && channel.finishedAt !== null;
+    },
+
+    stats() {
+      return { channels: channels.size, subscribers: [...channels.keys()].reduce((n, key) => n + emitter.listenerCount(key), 0) };
+    }
+  };
+}
+
+// text/event-stream frame
+function formatSseEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, ts: event.ts })}\n\n`;
+}
+
+module.exports = {
+  TERMINAL_EVENTS,
+  createProgressHub,
+  formatSseEvent
+};
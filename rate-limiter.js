@@ -0,0 +1,240 @@
+/**
+ * UPSTREAM RATE LIMITING
+ * One token bucket per upstream API (Spotify, iTunes, Apple Music, Deezer, YouTube, Beatport, Bandcamp) shared
+ * by server.js and enhanced-audio-sources.js, so concurrent requests, batches
+ * and background jobs draw from the same budget. Callers wait for a token
+ * (FIFO) instead of firing and getting 429s. A 429 pauses the whole bucket for
+ * its Retry-After and the request is retried. A caller that would wait longer
+ * than maxWaitMs in total (queue, refill or pause) fails fast with
+ * UpstreamRateLimitError instead of silently returning "no preview". Each provider also has a circuit breaker
+ * (circuit-breaker.js), so a provider that keeps failing is refused at once.
+ */
+
+const { ProviderUnavailableError, createCircuitBreaker } = require('./circuit-breaker');
+
+const DEFAULT_MAX_WAIT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_MS = 2000; // 429 without Retry-After: 2s, 4s, ...
+const DEFAULT_TIMEOUT_MS = 10000; // a hung provider should fail (and count against its breaker), not stall the track
+
+// Per-minute budgets are below each provider's published/observed limits; burst is the bucket size
+const PROVIDER_LIMITS = {
+  spotify: { perMinute: 180, burst: 10 },
+  itunes: { perMinute: 20, burst: 5 }, // iTunes Search API: ~20 calls per minute
+  deezer: { perMinute: 300, burst: 10 }, // Deezer: 50 requests per 5 seconds
+  youtube: { perMinute: 30, burst: 5 },
+  apple_music: { perMinute: 300, burst: 10 }, // Apple Music catalog API (ISRC lookups); limits are not published
+  // Store pages (store-previews.js): no API, so stay well clear of bot protection
+  beatport: { perMinute: 30, burst: 3 },
+  bandcamp: { perMinute: 30, burst: 3 }
+};
+
+class UpstreamRateLimitError extends Error {
+  constructor(provider, waitMs) {
+    super(`${provider} rate limited; next request allowed in ${Math.ceil(waitMs / 1000)}s`);
+    this.name = 'UpstreamRateLimitError';
+    this.code = 'UPSTREAM_RATE_LIMITED';
+    this.provider = provider;
+    this.retryAfterMs = waitMs;
+  }
+}
+
+// The upstream was not asked (rate limit, open circuit): unlike an empty answer, this says nothing about the track.
+// Lookup helpers rethrow these so callers can report them instead of "no preview".
+function isUpstreamRefusal(error) {
+  return error instanceof UpstreamRateLimitError || error instanceof ProviderUnavailableError;
+}
+
+// Retry-After is either delta-seconds or an HTTP date; null when absent/unparseable
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text) * 1000);
+  const at = Date.parse(text);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/**
+ * @param {string} name provider label
+ * @param {{ perMinute: number, burst: number }} limits
+ * @param {{ now?: Function, sleep?: Function, maxWaitMs?: number }} opts clock/sleep are injectable for tests
+ */
+function createTokenBucket(name, { perMinute, burst }, opts = {}) {
+  const now = opts.now || Date.now;
+  const sleep = opts.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const maxWaitMs = opts.maxWaitMs !== undefined ? opts.maxWaitMs : DEFAULT_MAX_WAIT_MS;
+  const ratePerMs = perMinute / 60000;
+  const capacity = Math.max(1, burst);
+  const counters = { granted: 0, delayed: 0, waitedMs: 0, rateLimited: 0, rejected: 0 };
+  let tokens = capacity;
+  let refilledAt = now();
+  let blockedUntil = 0;
+  let waiting = 0;
+  let turn = Promise.resolve(); // FIFO: each acquire waits for the previous one
+
+  function refill() {
+    const t = now();
+    tokens = Math.min(capacity, tokens + (t - refilledAt) * ratePerMs);
+    refilledAt = t;
+  }
+
+  // Waiting waitMs more would take the caller past maxWaitMs since it asked (its time in the queue counts too)
+  const pastDeadline = (start, waitMs) => now() - start + waitMs > maxWaitMs;
+
+  async function take(start) {
+    for (;;) {
+      refill();
+      const blockedMs = blockedUntil - now();
+      if (blockedMs > 0) {
+        if (pastDeadline(start, blockedMs)) throw new UpstreamRateLimitError(name, blockedMs);
+        await sleep(blockedMs);
+        continue;
+      }
+      if (tokens >= 1) {
+        tokens -= 1;
+        counters.granted++;
+        const waited = now() - start;
+        if (waited > 0) {
+          counters.delayed++;
+          counters.waitedMs += waited;
+        }
+        return;
+      }
+      const refillMs = Math.ceil((1 - tokens) / ratePerMs);
+      if (pastDeadline(start, refillMs)) throw new UpstreamRateLimitError(name, refillMs);
+      await sleep(refillMs);
+    }
+  }
+
+  return {
+    name,
+
+    // Resolves when a request may be sent; rejects with UpstreamRateLimitError when that would take over maxWaitMs
+    acquire() {
+      const start = now();
+      waiting++;
+      const mine = turn.then(() => take(start));
+      turn = mine.catch(() => {});
+      return mine.then(
+        () => { waiting--; },
+        error => {
+          waiting--;
+          counters.rejected++;
+          throw error;
+        }
+      );
+    },
+
+    // Upstream said 429: nobody sends for ms
+    pause(ms) {
+      counters.rateLimited++;
+      refill();
+      tokens = 0;
+      blockedUntil = Math.max(blockedUntil, now() + ms);
+    },
+
+    stats() {
+      refill();
+      return {
+        perMinute,
+        burst: capacity,
+        tokens: +tokens.toFixed(2),
+        waiting,
+        pausedForMs: Math.max(0, blockedUntil - now()),
+        ...counters
+      };
+    }
+  };
+}
+
+/**
+ * Buckets and breakers for every provider and a fetch that goes through them. Env overrides:
+ * RATE_LIMIT_<PROVIDER>_PER_MIN, CIRCUIT_FAILURE_THRESHOLD, CIRCUIT_COOLDOWN_MS, UPSTREAM_TIMEOUT_MS.
+ * @param {object} env process.env-like
+ * @param {{ fetch?: Function, now?: Function, sleep?: Function, maxRetries?: number, onRateLimited?: Function }} opts
+ */
+function createUpstreamLimiter(env = {}, opts = {}) {
+  const now = opts.now || Date.now;
+  const maxRetries = opts.maxRetries !== undefined ? opts.maxRetries : DEFAULT_MAX_RETRIES;
+  const timeoutMs = parseInt(env.UPSTREAM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+  const breakerOpts = {
+    failureThreshold: parseInt(env.CIRCUIT_FAILURE_THRESHOLD, 10) || undefined,
+    cooldownMs: parseInt(env.CIRCUIT_COOLDOWN_MS, 10) || undefined,
+    now
+  };
+  const buckets = {};
+  const breakers = {};
+  for (const [provider, limits] of Object.entries(PROVIDER_LIMITS)) {
+    const perMinute = parseFloat(env[`RATE_LIMIT_${provider.toUpperCase()}_PER_MIN`]) || limits.perMinute;
+    buckets[provider] = createTokenBucket(provider, { perMinute, burst: limits.burst }, { now, sleep: opts.sleep });
+    breakers[provider] = createCircuitBreaker(provider, breakerOpts);
+  }
+  const baseFetch = opts.fetch || ((...args) => require('node-fetch')(...args));
+
+  // Network errors and 5xx count against the breaker; any other answer (429 included) shows the provider is up
+  async function send(breaker, url, options) {
+    breaker.beforeRequest();
+    let resp;
+    try {
+      resp = await baseFetch(url, { timeout: timeoutMs, ...options });
+    } catch (error) {
+      breaker.onFailure(error);
+      throw error;
+    }
+    if (resp.status >= 500) breaker.onFailure(new Error(`HTTP ${resp.status}`));
+    else breaker.onSuccess();
+    return resp;
+  }
+
+  async function upstreamFetch(provider, url, options) {
+    const bucket = buckets[provider];
+    if (!bucket) throw new Error(`Unknown upstream provider: ${provider}`);
+    const breaker = breakers[provider];
+    for (let attempt = 0; ; attempt++) {
+      breaker.assertAvailable(); // open circuit: fail before waiting for a token
+      await bucket.acquire();
+      const resp = await send(breaker, url, options);
+      if (resp.status !== 429) return resp;
+      const header = resp.headers && resp.headers.get ? resp.headers.get('retry-after') : null;
+      const retryAfterMs = parseRetryAfter(header, now());
+      const pauseMs = retryAfterMs !== null ? retryAfterMs : DEFAULT_RETRY_MS * Math.pow(2, attempt);
+      bucket.pause(pauseMs);
+      if (opts.onRateLimited) opts.onRateLimited({ provider, attempt: attempt + 1, retryAfterMs: pauseMs, fromHeader: retryAfterMs !== null });
+      // The 429 is returned to the caller (its !resp.ok branch) once retries are used up
+      if (attempt >= maxRetries) return resp;
+    }
+  }
+
+  return {
+    fetch: upstreamFetch,
+    isAvailable: provider => !breakers[provider] || breakers[provider].isAvailable(),
+    stats() {
+      const out = {};
+      for (const [provider, bucket] of Object.entries(buckets)) out[provider] = bucket.stats();
+      return out;
+    },
+    circuitStates() {
+      const out = {};
+      for (const [provider, breaker] of Object.entries(breakers)) out[provider] = breaker.stats();
+      return out;
+    }
+  };
+}
+
+// Process-wide instance: every module that calls an upstream API must use this one
+const upstream = createUpstreamLimiter(process.env, {
+  onRateLimited: info => console.log(JSON.stringify({ evt: 'upstream_rate_limited', ts: new Date().toISOString(), ...info }))
+});
+
+module.exports = {
+  PROVIDER_LIMITS,
+  UpstreamRateLimitError,
+  isUpstreamRefusal,
+  parseRetryAfter,
+  createTokenBucket,
+  createUpstreamLimiter,
+  upstreamFetch: upstream.fetch,
+  isProviderAvailable: upstream.isAvailable,
+  rateLimitStats: upstream.stats,
+  circuitStates: upstream.circuitStates
+};
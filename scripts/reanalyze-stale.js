@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Re-analyze stored results produced by an older extractor version.
+ * Walks audio_features, artist_genre_profiles.trackMatrix and
+ * artistGenres.essentiaAudioProfile.trackMatrix for entries whose
+ * `analysis_version` is not CURRENT_ANALYSIS_VERSION (see analysis-version.js),
+ * re-runs each preview through the service's /api/analyze and writes the new
+ * features back in place: onto the stale audio_features document itself (the
+ * route may read it by trackId or ISRC, not only by the URL's hash), and into
+ * trackMatrix entries (artist averages and key distribution are recomputed).
+ *
+ * Usage: node scripts/reanalyze-stale.js --dry
+ *        node scripts/reanalyze-stale.js --collections audio_features,artistGenres --limit 200
+ * Options:
+ *   --collections a,b : subset of audio_features, artist_genre_profiles, artistGenres (default: all)
+ *   --limit N         : max documents per collection (default 500)
+ *   --delay MS        : pause between analyses (default 250)
+ *   --dry             : only count stale documents/entries
+ * Env: MONGODB_URI, ESSENTIA_SERVICE_URL (default http://localhost:3001)
+ * Progress lines: METRIC|reanalyze|success|failure|skipped (one per track)
+ */
+
+const fetch = require('node-fetch');
+const { MongoClient } = require('mongodb');
+const { CURRENT_ANALYSIS_VERSION, staleVersionFilter } = require('../analysis-version');
+const { calculateKeyDistribution } = require('../key-notation');
+
+const args = process.argv.slice(2);
+function hasFlag(n){ return args.includes('--'+n); }
+function getArg(n,def){ const i = args.indexOf('--'+n); return i===-1?def:args[i+1]; }
+
+const SERVICE_URL = process.env.ESSENTIA_SERVICE_URL || process.env.ESSENTIA_URL || 'http://localhost:3001';
+const ALL_COLLECTIONS = ['audio_features', 'artist_genre_profiles', 'artistGenres'];
+const DETAIL_BLOCKS = ['beats', 'timeseries']; // opt-in /api/analyze blocks stored beside features
+
+function isStale(features) {
+  return !features || features.analysis_version !== CURRENT_ANALYSIS_VERSION;
+}
+
+function metric(run, outcome) {
+  run.totals[outcome]++;
+  console.log(`METRIC|reanalyze|${outcome}`);
+}
+
+// Features (and any requested detail blocks) from the service's /api/analyze
+async function analyzeRemote(audioUrl, trackId, { include = [], hop } = {}) {
+  const resp = await fetch(`${SERVICE_URL}/api/analyze`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-correlation-id': `reanalyze-${Date.now()}` },
+    body: JSON.stringify({ audioUrl, trackId, ...(include.length ? { include: include.join(',') } : {}), ...(hop ? { hop } : {}) })
+  });
+  const body = await resp.json().catch(() => ({}));
+  if (!resp.ok || !body.success) throw new Error(body.error || `analyze failed ${resp.status}`);
+  if (body.features.analysis_version !== CURRENT_ANALYSIS_VERSION) {
+    throw new Error(`service returned analysis_version ${body.features.analysis_version}; deploy ${CURRENT_ANALYSIS_VERSION} first`);
+  }
+  return body;
+}
+
+// Same rule as /api/analyze-artist: mean of every finite numeric feature
+function averageNumericFeatures(trackMatrix) {
+  const sums = {}; const counts = {};
+  for (const t of trackMatrix) {
+    for (const [key, value] of Object.entries(t.essentiaFeatures || {})) {
+      if (Number.isFinite(value)) { sums[key] = (sums[key] || 0) + value; counts[key] = (counts[key] || 0) + 1; }
+    }
+  }
+  const averages = {};
+  for (const key of Object.keys(sums)) averages[key] = sums[key] / counts[key];
+  return averages;
+}
+
+async function refreshTrackMatrix(run, label, trackMatrix) {
+  let changed = false;
+  for (let i = 0; i < trackMatrix.length; i++) {
+    const entry = trackMatrix[i];
+    if (!isStale(entry.essentiaFeatures)) continue;
+    run.totals.stale++;
+    if (run.dryRun) continue;
+    if (!entry.previewUrl) { metric(run, 'skipped'); continue; }
+    try {
+      console.log(`   [${label}] track ${i + 1}/${trackMatrix.length}: ${entry.name || entry.trackId}`);
+      entry.essentiaFeatures = (await run.analyze(entry.previewUrl, entry.trackId)).features;
+      entry.analyzedAt = new Date();
+      changed = true;
+      metric(run, 'success');
+    } catch (e) {
+      console.error(`   ❌ ${entry.name || entry.previewUrl}: ${e.message}`);
+      metric(run, 'failure');
+    }
+    await run.sleep(run.delayMs);
+  }
+  return changed;
+}
+
+async function reanalyzeAudioFeatures(run, db) {
+  const col = db.collection('audio_features');
+  const filter = staleVersionFilter('features.analysis_version');
+  const total = await col.countDocuments(filter);
+  console.log(`\n📦 audio_features: ${total} stale document(s)`);
+  const docs = await col.find(filter).project({ _id: 1, audioHash: 1, trackId: 1, audioUrl: 1, 'timeseries.hop_seconds': 1, beats: 1 }).limit(run.limit).toArray();
+  for (let i = 0; i < docs.length; i++) {
+    const doc = docs[i];
+    run.totals.stale++;
+    if (run.dryRun) continue;
+    // Uploads have no URL to re-fetch; they are re-analyzed when uploaded again
+    if (!doc.audioUrl) { metric(run, 'skipped'); continue; }
+    try {
+      console.log(` [${i + 1}/${docs.length}] ${doc.trackId || doc.audioHash}`);
+      // Detail blocks the document carries are stale too; ask for them again
+      const include = DETAIL_BLOCKS.filter(block => doc[block]);
+      const result = await run.analyze(doc.audioUrl, doc.trackId, { include, hop: doc.timeseries && doc.timeseries.hop_seconds });
+      const detail = Object.fromEntries(include.filter(block => result[block]).map(block => [block, result[block]]));
+      // The service caches under the URL's hash, which need not be this document: write it here too
+      await col.updateOne({ _id: doc._id }, { $set: {
+        features: result.features, ...detail, analysisVersion: result.features.analysis_version, reanalyzedAt: new Date()
+      } });
+      run.totals.docsUpdated++;
+      metric(run, 'success');
+    } catch (e) {
+      console.error(`   ❌ ${doc.audioHash}: ${e.message}`);
+      metric(run, 'failure');
+    }
+    await run.sleep(run.delayMs);
+  }
+}
+
+async function reanalyzeProfiles(run, db, collectionName, matrixPath) {
+  const col = db.collection(collectionName);
+  const prefix = matrixPath.replace(/trackMatrix$/, '');
+  const filter = { [matrixPath]: { $elemMatch: { 'essentiaFeatures.analysis_version': { $ne: CURRENT_ANALYSIS_VERSION } } } };
+  const total = await col.countDocuments(filter);
+  console.log(`\n📦 ${collectionName}: ${total} document(s) with stale trackMatrix entries`);
+  const docs = await col.find(filter).project({ _id: 1, name: 1, artistName: 1, [matrixPath]: 1 }).limit(run.limit).toArray();
+  for (let i = 0; i < docs.length; i++) {
+    const doc = docs[i];
+    const name = doc.artistName || doc.name || String(doc._id);
+    const trackMatrix = matrixPath.split('.').reduce((o, k) => (o ? o[k] : undefined), doc) || [];
+    console.log(` [${i + 1}/${docs.length}] ${name} (${trackMatrix.length} tracks)`);
+    const changed = await refreshTrackMatrix(run, name, trackMatrix);
+    if (!changed) continue;
+    await col.updateOne({ _id: doc._id }, { $set: {
+      [matrixPath]: trackMatrix,
+      [`${prefix}averageFeatures`]: averageNumericFeatures(trackMatrix),
+      [`${prefix}keyDistribution`]: calculateKeyDistribution(trackMatrix),
+      [`${prefix}analysisVersion`]: CURRENT_ANALYSIS_VERSION,
+      [`${prefix}reanalyzedAt`]: new Date()
+    } });
+    run.totals.docsUpdated++;
+  }
+}
+
+/**
+ * @param {import('mongodb').Db} db
+ * @param {{ collections?: string[], limit?: number, delayMs?: number, dryRun?: boolean, analyze?: Function, sleep?: Function, totals?: object }} opts
+ *   analyze(audioUrl, trackId, { include, hop }) -> /api/analyze response body (injectable for tests);
+ *   totals is filled in as the run goes, so an aborted run still reports its progress
+ * @returns {Promise<object>} totals
+ */
+async function reanalyzeStale(db, { collections = ALL_COLLECTIONS, limit = 500, delayMs = 250, dryRun = false, analyze = analyzeRemote, sleep = ms => new Promise(r => setTimeout(r, ms)), totals = {} } = {}) {
+  Object.assign(totals, { stale: 0, success: 0, failure: 0, skipped: 0, docsUpdated: 0 });
+  const run = { limit, delayMs, dryRun, analyze, sleep, totals };
+  if (collections.includes('audio_features')) await reanalyzeAudioFeatures(run, db);
+  if (collections.includes('artist_genre_profiles')) await reanalyzeProfiles(run, db, 'artist_genre_profiles', 'trackMatrix');
+  if (collections.includes('artistGenres')) await reanalyzeProfiles(run, db, 'artistGenres', 'essentiaAudioProfile.trackMatrix');
+  return run.totals;
+}
+
+async function main() {
+  const collections = getArg('collections', ALL_COLLECTIONS.join(',')).split(',').map(c => c.trim()).filter(c => ALL_COLLECTIONS.includes(c));
+  const limit = parseInt(getArg('limit', '500'), 10);
+  const delayMs = parseInt(getArg('delay', '250'), 10);
+  const dryRun = hasFlag('dry') || hasFlag('dryRun');
+  const MONGODB_URI = process.env.MONGODB_URI;
+  if (!MONGODB_URI) { console.error('Missing MONGODB_URI'); process.exit(2); }
+  console.log(`🔁 Re-analyzing results older than ${CURRENT_ANALYSIS_VERSION} via ${SERVICE_URL}${dryRun ? ' (dry run)' : ''}`);
+  const client = await MongoClient.connect(MONGODB_URI);
+  const db = client.db();
+  const totals = {};
+  try {
+    await reanalyzeStale(db, { collections, limit, delayMs, dryRun, totals });
+  } catch (e) {
+    console.error('❌ Re-analysis aborted:', e.message);
+    process.exitCode = 1;
+  }
+  console.log('===REANALYZE_JSON_START===');
+  console.log(JSON.stringify({ analysisVersion: CURRENT_ANALYSIS_VERSION, collections, dryRun, ...totals }, null, 2));
+  console.log('===REANALYZE_JSON_END===');
+  await client.close();
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  isStale,
+  averageNumericFeatures,
+  reanalyzeStale
+};
@@ -0,0 +1,112 @@
+/**
+ * CLIP SEGMENTATION
+ * Splits a preview into energy sections from the frame-level loudness curve and
+ * labels them intro / build / drop / breakdown. Built for 30s previews of
+ * dance music, where sections are separated by clear level changes.
+ */
+
+const MIN_SEGMENT_SEC = 3;
+const SMOOTH_SEC = 1;
+
+function movingAverage(values, radius) {
+  const out = new Array(values.length);
+  let sum = 0;
+  let count = 0;
+  let lo = 0;
+  let hi = -1;
+  for (let i = 0; i < values.length; i++) {
+    while (hi < Math.min(values.length - 1, i + radius)) { sum += values[++hi]; count++; }
+    while (lo < i - radius) { sum -= values[lo++]; count--; }
+    out[i] = sum / count;
+  }
+  return out;
+}
+
+function quantile(values, q) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+function snapToBeat(time, beats) {
+  if (!beats || beats.length === 0) return time;
+  return beats.reduce((best, b) => (Math.abs(b - time) < Math.abs(best - time) ? b : best), beats[0]);
+}
+
+// Boundaries at the largest level changes, at least MIN_SEGMENT_SEC apart
+function findBoundaries(times, smoothed, hopSeconds, minSegmentSec) {
+  const lag = Math.max(1, Math.round(SMOOTH_SEC / hopSeconds));
+  const prefix = [0];
+  smoothed.forEach(v => prefix.push(prefix[prefix.length - 1] + v));
+  const windowMean = (from, to) => (prefix[to] - prefix[from]) / Math.max(1, to - from);
+  // Mean level of the window after each frame vs the window before it
+  const novelty = smoothed.map((_, i) => {
+    if (i === 0) return 0;
+    const before = windowMean(Math.max(0, i - lag), i);
+    const after = windowMean(i, Math.min(smoothed.length, i + lag));
+    return Math.abs(after - before);
+  });
+  const threshold = Math.max(3, quantile(novelty, 0.9)); // dB of change between the sides
+  const minFrames = Math.round(minSegmentSec / hopSeconds);
+  const candidates = novelty
+    .map((v, i) => ({ i, v }))
+    .filter(({ i, v }) => v >= threshold && v >= (novelty[i - 1] || 0) && v >= (novelty[i + 1] || 0))
+    .sort((a, b) => b.v - a.v);
+  const chosen = [];
+  for (const c of candidates) {
+    if (c.i < minFrames || c.i > times.length - minFrames) continue;
+    if (chosen.every(i => Math.abs(i - c.i) >= minFrames)) chosen.push(c.i);
+  }
+  return chosen.sort((a, b) => a - b);
+}
+
+function labelSegments(segments, clipHigh) {
+  return segments.map((seg, idx) => {
+    const rising = seg.slope_db_per_sec > 1;
+    let label;
+    if (rising && seg.mean_loudness_db < clipHigh) label = 'build';
+    else if (seg.mean_loudness_db >= clipHigh) label = 'drop';
+    else if (idx === 0) label = 'intro';
+    else label = 'breakdown';
+    return { ...seg, label };
+  });
+}
+
+/**
+ * @param {{ times: number[], loudness_db: number[], hop_seconds: number }} curves
+ * @param {{ beats?: number[], minSegmentSec?: number }} [opts] beat times used to snap boundaries
+ * @returns {Array<{ start: number, end: number, label: string, mean_loudness_db: number, slope_db_per_sec: number }>}
+ */
+function segmentClip(curves, opts = {}) {
+  const { times, loudness_db: loudness, hop_seconds: hopSeconds } = curves;
+  if (!times || times.length === 0) return [];
+  const duration = times[times.length - 1] + hopSeconds;
+  const radius = Math.max(1, Math.round(SMOOTH_SEC / hopSeconds / 2));
+  const smoothed = movingAverage(loudness, radius);
+  const boundaries = findBoundaries(times, smoothed, hopSeconds, opts.minSegmentSec || MIN_SEGMENT_SEC);
+  const edges = [0, ...boundaries.map(i => snapToBeat(times[i], opts.beats)), duration];
+
+  const segments = [];
+  for (let s = 0; s < edges.length - 1; s++) {
+    const start = edges[s];
+    const end = edges[s + 1];
+    const idx = times.map((t, i) => i).filter(i => times[i] >= start && times[i] < end);
+    if (idx.length === 0) continue;
+    const level = idx.reduce((sum, i) => sum + smoothed[i], 0) / idx.length;
+    const first = smoothed[idx[0]];
+    const last = smoothed[idx[idx.length - 1]];
+    const span = Math.max(hopSeconds, times[idx[idx.length - 1]] - times[idx[0]]);
+    segments.push({
+      start: +start.toFixed(3),
+      end: +end.toFixed(3),
+      mean_loudness_db: +level.toFixed(2),
+      slope_db_per_sec: +((last - first) / span).toFixed(3)
+    });
+  }
+  const clipHigh = quantile(smoothed, 0.75) - 1.5;
+  return labelSegments(segments, clipHigh);
+}
+
+module.exports = {
+  movingAverage,
+  segmentClip
+};
@@ -1,17 +1,53 @@
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
 const { MongoClient } = require('mongodb');
 const fetch = require('node-fetch');
 const crypto = require('crypto');
-  const { findAlternativeAudioSource, inferAudioFeaturesFromGenres, findDeezerArtistTracks } = require('./enhanced-audio-sources');
+const os = require('os');
+const path = require('path');
+const { inferAudioFeaturesFromGenres, findDeezerArtistTracks, searchDeezerTracks, findDeezerTrackByIsrc, findYouTubeAudioUrl } = require('./enhanced-audio-sources');
+const { searchBeatport, searchBandcamp } = require('./store-previews');
+const { downloadPreview, prepareAudio, extractPrepared, DEFAULT_TIMESERIES_HOP_SEC, PREVIEW_WINDOW_SECONDS } = require('./essentia-analyzer');
+const { AudioDecodeError } = require('./audio-decoder');
+const { calculateKeyDistribution } = require('./key-notation');
+const { CURRENT_ANALYSIS_VERSION, isCurrentAnalysis, staleVersionFilter } = require('./analysis-version');
+const { MATCH_THRESHOLD, compareFingerprints, decodeFingerprint, fingerprintKeys } = require('./audio-fingerprint');
+const { createJobStore, describeJob, JOB_LEASE_MS: DEFAULT_JOB_LEASE_MS } = require('./job-store');
+const { parseCallback, deliverWebhook } = require('./webhook-delivery');
+const { TERMINAL_EVENTS, createProgressHub, formatSseEvent } = require('./progress-events');
+const { createPool, mapInOrder } = require('./task-pool');
+const { createPreviewCache } = require('./preview-cache');
+const { createBatchStore, describeBatch } = require('./batch-store');
+const { UpstreamRateLimitError, isUpstreamRefusal, upstreamFetch, isProviderAvailable, rateLimitStats, circuitStates } = require('./rate-limiter');
+const { createSpotifyTokenManager } = require('./spotify-token');
+const { DEFAULT_STRATEGY, createProviderRegistry, parsePreviewStrategy, acquirePreview } = require('./preview-providers');
+const { DEFAULT_MATCH_THRESHOLD, normalizeIsrc, artistSimilarity, scoreMatch, rankCandidates } = require('./track-matcher');
+const { APPLE_STOREFRONTS, preferStorefront, searchItunes } = require('./apple-storefronts');
+const { probePreviewUrl, createPreviewRefresher, DEFAULT_RECHECK_AFTER_MS } = require('./preview-liveness');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const MONGODB_URI = process.env.MONGODB_URI;
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES || String(10 * 1024 * 1024), 10);
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+const jsonBody = express.json({ limit: '10mb' });
+// Only /api/analyze takes base64 uploads; its parser leaves room for them (4/3 overhead)
+const analyzeJsonBody = express.json({ limit: Math.max(10 * 1024 * 1024, Math.ceil(MAX_UPLOAD_BYTES * 1.4)) });
+app.use((req, res, next) => (req.path === '/api/analyze' ? next() : jsonBody(req, res, next)));
+
+// Multipart audio uploads for /api/analyze (kept in memory, capped)
+const audioUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
+function acceptAudioUpload(req, res, next) {
+  audioUpload.single('audio')(req, res, (err) => {
+    if (!err) return next();
+    const correlationId = withCorrelation(req);
+    const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge ? 413 : 400).json({ success: false, error: tooLarge ? `Audio upload exceeds ${MAX_UPLOAD_BYTES} bytes` : err.message, correlationId });
+  });
+}
 
 // MongoDB connection (guarded)
 let db;
@@ -20,7 +56,14 @@ if (MONGODB_URI && typeof MONGODB_URI === 'string' && MONGODB_URI.trim().length
     .then(client => {
       console.log('📊 Connected to MongoDB');
       db = client.db();
+      return Promise.all([
+        initBatchStore(),
+        initJobStore(),
+        db.collection('audio_features').createIndex({ isrc: 1 }, { sparse: true }),
+        db.collection('audio_features').createIndex({ fingerprintKeys: 1 })
+      ]);
     })
+    .then(() => schedulePreviewRefresh())
     .catch(error => console.error('MongoDB connection error:', error));
 } else {
   console.log('⚠️ MongoDB connection skipped: MONGODB_URI not set or empty. Continuing without DB.');
@@ -41,6 +84,286 @@ function withCorrelation(req) {
   return req.headers['x-correlation-id'] || crypto.randomUUID();
 }
 
+// -------- Execution Pools --------
+// Network work (preview lookups, downloads) and CPU work (decode + extraction) are limited separately.
+// Extraction runs synchronously on the main thread, so ANALYSIS_CONCURRENCY above 1 only overlaps the async steps.
+const NETWORK_CONCURRENCY = parseInt(process.env.NETWORK_CONCURRENCY || '4', 10);
+const ANALYSIS_CONCURRENCY = parseInt(process.env.ANALYSIS_CONCURRENCY || '1', 10);
+const networkPool = createPool('network', NETWORK_CONCURRENCY);
+const cpuPool = createPool('analysis', ANALYSIS_CONCURRENCY);
+// Tracks a list endpoint works on at once: enough to keep both pools busy without holding every item's audio in memory
+const ITEMS_IN_FLIGHT = networkPool.concurrency + cpuPool.concurrency;
+
+// -------- Preview Cache --------
+// Downloaded preview bytes on local disk (ephemeral on Heroku, but survives re-analysis and batch re-runs)
+const previewCache = createPreviewCache({
+  dir: process.env.PREVIEW_CACHE_DIR || path.join(os.tmpdir(), 'tiko-preview-cache'),
+  maxBytes: parseInt(process.env.PREVIEW_CACHE_MAX_BYTES || String(512 * 1024 * 1024), 10)
+});
+
+// -------- Spotify App Token --------
+// Used when a request brings no spotifyCredentials; cached across requests until shortly before expiry
+const spotifyTokens = createSpotifyTokenManager({
+  clientId: process.env.SPOTIFY_CLIENT_ID,
+  clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
+  fetch: (url, opts) => upstreamFetch('spotify', url, opts)
+});
+if (!spotifyTokens.configured) log('spotify_credentials_missing', { missing: spotifyTokens.status().missing });
+
+// -------- Preview Providers --------
+// Preview sources for artist tracks, tried in previewStrategy order (request body, else PREVIEW_STRATEGY)
+const previewProviders = createProviderRegistry();
+const SPOTIFY_PREVIEW_MARKETS = (process.env.SPOTIFY_PREVIEW_MARKETS || 'US,GB,DE,SE,CA').split(',').map(m => m.trim()).filter(Boolean);
+// Apple Music catalog API (ISRC lookups only; previews otherwise come from the keyless iTunes Search API)
+const APPLE_MUSIC_TOKEN = process.env.APPLE_MUSIC_TOKEN || null;
+const APPLE_MUSIC_STOREFRONT = (process.env.APPLE_MUSIC_STOREFRONT || 'us').toLowerCase();
+const isApplePreview = track => !!track.preview_url && (track.applePreview || /mzstatic|audio-ssl\.itunes\.apple\.com/i.test(track.preview_url));
+previewProviders.register({
+  name: 'spotify', // the Spotify track's own preview_url; no lookup
+  search: async ({ track }) => (track && track.preview_url && !isApplePreview(track) ? [{ audioUrl: track.preview_url, source: 'spotify', exact: true }] : [])
+});
+previewProviders.register({ name: 'spotify_search', upstream: 'spotify', search: searchSpotifyPreview });
+previewProviders.register({
+  name: 'apple',
+  upstream: 'itunes',
+  // Apple-catalog tracks already carry their preview; anything else is looked up by ISRC, then by artist + title
+  search: async (query, ctx) => {
+    const { artistName, trackName, isrc, track } = query;
+    if (track && isApplePreview(track)) return [{ audioUrl: track.preview_url, source: 'apple', exact: true }];
+    if (isrc && APPLE_MUSIC_TOKEN) {
+      const hit = await resolveByIsrc('apple', isrc, ctx.stats, findAppleSongByIsrc);
+      if (hit) return [hit];
+    }
+    return searchAppleSongs(`${artistName} ${trackName}`.replace(/[^\w\s]/gi, ''), 10, { storefronts: ctx.appleStorefronts, stats: ctx.stats, accept: acceptsMatch(query) });
+  }
+});
+previewProviders.register({
+  name: 'apple_broad', // the artist's catalog, for titles the exact search misses (spelling, punctuation, featured artists)
+  upstream: 'itunes',
+  search: async (query, ctx) => {
+    const candidates = await searchAppleSongs(query.artistName, 50, { storefronts: ctx.appleStorefronts, stats: ctx.stats, accept: acceptsMatch(query) });
+    return candidates.map(c => ({ ...c, source: 'apple_broad' }));
+  }
+});
+previewProviders.register({
+  name: 'deezer',
+  upstream: 'deezer',
+  search: async ({ artistName, trackName, isrc }, ctx) => {
+    if (isrc) {
+      const hit = await resolveByIsrc('deezer', isrc, ctx.stats, findDeezerTrackByIsrc);
+      if (hit) return [hit];
+    }
+    return searchDeezerTracks(artistName, trackName);
+  }
+});
+previewProviders.register({
+  name: 'youtube', // watch-page URLs only (no audio extraction yet), so never playable; not in the presets
+  upstream: 'youtube',
+  search: async ({ artistName, trackName }) => {
+    if (!process.env.YOUTUBE_API_KEY) return [];
+    const video = await findYouTubeAudioUrl(artistName, trackName);
+    return video ? [{ audioUrl: null, pageUrl: video.videoUrl, source: 'youtube', title: video.title, artist: video.channel }] : [];
+  }
+});
+previewProviders.register({
+  name: 'beatport', // ~2 minute samples; the store for most underground electronic releases
+  upstream: 'beatport',
+  search: query => searchBeatport(query.artistName, query.trackName, { accept: acceptsMatch(query) })
+});
+previewProviders.register({
+  name: 'bandcamp', // full-length streams of independent releases
+  upstream: 'bandcamp',
+  search: query => searchBandcamp(query.artistName, query.trackName, { accept: acceptsMatch(query) })
+});
+// Recording looked up by ISRC before any text search; hits/misses per provider go to acquisitionStats.isrcResolution
+async function resolveByIsrc(provider, isrc, stats, lookup) {
+  const hit = await lookup(isrc);
+  if (stats) {
+    const counts = stats.isrcResolution.lookups[provider] || (stats.isrcResolution.lookups[provider] = { hit: 0, miss: 0 });
+    counts[hit ? 'hit' : 'miss']++;
+  }
+  return hit;
+}
+// Minimum track-matcher score for a candidate to be analyzed as the requested track
+const PREVIEW_MATCH_THRESHOLD = parseFloat(process.env.PREVIEW_MATCH_THRESHOLD || String(DEFAULT_MATCH_THRESHOLD));
+// Providers whose hits are not reported as alternativeSourceInfo on trackMatrix entries
+const CORE_PREVIEW_PROVIDERS = ['spotify', 'spotify_search', 'apple', 'apple_broad'];
+const DEFAULT_PREVIEW_ORDER = (() => {
+  const configured = parsePreviewStrategy(process.env.PREVIEW_STRATEGY, previewProviders);
+  if (!configured.error) return configured.order;
+  log('preview_strategy_invalid', { value: process.env.PREVIEW_STRATEGY, error: configured.error, using: DEFAULT_STRATEGY });
+  return DEFAULT_STRATEGY;
+})();
+
+// -------- Progress Streams --------
+// Live artist-analysis events per correlationId, streamed as Server-Sent Events
+const progressHub = createProgressHub();
+const SSE_HEARTBEAT_MS = 15000; // keeps proxies (and the Heroku router's 55s idle window) from closing the stream
+
+function streamProgress(req, res, key) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+    'x-correlation-id': key
+  });
+  res.write('retry: 3000\n\n');
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId || '0', 10) || 0;
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  // Ends the stream after the terminal event (the client reconnects with Last-Event-ID otherwise)
+  const unsubscribe = progressHub.subscribe(key, (event) => {
+    if (closed) return;
+    res.write(formatSseEvent(event));
+    if (TERMINAL_EVENTS.includes(event.type)) setImmediate(close);
+  }, { lastEventId });
+  req.on('close', close);
+}
+
+// -------- Background Jobs --------
+// Artist profiles can take minutes; `async: true` submissions run here instead of inside the request
+let jobStore = createJobStore(null); // replaced by the Mongo-backed store once connected
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '1', 10)); // analysis is CPU-bound
+const JOB_LEASE_MS = Math.max(10000, parseInt(process.env.JOB_LEASE_MS || String(DEFAULT_JOB_LEASE_MS), 10));
+const JOB_SECRET_KEY = process.env.JOB_SECRET_KEY || null; // encrypts callback secrets so recovered jobs can still sign
+const JOB_OWNER_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+const JOB_RUNNERS = {
+  analyze_artist: (params, ctx) => analyzeArtist(params, ctx),
+  refresh_previews: (params, ctx) => refreshPreviews(params, ctx)
+};
+const jobQueue = [];
+const runningJobIds = new Set();
+let activeJobs = 0;
+
+async function initJobStore() {
+  jobStore = createJobStore(db.collection('analysis_jobs'), { ownerId: JOB_OWNER_ID, leaseMs: JOB_LEASE_MS, secretKey: JOB_SECRET_KEY });
+  await Promise.all([
+    db.collection('analysis_jobs').createIndex({ jobId: 1 }, { unique: true }),
+    db.collection('analysis_jobs').createIndex({ status: 1, heartbeatAt: 1 })
+  ]);
+  await resumeExpiredJobs();
+  // Keep our own leases alive and pick up jobs of instances that stopped heartbeating
+  setInterval(() => {
+    const owned = [...runningJobIds, ...jobQueue.map(({ job }) => job.jobId)];
+    jobStore.heartbeat(owned)
+      .then(resumeExpiredJobs)
+      .catch(e => log('job_lease_error', { error: e.message }));
+  }, Math.floor(JOB_LEASE_MS / 4)).unref();
+}
+
+// Re-run jobs whose owner crashed or restarted (from the start; partial progress is not reusable)
+async function resumeExpiredJobs() {
+  const resumable = await jobStore.recoverInterrupted();
+  for (const job of resumable) {
+    log('job_resumed', { jobId: job.jobId, type: job.type, correlationId: job.correlationId, attempts: job.attempts, callbackUndeliverable: job.callbackUndeliverable });
+    scheduleJob(job, { callbackSecret: jobStore.recoverCallbackSecret(job) });
+  }
+}
+
+// secrets: request-only inputs (e.g. a user's Spotify access token) that are never persisted with the job
+function scheduleJob(job, secrets = {}) {
+  jobQueue.push({ job, secrets });
+  progressHub.publish(job.correlationId, 'job_queued', { jobId: job.jobId, type: job.type, position: jobQueue.length });
+  drainJobQueue();
+}
+
+function drainJobQueue() {
+  while (activeJobs < JOB_CONCURRENCY && jobQueue.length > 0) {
+    const { job, secrets } = jobQueue.shift();
+    activeJobs++;
+    runningJobIds.add(job.jobId);
+    runJob(job, secrets).finally(() => {
+      activeJobs--;
+      runningJobIds.delete(job.jobId);
+      drainJobQueue();
+    });
+  }
+}
+
+async function runJob(job, secrets) {
+  const { jobId, correlationId } = job;
+  // A recovered job whose caller secret could not be recovered must not be signed with WEBHOOK_SECRET instead
+  const { callback } = job.callbackUndeliverable ? { callback: null } : parseCallback({ callbackUrl: job.params.callbackUrl, callbackSecret: secrets.callbackSecret }, CALLBACK_POLICY);
+  if (job.callbackUndeliverable) log('job_callback_undeliverable', { jobId, type: job.type, correlationId, callbackUrl: job.params.callbackUrl });
+  const t0 = Date.now();
+  // Progress writes are chained so a slow write never lands after a newer one
+  let writes = Promise.resolve();
+  const onProgress = (progress, trackMatrix) => {
+    writes = writes
+      .then(() => jobStore.progress(jobId, progress, trackMatrix ? [...trackMatrix] : null))
+      .catch(e => log('job_progress_write_error', { jobId, correlationId, error: e.message }));
+  };
+  try {
+    if (!(await jobStore.start(job))) {
+      log('job_lease_lost', { jobId, type: job.type, correlationId, phase: 'start' });
+      return;
+    }
+    log('job_started', { jobId, type: job.type, correlationId, attempt: job.attempts });
+    progressHub.publish(correlationId, 'job_started', { jobId, type: job.type, attempt: job.attempts });
+    const result = await JOB_RUNNERS[job.type]({ ...job.params, ...secrets }, { correlationId, background: true, onProgress });
+    await writes;
+    // Another instance reclaimed the job meanwhile: it owns the result and the callback now
+    if (!(await jobStore.complete(jobId, result))) {
+      log('job_lease_lost', { jobId, type: job.type, correlationId, phase: 'complete', durationMs: Date.now() - t0 });
+      return;
+    }
+    log('job_completed', { jobId, type: job.type, correlationId, success: result.success, durationMs: Date.now() - t0 });
+    notifyCallback(callback, job.type, { ...result, jobId, correlationId });
+  } catch (error) {
+    await writes;
+    log('job_failed', { jobId, type: job.type, correlationId, error: error.message, durationMs: Date.now() - t0 });
+    const owned = await jobStore.fail(jobId, error.message).catch(e => log('job_fail_write_error', { jobId, error: e.message }));
+    if (owned === false) {
+      log('job_lease_lost', { jobId, type: job.type, correlationId, phase: 'fail' });
+      return;
+    }
+    notifyCallback(callback, job.type, { success: false, error: error.message, jobId, correlationId });
+  }
+}
+
+// -------- Webhooks --------
+// Completion callbacks (callbackUrl/callbackSecret on artist, batch and user-profile requests)
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10));
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null; // signs callbacks whose caller passed no secret
+// Optional allow-list (comma-separated hosts; subdomains included); internal addresses are refused regardless
+const CALLBACK_POLICY = { allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean) };
+
+// Fire-and-forget: POST the final body to the caller; attempts are recorded in webhook_deliveries
+function notifyCallback(callback, type, body) {
+  if (!callback) return;
+  const deliveryId = crypto.randomUUID();
+  const status = body.success === false ? 'failed' : 'completed';
+  const payload = { event: `${type}.${status}`, deliveryId, correlationId: body.correlationId || null, status, sentAt: new Date().toISOString(), data: body };
+  const deliveries = db ? db.collection('webhook_deliveries') : null;
+  const base = { deliveryId, event: payload.event, correlationId: payload.correlationId, jobId: body.jobId || null, callbackUrl: callback.callbackUrl, signed: !!(callback.callbackSecret || WEBHOOK_SECRET) };
+  (async () => {
+    if (deliveries) await deliveries.insertOne({ ...base, status: 'pending', attempts: [], createdAt: new Date() });
+    const outcome = await deliverWebhook({ ...callback, callbackSecret: callback.callbackSecret || WEBHOOK_SECRET }, payload, {
+      fetch,
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+      onAttempt: async (attempt) => {
+        log('webhook_attempt', { ...base, ...attempt });
+        if (deliveries) await deliveries.updateOne({ deliveryId }, { $push: { attempts: attempt }, $set: { lastAttemptAt: attempt.at } });
+      }
+    });
+    log(outcome.delivered ? 'webhook_delivered' : 'webhook_failed', { ...base, attempts: outcome.attempts.length });
+    if (deliveries) await deliveries.updateOne({ deliveryId }, { $set: { status: outcome.delivered ? 'delivered' : 'failed', finishedAt: new Date() } });
+  })().catch(e => log('webhook_error', { ...base, error: e.message }));
+}
+
+function wantsAsyncJob(req) {
+  const flag = req.query.async !== undefined ? req.query.async : req.body.async;
+  return flag === true || flag === 'true' || flag === '1' || flag === 1;
+}
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
   const correlationId = withCorrelation(req);
@@ -51,6 +374,8 @@ app.get('/health', async (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     mongodb: db ? 'connected' : 'disconnected',
+    spotifyToken: spotifyTokens.status(),
+    circuitBreakers: circuitStates(),
     correlationId,
     stats
   };
@@ -70,109 +395,398 @@ app.get('/internal/metrics', async (req, res) => {
   }
 });
 
-// Audio analysis endpoint
-app.post('/api/analyze', async (req, res) => {
+// Audio analysis endpoint (remote audioUrl, multipart `audio` file or JSON `audioBase64`)
+app.post('/api/analyze', analyzeJsonBody, acceptAudioUpload, async (req, res) => {
   const startTime = Date.now();
   const correlationId = withCorrelation(req);
   res.setHeader('x-correlation-id', correlationId);
   try {
-    const { audioUrl, trackId } = req.body;
-    if (!audioUrl) {
-      return res.status(400).json({ error: 'audioUrl is required', correlationId });
+    const { audioUrl, trackId, audioBase64, fileName } = req.body;
+    const isrc = normalizeIsrc(req.body.isrc);
+    if (req.body.isrc && !isrc) {
+      return res.status(400).json({ error: 'isrc must be a 12-character ISRC (e.g. USRC17607839)', correlationId });
+    }
+    const include = parseInclude(req.query.include || req.body.include);
+    const hopSeconds = parseHopSeconds(req.query.hop || req.body.hop);
+    if (hopSeconds === null) {
+      return res.status(400).json({ error: `hop must be between ${MIN_TIMESERIES_HOP_SEC} and ${MAX_TIMESERIES_HOP_SEC} seconds`, correlationId });
+    }
+    let upload = null;
+    if (req.file) {
+      upload = { bytes: req.file.buffer, name: req.file.originalname, mimeType: req.file.mimetype };
+    } else if (audioBase64) {
+      const bytes = decodeBase64Audio(audioBase64);
+      if (bytes.length > MAX_UPLOAD_BYTES) {
+        return res.status(413).json({ success: false, error: `Audio upload exceeds ${MAX_UPLOAD_BYTES} bytes`, correlationId });
+      }
+      upload = { bytes, name: fileName || null, mimeType: null };
+    }
+    if (!audioUrl && !upload) {
+      return res.status(400).json({ error: 'audioUrl, an `audio` file upload or audioBase64 is required', correlationId });
+    }
+    if (upload && upload.bytes.length === 0) {
+      return res.status(400).json({ error: 'Uploaded audio is empty', correlationId });
     }
-    log('track_analyze_begin', { correlationId, audioUrlHash: hashAudioUrl(audioUrl), trackId });
 
-    // Multi-key cache: trackId or audioUrl hash
-    const audioHash = hashAudioUrl(audioUrl);
+    // Multi-key cache: trackId, ISRC or audio hash (URL hash, or content hash for uploads)
+    const audioHash = upload ? hashAudioBytes(upload.bytes) : hashAudioUrl(audioUrl);
+    const inputType = upload ? 'upload' : 'url';
+    log('track_analyze_begin', { correlationId, audioHash, trackId, isrc: isrc || undefined, inputType, uploadBytes: upload ? upload.bytes.length : undefined });
     if (db) {
-      const existing = await db.collection('audio_features').findOne({ $or: [ { trackId }, { audioHash } ] });
-      if (existing && existing.features) {
+      const cacheKeys = [{ audioHash }];
+      if (trackId) cacheKeys.push({ trackId });
+      if (isrc) cacheKeys.push({ isrc });
+      const existing = await db.collection('audio_features').findOne({ $or: cacheKeys });
+      // Opt-in detail blocks are stored beside features; a cached doc without them is a miss
+      const hasDetail = include.every(block => existing && existing[block])
+        && (!include.includes('timeseries') || Math.abs(existing.timeseries.hop_seconds - hopSeconds) < 0.002);
+      if (existing && existing.features && !isCurrentAnalysis(existing.features)) {
+        // Produced by an older extractor: re-analyze and overwrite
+        log('track_analyze_cache_stale', { correlationId, trackId, audioHash, cachedVersion: existing.features.analysis_version || null, currentVersion: CURRENT_ANALYSIS_VERSION });
+      } else if (existing && existing.features && hasDetail) {
         log('track_analyze_cache_hit', { correlationId, trackId, audioHash });
-        return res.json({ success: true, features: existing.features, source: existing.source || 'cache', cached: true, correlationId, analysisTime: Date.now() - startTime });
+        return res.json({ success: true, features: existing.features, ...pickIncluded(existing, include), source: existing.source || 'cache', cached: true, audioHash, correlationId, analysisTime: Date.now() - startTime });
       }
     }
-    const features = await analyzeAudioWithEssentia(audioUrl, { correlationId, audioHash, tier: 'single_track' });
+    let fingerprintMatch = null;
+    const analyzed = await analyzeAudioWithEssentia(upload ? upload.bytes : audioUrl, {
+      correlationId, audioHash, tier: upload ? 'upload' : 'single_track', include, hopSeconds, onFingerprintMatch: match => { fingerprintMatch = match; }
+    });
+    const detail = pickIncluded(analyzed, include);
+    const features = { ...analyzed };
+    for (const block of include) delete features[block];
     if (db) {
       await db.collection('audio_features').updateOne(
         { audioHash },
-        { $set: { audioHash, trackId, features, source: 'essentia', audioUrl, analyzedAt: new Date(), analysisTime: Date.now() - startTime } },
+        { $set: {
+            audioHash, trackId, ...(isrc ? { isrc } : {}), features, ...detail, source: 'essentia', audioUrl: audioUrl || null, inputType, analysisVersion: features.analysis_version,
+            fingerprintKeys: fingerprintKeys(decodeFingerprint(features.fingerprint)), fingerprintMatch,
+            ...(upload ? { uploadName: upload.name, uploadMimeType: upload.mimeType, uploadBytes: upload.bytes.length } : {}),
+            analyzedAt: new Date(), analysisTime: Date.now() - startTime
+          } },
         { upsert: true }
       );
     }
-    log('track_analyze_success', { correlationId, trackId, audioHash });
-    res.json({ success: true, features, source: 'essentia', correlationId, analysisTime: Date.now() - startTime });
+    log('track_analyze_success', { correlationId, trackId, audioHash, inputType, include, fingerprintMatch: fingerprintMatch ? fingerprintMatch.audioHash : undefined });
+    res.json({
+      success: true, features, ...detail, source: 'essentia', audioHash, correlationId, analysisTime: Date.now() - startTime,
+      ...(fingerprintMatch ? { cached: true, matchedBy: 'fingerprint', matchedAudioHash: fingerprintMatch.audioHash, fingerprintSimilarity: fingerprintMatch.similarity } : {})
+    });
   } catch (error) {
-    log('track_analyze_error', { correlationId, error: error.message, stack: error.stack });
-    res.status(500).json({ success: false, error: error.message, correlationId });
+    log('track_analyze_error', { correlationId, error: error.message, code: error.code, stack: error.stack });
+    // Undecodable audio is a client/input problem, not a service fault
+    const status = error instanceof AudioDecodeError ? 422 : 500;
+    res.status(status).json({ success: false, error: error.message, errorCode: error.code, correlationId });
   }
 });
 
+// -------- Batch Analysis --------
+// Batch state is stored per batchId; re-submitting a batchId re-runs only the URLs that are not done
+let batchStore = createBatchStore(null); // replaced by the Mongo-backed store once connected
+const activeBatches = new Set(); // batchIds running in this process
+
+async function initBatchStore() {
+  batchStore = createBatchStore(db.collection('batches'));
+  await db.collection('batches').createIndex({ batchId: 1 }, { unique: true });
+}
+
+function batchResult(item, reused) {
+  if (item.status === 'done') return { audioUrl: item.audioUrl, features: item.features, success: true, ...(reused ? { reused: true } : {}) };
+  return { audioUrl: item.audioUrl, error: item.error, success: false };
+}
+
 // Batch analysis endpoint
 app.post('/api/batch', async (req, res) => {
   const startTime = Date.now();
-  
+  const correlationId = withCorrelation(req);
+  res.setHeader('x-correlation-id', correlationId);
+  const { callback, error: callbackError } = parseCallback(req.body, CALLBACK_POLICY);
+  if (callbackError) return res.status(400).json({ error: callbackError, correlationId });
+  const { audioUrls } = req.body;
+  if (!audioUrls || !Array.isArray(audioUrls)) {
+    return res.status(400).json({ error: 'audioUrls array is required' });
+  }
+  if (audioUrls.some(url => typeof url !== 'string' || !url)) {
+    return res.status(400).json({ error: 'audioUrls must be non-empty strings', correlationId });
+  }
+  const batchId = req.body.batchId ? String(req.body.batchId) : crypto.randomUUID();
+  const statusUrl = `/api/batch/${encodeURIComponent(batchId)}`;
+  if (activeBatches.has(batchId)) {
+    return res.status(409).json({ success: false, error: 'Batch is already running', batchId, statusUrl, correlationId });
+  }
+  activeBatches.add(batchId);
+
   try {
-    const { audioUrls, batchId } = req.body;
-    
-    if (!audioUrls || !Array.isArray(audioUrls)) {
-      return res.status(400).json({ error: 'audioUrls array is required' });
-    }
+    const batch = await batchStore.open(batchId, audioUrls, correlationId);
+    const requested = new Set(audioUrls);
+    const items = batch.items.filter(item => requested.has(item.audioUrl));
+    const pending = items.filter(item => item.status !== 'done');
+    const reusedUrls = new Set(items.filter(item => item.status === 'done').map(item => item.audioUrl));
+    log('batch_begin', { correlationId, batchId, urls: items.length, pending: pending.length, reused: reusedUrls.size, run: batch.runs, persistent: batchStore.persistent });
+    console.log(`🔄 Batch analyzing ${pending.length} audio files (${reusedUrls.size} already done)...`);
 
-    console.log(`🔄 Batch analyzing ${audioUrls.length} audio files...`);
-    
-    const results = [];
-    
-    for (let i = 0; i < audioUrls.length; i++) {
-      const audioUrl = audioUrls[i];
-      
+    // Concurrent across URLs (bounded by the shared pools); each item's outcome is stored as soon as it finishes
+    await mapInOrder(pending, async (item, i) => {
+      await batchStore.updateItem(batchId, item.index, { status: 'running', attempts: item.attempts + 1 });
       try {
-        console.log(`   Analyzing ${i+1}/${audioUrls.length}: ${audioUrl.substring(0, 50)}...`);
-        const features = await analyzeAudioWithEssentia(audioUrl);
-        
-        results.push({
-          audioUrl,
-          features,
-          success: true
-        });
-        
-        // Small delay between requests
-        if (i < audioUrls.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 200));
-        }
-        
+        console.log(`   Analyzing ${i+1}/${pending.length}: ${item.audioUrl.substring(0, 50)}...`);
+        const features = await analyzeAudioWithEssentia(item.audioUrl, { correlationId, tier: 'batch' });
+        await batchStore.updateItem(batchId, item.index, { status: 'done', features, error: null, finishedAt: new Date() });
       } catch (error) {
-        console.warn(`⚠️ Failed to analyze ${audioUrl}:`, error.message);
-        results.push({
-          audioUrl,
-          error: error.message,
-          success: false
-        });
+        console.warn(`⚠️ Failed to analyze ${item.audioUrl}:`, error.message);
+        await batchStore.updateItem(batchId, item.index, { status: 'failed', error: error.message, finishedAt: new Date() });
       }
-    }
+    }, null, { limit: ITEMS_IN_FLIGHT });
 
-    res.json({
+    const finished = await batchStore.finish(batchId);
+    const byUrl = new Map(finished.items.map(item => [item.audioUrl, item]));
+    const results = audioUrls.map(url => batchResult(byUrl.get(url), reusedUrls.has(url)));
+    const body = {
       success: true,
       results,
       batchId,
+      status: finished.status,
+      resumed: finished.runs > 1,
+      reusedResults: reusedUrls.size,
       totalProcessed: results.length,
       successful: results.filter(r => r.success).length,
-      analysisTime: Date.now() - startTime
-    });
+      statusUrl,
+      analysisTime: Date.now() - startTime,
+      correlationId
+    };
+    log('batch_complete', { correlationId, batchId, status: finished.status, analyzed: pending.length, reused: reusedUrls.size, successful: body.successful });
+    res.json(body);
+    notifyCallback(callback, 'batch', body);
 
   } catch (error) {
     console.error('❌ Batch analysis error:', error);
-    res.status(500).json({
+    const body = {
       success: false,
-      error: error.message 
+      error: error.message,
+      batchId,
+      statusUrl,
+      correlationId
+    };
+    res.status(500).json(body);
+    notifyCallback(callback, 'batch', body);
+  } finally {
+    activeBatches.delete(batchId);
+  }
+});
+
+// Batch progress; ?results=1 includes the stored features of finished items
+app.get('/api/batch/:batchId', async (req, res) => {
+  try {
+    const batch = await batchStore.get(req.params.batchId);
+    if (!batch) return res.status(404).json({ error: 'Batch not found', batchId: req.params.batchId });
+    const includeResults = req.query.results === '1' || req.query.results === 'true';
+    res.json({ success: true, ...describeBatch(batch, { includeResults }), active: activeBatches.has(batch.batchId) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// -------- Preview Refresh --------
+// Probes stored preview URLs (trackMatrix entries, audio_features.audioUrl), marks dead ones and re-resolves them
+const PREVIEW_RECHECK_AFTER_MS = parseInt(process.env.PREVIEW_RECHECK_AFTER_MS || String(DEFAULT_RECHECK_AFTER_MS), 10);
+const PREVIEW_REFRESH_INTERVAL_MS = parseInt(process.env.PREVIEW_REFRESH_INTERVAL_MS || '0', 10); // 0: only on request
+const MAX_REFRESH_LIMIT = 200;
+let previewRefreshRunning = false;
+
+// The stored entry is not a Spotify track object, so its own-preview and Spotify recovery providers do not apply
+const refreshPreviewOrder = () => DEFAULT_PREVIEW_ORDER.filter(name => name !== 'spotify' && name !== 'spotify_search');
+
+// A trackMatrix entry re-resolved through the preview providers (ISRC first where the provider supports it)
+async function reacquireStoredPreview(entry) {
+  if (!entry.name || !entry.artist) return null;
+  const query = { artistName: entry.artist, artists: [entry.artist], trackName: entry.name, durationMs: null, isrc: normalizeIsrc(entry.isrc), track: null };
+  return acquirePreview(refreshPreviewOrder(), query, {
+    registry: previewProviders, ctx: { stats: null, appleStorefronts: APPLE_STOREFRONTS },
+    score: scoreQuery, minScore: PREVIEW_MATCH_THRESHOLD, isAvailable: isProviderAvailable
+  });
+}
+
+// The same recording by ISRC on Deezer, else Apple Music
+async function resolveIsrcPreview(isrc) {
+  let hit = null;
+  try {
+    hit = isProviderAvailable('deezer') && await findDeezerTrackByIsrc(isrc);
+  } catch (error) {
+    if (!isUpstreamRefusal(error)) throw error;
+    log('preview_refresh_isrc_refused', { provider: 'deezer', isrc, error: error.message });
+  }
+  hit = hit || await findAppleSongByIsrc(isrc);
+  return hit ? { ...hit, provider: hit.source } : null;
+}
+
+async function refreshPreviews(params, ctx = {}) {
+  if (!db) throw new Error('Preview refresh requires MongoDB');
+  if (previewRefreshRunning) throw new Error('A preview refresh is already running');
+  previewRefreshRunning = true;
+  const t0 = Date.now();
+  try {
+    const refresher = createPreviewRefresher({
+      profiles: db.collection('artist_genre_profiles'),
+      features: db.collection('audio_features'),
+      probe: url => networkPool.run(() => probePreviewUrl(url, { fetch })),
+      reacquire: entry => networkPool.run(() => reacquireStoredPreview(entry)),
+      resolveIsrc: isrc => networkPool.run(() => resolveIsrcPreview(isrc)),
+      hashUrl: hashAudioUrl,
+      recheckAfterMs: PREVIEW_RECHECK_AFTER_MS
+    });
+    const summary = await refresher.run({
+      artistName: params.artistName || null,
+      limit: params.limit,
+      force: params.force === true,
+      includeFeatures: params.includeFeatures !== false,
+      onProgress: progress => ctx.onProgress && ctx.onProgress(progress)
     });
+    log('preview_refresh_complete', { correlationId: ctx.correlationId, artistName: params.artistName || undefined, ...summary, durationMs: Date.now() - t0 });
+    return { success: true, ...summary, durationMs: Date.now() - t0 };
+  } finally {
+    previewRefreshRunning = false;
+  }
+}
+
+// Periodic refresh as a background job (PREVIEW_REFRESH_INTERVAL_MS); skipped while one is queued or running
+function schedulePreviewRefresh() {
+  if (!PREVIEW_REFRESH_INTERVAL_MS) return;
+  setInterval(async () => {
+    if (previewRefreshRunning || jobQueue.some(({ job }) => job.type === 'refresh_previews')) return;
+    try {
+      const job = await jobStore.create('refresh_previews', { limit: 20 }, crypto.randomUUID());
+      scheduleJob(job);
+    } catch (error) {
+      log('preview_refresh_schedule_error', { error: error.message });
+    }
+  }, PREVIEW_REFRESH_INTERVAL_MS).unref();
+}
+
+// Check stored previews now; `async: true` runs it as a job (poll GET /api/jobs/:id)
+app.post('/api/previews/refresh', async (req, res) => {
+  const correlationId = withCorrelation(req);
+  res.setHeader('x-correlation-id', correlationId);
+  if (!db) return res.status(503).json({ success: false, error: 'Preview refresh requires MongoDB', correlationId });
+  const limit = req.body.limit === undefined ? 20 : parseInt(req.body.limit, 10);
+  if (!(limit >= 1 && limit <= MAX_REFRESH_LIMIT)) {
+    return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_REFRESH_LIMIT}`, correlationId });
+  }
+  const { callback, error: callbackError } = parseCallback(req.body, CALLBACK_POLICY);
+  if (callbackError) return res.status(400).json({ error: callbackError, correlationId });
+  const params = { artistName: req.body.artistName || null, limit, force: req.body.force === true, includeFeatures: req.body.includeFeatures !== false, callbackUrl: req.body.callbackUrl };
+  try {
+    if (wantsAsyncJob(req)) {
+      const job = await jobStore.create('refresh_previews', params, correlationId, { callbackSecret: req.body.callbackSecret });
+      scheduleJob(job, { callbackSecret: req.body.callbackSecret });
+      return res.status(202).json({ success: true, jobId: job.jobId, status: job.status, statusUrl: `/api/jobs/${job.jobId}`, correlationId });
+    }
+    if (previewRefreshRunning) return res.status(409).json({ success: false, error: 'A preview refresh is already running', correlationId });
+    const result = await refreshPreviews(params, { correlationId });
+    res.json({ ...result, correlationId });
+    notifyCallback(callback, 'refresh_previews', { ...result, correlationId });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, correlationId });
+    notifyCallback(callback, 'refresh_previews', { success: false, error: error.message, correlationId });
   }
 });
 
 // Artist analysis endpoint - STAGED TRACK ANALYSIS WITH ESSENTIA
+// `async: true` (body) or ?async=1 queues a background job and answers 202 with its id (poll GET /api/jobs/:id)
 app.post('/api/analyze-artist', async (req, res) => {
-  const startTime = Date.now();
   const correlationId = req.headers['x-correlation-id'] || require('crypto').randomUUID();
+  res.setHeader('x-correlation-id', correlationId);
+  if (!req.body.artistName) {
+    return res.status(400).json({ error: 'artistName is required' });
+  }
+  const strategy = parsePreviewStrategy(req.body.previewStrategy, previewProviders, DEFAULT_PREVIEW_ORDER);
+  if (strategy.error) return res.status(400).json({ error: strategy.error, correlationId });
+  const { callback, error: callbackError } = parseCallback(req.body, CALLBACK_POLICY);
+  if (callbackError) return res.status(400).json({ error: callbackError, correlationId });
+  try {
+    if (wantsAsyncJob(req)) {
+      // Credentials stay in memory; the callback secret is persisted only encrypted (JOB_SECRET_KEY)
+      const { async: _async, spotifyCredentials, callbackSecret, ...params } = req.body;
+      const job = await jobStore.create('analyze_artist', params, correlationId, { callbackSecret });
+      log('analyze_artist_job_queued', { correlationId, jobId: job.jobId, artistName: params.artistName, persistent: jobStore.persistent });
+      scheduleJob(job, { spotifyCredentials, callbackSecret });
+      return res.status(202).json({ success: true, jobId: job.jobId, status: job.status, statusUrl: `/api/jobs/${job.jobId}`, correlationId });
+    }
+    const result = await analyzeArtist(req.body, { correlationId });
+    res.json(result);
+    notifyCallback(callback, 'analyze_artist', { ...result, correlationId });
+  } catch (error) {
+    const body = {
+      success: false,
+      error: error.message,
+      artistName: req.body.artistName
+    };
+    res.status(500).json(body);
+    notifyCallback(callback, 'analyze_artist', { ...body, correlationId });
+  }
+});
+
+// Job status: progress and partial trackMatrix while running, final result once completed
+app.get('/api/jobs/:id', async (req, res) => {
+  const correlationId = withCorrelation(req);
+  res.setHeader('x-correlation-id', correlationId);
+  try {
+    const job = await jobStore.get(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found', jobId: req.params.id, correlationId });
+    res.json({ success: true, ...describeJob(job) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, correlationId });
+  }
+});
+
+// SSE progress for a running artist analysis (token status, tracks found, previews, tracks analyzed, rounds)
+app.get('/api/progress/:correlationId/stream', (req, res) => {
+  streamProgress(req, res, req.params.correlationId);
+});
+
+// Same stream addressed by job id; a job that finished before this process started gets one terminal event
+app.get('/api/jobs/:id/events', async (req, res) => {
+  try {
+    const job = await jobStore.get(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found', jobId: req.params.id });
+    const finished = job.status === 'completed' || job.status === 'failed';
+    if (finished && !progressHub.isFinished(job.correlationId)) {
+      progressHub.publish(job.correlationId, job.status === 'completed' ? 'complete' : 'failed', {
+        jobId: job.jobId, success: job.status === 'completed' && !!(job.result && job.result.success), error: job.error || undefined
+      });
+    }
+    streamProgress(req, res, job.correlationId);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Terminal progress event around the staged analysis
+async function analyzeArtist(params, ctx) {
+  try {
+    const result = await analyzeArtistStages(params, ctx);
+    progressHub.publish(ctx.correlationId, 'complete', {
+      artistName: params.artistName, success: result.success, partial: !!result.partial,
+      tracksAnalyzed: result.trackMatrix ? result.trackMatrix.length : 0, error: result.error
+    });
+    return result;
+  } catch (error) {
+    progressHub.publish(ctx.correlationId, 'failed', { artistName: params.artistName, error: error.message });
+    throw error;
+  }
+}
+
+// Staged artist analysis, shared by the inline endpoint and background jobs.
+// background: running as a job (no router timeout, so Round 2 is never cut short and fastMode is ignored)
+// onProgress(progress, trackMatrix?): called at each milestone; trackMatrix is the partial result so far
+async function analyzeArtistStages(params, { correlationId, background = false, onProgress = () => {} }) {
+  const startTime = Date.now();
+  const emit = (type, data = {}) => progressHub.publish(correlationId, type, data);
   const startedLog = { evt: 'analyze_artist_begin', correlationId, ts: new Date().toISOString() };
+  const progress = { phase: 'starting', round: null, tracksFound: 0, tracksPlanned: 0, tracksAttempted: 0, tracksAnalyzed: 0 };
+  const reportProgress = (fields, trackMatrix) => {
+    Object.assign(progress, fields);
+    onProgress({ ...progress }, trackMatrix);
+  };
   try {
     const { 
       artistName, 
@@ -181,14 +795,11 @@ app.post('/api/analyze-artist', async (req, res) => {
       includeRecentReleases = true,
       existingGenres = [], // Existing Spotify genres from database
       spotifyCredentials, // Accept Spotify credentials from frontend (may be absent if we force Apple/SoundCloud mode)
-      fastMode = false, // fast mode to stay under Heroku 30s limit
+      fastMode: requestedFastMode = false, // fast mode to stay under Heroku 30s limit
       maxPreviewRecoveryAttempts, // Optional override for preview recovery attempts per track
-      previewStrategy: incomingPreviewStrategy // allow client to explicitly force apple-based strategy
-    } = req.body;
-    
-    if (!artistName) {
-      return res.status(400).json({ error: 'artistName is required' });
-    }
+      previewStrategy: incomingPreviewStrategy // ordered provider names or a preset (see preview-providers.js)
+    } = params;
+    const fastMode = background ? false : requestedFastMode;
 
   console.log(JSON.stringify({ ...startedLog, artistName, spotifyId, maxTracks, includeRecentReleases }));
     console.log(`📊 Max tracks: ${maxTracks}, Recent releases: ${includeRecentReleases}`);
@@ -200,17 +811,22 @@ app.post('/api/analyze-artist', async (req, res) => {
       spotifyToken = spotifyCredentials.accessToken;
       console.log('🔑 Using frontend-provided Spotify credentials');
       spotifyTokenStatus = 'provided';
+    } else if (!spotifyTokens.configured) {
+      // Continue without Spotify (Apple-only mode)
+      console.warn('⚠️ No Spotify credentials available - limited functionality');
+      spotifyTokenStatus = 'missing';
     } else {
-      spotifyToken = await getSpotifyToken();
-      if (!spotifyToken) {
-        console.warn('⚠️ No Spotify credentials available - limited functionality');
-        // Continue without Spotify (Apple-only mode)
-        spotifyTokenStatus = 'missing';
-      } else {
+      try {
+        spotifyToken = await spotifyTokens.getToken();
         spotifyTokenStatus = 'acquired';
+      } catch (error) {
+        log('spotify_token_error', { correlationId, artistName, error: error.message });
+        spotifyTokenStatus = 'error';
       }
     }
     log('spotify_token_status', { correlationId, artistName, spotifyTokenStatus });
+    reportProgress({ phase: 'token', spotifyTokenStatus });
+    emit('token_status', { artistName, spotifyTokenStatus });
 
     let tracks = [];
     const failureReasons = [];
@@ -226,17 +842,27 @@ app.post('/api/analyze-artist', async (req, res) => {
       missingSpotifyPreviewSample: [],
       spotifyPreviewRecovered: 0,
   soundcloudRescue: 0, // kept for backward-compatibility metrics field (will remain zero)
-  previewRecovery: { attempts: 0, queries: 0, hits: 0, marketsTried: [], firstHit: null, relaxedAttempts: 0, suffixStrips: 0 },
+  previewRecovery: { attempts: 0, queries: 0, hits: 0, marketsTried: [], firstHit: null, relaxedAttempts: 0, suffixStrips: 0, rateLimited: 0,
+    // Apple storefronts searched, previews chosen per storefront, and the storefront the Apple catalog came from
+    storefrontsTried: [], storefrontHits: {}, catalogStorefront: null },
+      providerSkips: { spotify: 0, itunes: 0, deezer: 0, youtube: 0, beatport: 0, bandcamp: 0 }, // steps skipped because the provider's circuit was open
+      providerAttempts: {},
+      previewLookupsRefused: { rate_limited: 0, provider_unavailable: 0 }, // tracks left without a preview because a provider was not asked
+      isrcResolution: { tracksWithIsrc: 0, lookups: {} }, // lookups: { provider: { hit, miss } } before text search
       fastMode,
   previewRecoveryLimited: false,
   spotifyPreviewSuppressed: 0,
   spotifySuppressedRestored: 0,
+      duplicateRecordings: 0,
     };
   // SoundCloud removed - diagnostics deprecated
-    // Preview acquisition strategy (default now apple_primary)
-  // Determine preview strategy. If Spotify token missing and client did not force something else, prefer apple_primary.
-  const previewStrategy = (incomingPreviewStrategy || (!spotifyToken ? 'apple_primary' : 'apple_primary')).toLowerCase();
-  acquisitionStats.previewStrategy = previewStrategy;
+  // Preview providers to try, in order (request previewStrategy, else PREVIEW_STRATEGY)
+  const strategy = parsePreviewStrategy(incomingPreviewStrategy, previewProviders, DEFAULT_PREVIEW_ORDER);
+  if (strategy.error) throw new Error(strategy.error);
+  const previewOrder = strategy.order;
+  const providerRank = name => (previewOrder.includes(name) ? previewOrder.indexOf(name) : Infinity);
+  acquisitionStats.previewStrategy = previewOrder;
+  acquisitionStats.matchThreshold = PREVIEW_MATCH_THRESHOLD;
   acquisitionStats.appleOverrideSpotify = 0;
   acquisitionStats.spotifyRecoveryDisabled = false;
   // SoundCloud removed: forceSoundCloudTest and related flags ignored
@@ -247,7 +873,7 @@ app.post('/api/analyze-artist', async (req, res) => {
       console.log(`🔍 Fetching top tracks for Spotify ID: ${spotifyId}`);
       
       try {
-        const topTracksResponse = await fetch(`https://api.spotify.com/v1/artists/${spotifyId}/top-tracks?market=US`, {
+        const topTracksResponse = await upstreamFetch('spotify', `https://api.spotify.com/v1/artists/${spotifyId}/top-tracks?market=US`, {
           headers: { 'Authorization': `Bearer ${spotifyToken}` }
         });
         
@@ -265,7 +891,7 @@ app.post('/api/analyze-artist', async (req, res) => {
       // Method 2: Get recent releases (albums from last 2 years)
       if (includeRecentReleases) {
         try {
-          const albumsResponse = await fetch(`https://api.spotify.com/v1/artists/${spotifyId}/albums?include_groups=album,single&market=US&limit=50`, {
+          const albumsResponse = await upstreamFetch('spotify', `https://api.spotify.com/v1/artists/${spotifyId}/albums?include_groups=album,single&market=US&limit=50`, {
             headers: { 'Authorization': `Bearer ${spotifyToken}` }
           });
           
@@ -282,7 +908,7 @@ app.post('/api/analyze-artist', async (req, res) => {
             // Get tracks from recent albums
             for (const album of recentAlbums.slice(0, 10)) { // Limit to 10 recent albums
               try {
-                const albumTracksResponse = await fetch(`https://api.spotify.com/v1/albums/${album.id}/tracks`, {
+                const albumTracksResponse = await upstreamFetch('spotify', `https://api.spotify.com/v1/albums/${album.id}/tracks`, {
                   headers: { 'Authorization': `Bearer ${spotifyToken}` }
                 });
                 
@@ -301,6 +927,7 @@ app.post('/api/analyze-artist', async (req, res) => {
                 console.warn(`⚠️ Failed to get tracks for album ${album.name}:`, error.message);
               }
             }
+    await fillSpotifyExternalIds(tracks.filter(t => t.isRecentRelease), spotifyToken);
     acquisitionStats.methods.recent = tracks.filter(t => t.isRecentRelease).length;
           }
         } catch (error) {
@@ -315,7 +942,7 @@ app.post('/api/analyze-artist', async (req, res) => {
       console.log(`🔍 Fallback: Searching for tracks by artist name`);
       
       try {
-        const searchResponse = await fetch(`https://api.spotify.com/v1/search?q=artist:"${encodeURIComponent(artistName)}"&type=track&market=US&limit=20`, {
+        const searchResponse = await upstreamFetch('spotify', `https://api.spotify.com/v1/search?q=artist:"${encodeURIComponent(artistName)}"&type=track&market=US&limit=20`, {
           headers: { 'Authorization': `Bearer ${spotifyToken}` }
         });
         
@@ -331,13 +958,20 @@ app.post('/api/analyze-artist', async (req, res) => {
       }
     }
     
-    // Apple-only or Apple/SoundCloud (when no Spotify or explicit strategy)
-    if (tracks.length === 0 && (!spotifyToken || previewStrategy.startsWith('apple'))) {
+    // Apple catalog (when there is no Spotify, or the strategy ranks Apple above Spotify search)
+    if (tracks.length === 0 && providerRank('apple') < Infinity && (!spotifyToken || providerRank('apple') < providerRank('spotify_search'))) {
       const appleLimit = Math.min(50, maxTracks * 3); // fetch broader set to allow top/recent partition
       console.log(`🍎 Fetching Apple catalog for artist (limit=${appleLimit})`);
-      tracks = await findAppleTracksForArtist(artistName, appleLimit, { includeReleaseDate: true });
+      let catalogRefusal = null;
+      try {
+        tracks = await findAppleTracksForArtist(artistName, appleLimit, { stats: acquisitionStats });
+      } catch (error) {
+        if (!isUpstreamRefusal(error)) throw error;
+        catalogRefusal = refusalReason(error, 'apple_catalog');
+        console.warn(`⚠️ Apple catalog lookup refused: ${error.message}`);
+      }
       if (tracks.length === 0) {
-        failureReasons.push('apple_mode_no_tracks');
+        failureReasons.push(catalogRefusal || 'apple_mode_no_tracks');
       } else {
         acquisitionStats.fallbacks.appleMode = true;
         // Re-rank Apple tracks: approximate "top" by presence of preview & randomness (iTunes API lacks popularity score)
@@ -358,9 +992,15 @@ app.post('/api/analyze-artist', async (req, res) => {
       acquisitionStats.spotifyPreviewCoveragePercent = acquisitionStats.initialSpotifyTracks === 0 ? 0 : +( (acquisitionStats.initialSpotifyTracksWithPreview / acquisitionStats.initialSpotifyTracks) * 100 ).toFixed(1);
     }
     acquisitionStats.initialTracks = tracks.length;
+    emit('tracks_found', {
+      total: tracks.length,
+      top: tracks.filter(t => !t.isRecentRelease).length,
+      recent: tracks.filter(t => t.isRecentRelease).length,
+      source: tracks.length === 0 ? null : (acquisitionStats.fallbacks.appleMode ? 'apple' : (acquisitionStats.fallbacks.search ? 'spotify_search' : 'spotify'))
+    });
     if (tracks.length === 0) {
       log('analyze_artist_no_tracks', { correlationId, artistName, failureReasons, acquisitionStats });
-      return res.json({ success: false, error: 'No tracks found for artist', failSubtype: 'no_tracks', artistName, failureReasons, correlationId, spotifyTokenStatus, acquisitionStats });
+      return { success: false, error: 'No tracks found for artist', failSubtype: 'no_tracks', artistName, failureReasons, correlationId, spotifyTokenStatus, acquisitionStats };
     }
 
     // ===== STAGED TRACK ANALYSIS =====
@@ -381,230 +1021,118 @@ app.post('/api/analyze-artist', async (req, res) => {
   acquisitionStats.analysisRounds.round1.attempted = round1Tracks.length;
     
     console.log(`🔄 Round 1: Analyzing ${round1Tracks.length} tracks (${round1TopTracks.length} top + ${round1RecentTracks.length} recent)`);
+    reportProgress({ phase: 'round1', round: 1, tracksFound: tracks.length, tracksPlanned: round1Tracks.length });
+    emit('round_start', { round: 1, tracks: round1Tracks.length });
     
     const trackProfiles = [];
     const averageFeatures = {};
     const spectralFeatures = {};
     let featureCounts = {};
 
-    // Helper: attempt to acquire preview URL (Spotify -> Spotify search variants -> Apple exact -> Apple broad -> SoundCloud -> multi-source aggregator)
+    // Per-provider outcome counts; providerSkips counts lookups skipped because the upstream's circuit was open
+    function recordProviderAttempt({ provider, outcome }) {
+      const counts = acquisitionStats.providerAttempts[provider] || (acquisitionStats.providerAttempts[provider] = { hit: 0, miss: 0, rejected: 0, skipped: 0, error: 0 });
+      counts[outcome]++;
+      if (outcome === 'skipped') acquisitionStats.providerSkips[previewProviders.get(provider).upstream]++;
+    }
+    const providerCtx = {
+      spotifyToken,
+      artistName,
+      stats: acquisitionStats,
+      // Total Spotify search queries per track across all patterns/markets
+      recoveryLimit: maxPreviewRecoveryAttempts ? Number(maxPreviewRecoveryAttempts) : (fastMode ? 20 : 120),
+      markets: fastMode ? [SPOTIFY_PREVIEW_MARKETS[0] || 'US'] : SPOTIFY_PREVIEW_MARKETS,
+      appleStorefronts: fastMode ? APPLE_STOREFRONTS.slice(0, 1) : APPLE_STOREFRONTS
+    };
+
+    // Helper: try the preview providers in previewStrategy order (see preview-providers.js)
     async function acquirePreviewForTrack(track) {
-      // Identify if existing preview belongs to Apple (from Apple artist catalog fetch) vs Spotify
-      const originalApplePreview = (track.preview_url && (track.applePreview || /mzstatic|audio-ssl\.itunes\.apple\.com/i.test(track.preview_url))) ? track.preview_url : null;
-      let previewUrl = track.preview_url;
-      let audioSource = previewUrl ? (originalApplePreview ? 'apple' : 'spotify') : null;
-  // SoundCloud removed: preview suppression paths deprecated
-      let alternativeSourceInfo = null;
-      // Determine per-track recovery limit
-      const perTrackRecoveryLimit = maxPreviewRecoveryAttempts
-        ? Number(maxPreviewRecoveryAttempts)
-        : (fastMode ? 20 : 120); // total query attempts across all patterns/markets per track
-      let perTrackAttempts = 0;
-      // Utility: clean track name (remove mix/remix suffixes and parenthetical descriptors)
-      function simplifyName(name) {
-        if (!name) return name;
-        let base = name;
-        // Remove parenthetical descriptors e.g. (Mixed), (Remix), (feat. ...)
-        base = base.replace(/\([^)]*\)/gi, '').trim();
-        // Common dash-separated suffixes we want to remove for relaxed search
-        const dashIdx = base.indexOf(' - ');
-        if (dashIdx !== -1) {
-          const candidate = base.substring(0, dashIdx).trim();
-          // Only treat as suffix if right side contains remix/mixed/edit/reform
-          if (/remix|mixed|edit|reform|version/i.test(base.substring(dashIdx+3))) {
-            acquisitionStats.previewRecovery.suffixStrips++;
-            base = candidate;
-          }
+      const query = {
+        artistName: track.artists?.[0]?.name || artistName,
+        artists: track.artists?.length ? track.artists.map(a => a.name).filter(Boolean) : [artistName],
+        trackName: track.name,
+        durationMs: track.duration_ms || null,
+        isrc: normalizeIsrc(track.external_ids?.isrc),
+        track
+      };
+      if (query.isrc) acquisitionStats.isrcResolution.tracksWithIsrc++;
+      // Providers that were not asked (rate limited, circuit open): a miss then is not evidence of no preview
+      const refusals = [];
+      const found = await acquirePreview(previewOrder, query, {
+        registry: previewProviders, ctx: providerCtx, score: scoreQuery, minScore: PREVIEW_MATCH_THRESHOLD,
+        isAvailable: isProviderAvailable,
+        onAttempt: attempt => {
+          recordProviderAttempt(attempt);
+          if (attempt.outcome === 'skipped' || (attempt.outcome === 'error' && isUpstreamRefusal(attempt.error))) refusals.push(attempt);
         }
-        return base.replace(/\s{2,}/g,' ').trim();
+      });
+      if (!found) {
+        const rateLimited = refusals.some(a => a.error instanceof UpstreamRateLimitError);
+        const refusedBy = refusals.length ? (rateLimited ? 'rate_limited' : 'provider_unavailable') : null;
+        return { previewUrl: null, audioSource: null, alternativeSourceInfo: null, previewMatch: null, isrc: query.isrc, refusedBy };
       }
-  const useApplePrimary = previewStrategy === 'apple_primary';
-  const soundcloudPrimary = false; // SoundCloud removed
-  const forceSoundCloudTest = acquisitionStats.forceSoundCloudTest || false;
-
-  // SoundCloud lookups removed - skip this path
-
-      // APPLE PRIMARY STRATEGY: Attempt Apple sources before any Spotify recovery.
-  if (useApplePrimary && !forceSoundCloudTest) { // skip Apple entirely if forcing SC test or SC primary
-        // Even if Spotify preview exists, we prefer Apple for consistency; only fallback to Spotify if Apple not found.
-        let hadSpotify = !!previewUrl;
-        if (track.artists && track.artists[0] && track.name) {
-          if (!previewUrl) {
-            try {
-              previewUrl = await findApplePreviewUrl(track.artists[0].name, track.name);
-              if (previewUrl) audioSource = 'apple';
-            } catch (e) {}
-          }
-          if (!previewUrl) {
-            try {
-              const broad = await findApplePreviewUrlBroader(track.artists[0].name, track.name);
-              if (broad) { previewUrl = broad; audioSource = 'apple_broad'; }
-            } catch (e) {}
-          }
-        }
-        if (previewUrl && audioSource && hadSpotify && audioSource.startsWith('apple')) {
-          acquisitionStats.appleOverrideSpotify++;
-        }
+      if (track.preview_url && found.audioUrl !== track.preview_url && found.source.startsWith('apple')) acquisitionStats.appleOverrideSpotify++;
+      if (found.provider === 'spotify_search') acquisitionStats.spotifyPreviewRecovered++;
+      const storefront = found.source.startsWith('apple') ? (found.metadata?.storefront || track.appleStorefront) : null;
+      if (storefront) {
+        const hits = acquisitionStats.previewRecovery.storefrontHits;
+        hits[storefront] = (hits[storefront] || 0) + 1;
+        providerCtx.appleStorefronts = preferStorefront(providerCtx.appleStorefronts, storefront);
       }
+      return {
+        previewUrl: found.audioUrl,
+        audioSource: found.source,
+        alternativeSourceInfo: CORE_PREVIEW_PROVIDERS.includes(found.provider) ? null : { source: found.source, provider: found.provider, confidence: found.match.score },
+        // What was analyzed, and how well it matched the requested track (audit trail for bad mappings)
+        previewMatch: {
+          provider: found.provider, ...found.match, ...(found.matchedBy ? { matchedBy: found.matchedBy } : {}),
+          ...(found.exact ? {} : { candidateTitle: found.title, candidateArtist: found.artist })
+        },
+        // Stable cross-provider join key for the recording
+        isrc: query.isrc || normalizeIsrc(found.isrc)
+      };
+    }
 
-  // (1) Attempt Spotify recovery (only if NOT apple_primary strategy)
-  if (!previewUrl && spotifyToken && !useApplePrimary && !forceSoundCloudTest && !soundcloudPrimary) {
-        try {
-          // In fastMode restrict to first market to reduce latency
-          const marketsEnv = (process.env.SPOTIFY_PREVIEW_MARKETS || 'US,GB,DE,SE,CA').split(',').map(m => m.trim()).filter(Boolean);
-          const markets = fastMode ? [marketsEnv[0] || 'US'] : marketsEnv;
-          let recovered = null;
-          const unique = (arr) => [...new Set(arr.filter(Boolean))];
-          const artistCandidates = unique([
-            track.artists?.[0]?.name,
-            artistName,
-            ...(track.artists?.slice(1).map(a => a.name) || [])
-          ]);
-          for (const m of markets) {
-            if (!acquisitionStats.previewRecovery.marketsTried.includes(m)) acquisitionStats.previewRecovery.marketsTried.push(m);
-            // Two query patterns per artist candidate
-            for (const cand of artistCandidates) {
-              const patterns = [
-                `track:"${track.name}" artist:"${cand}"`,
-                `track:"${track.name}" "${cand}"`
-              ];
-              for (const pattern of patterns) {
-                if (perTrackAttempts >= perTrackRecoveryLimit) { acquisitionStats.previewRecoveryLimited = true; break; }
-                acquisitionStats.previewRecovery.attempts++;
-                acquisitionStats.previewRecovery.queries++;
-                const q = encodeURIComponent(pattern);
-                const resp = await fetch(`https://api.spotify.com/v1/search?q=${q}&type=track&market=${m}&limit=5`, { headers: { 'Authorization': `Bearer ${spotifyToken}` } });
-                if (resp.ok) {
-                  const data = await resp.json();
-                  const candidate = data.tracks?.items?.find(it => it.preview_url && (it.id === track.id || it.name.toLowerCase() === track.name.toLowerCase()));
-                  if (candidate) { 
-                    recovered = candidate; 
-                    acquisitionStats.previewRecovery.hits++;
-                    if (!acquisitionStats.previewRecovery.firstHit) {
-                      acquisitionStats.previewRecovery.firstHit = { market: m, pattern, artist: cand };
-                    }
-                    break; 
-                  }
-                }
-                perTrackAttempts++;
-                // Shorter delay in fastMode
-                await new Promise(r => setTimeout(r, fastMode ? 50 : 120));
-              }
-              if (recovered) break;
-              if (perTrackAttempts >= perTrackRecoveryLimit) break;
-
-              // Relaxed phase: simplified name (once per candidate) if not found yet
-              if (!recovered && perTrackAttempts < perTrackRecoveryLimit) {
-                const simple = simplifyName(track.name);
-                if (simple && simple !== track.name) {
-                  const relaxedPatterns = [
-                    `track:"${simple}" artist:"${cand}"`,
-                    `${simple} ${cand}`
-                  ];
-                  for (const rpat of relaxedPatterns) {
-                    if (perTrackAttempts >= perTrackRecoveryLimit) { acquisitionStats.previewRecoveryLimited = true; break; }
-                    acquisitionStats.previewRecovery.attempts++;
-                    acquisitionStats.previewRecovery.relaxedAttempts++;
-                    acquisitionStats.previewRecovery.queries++;
-                    const rq = encodeURIComponent(rpat);
-                    const rresp = await fetch(`https://api.spotify.com/v1/search?q=${rq}&type=track&market=${m}&limit=5`, { headers: { 'Authorization': `Bearer ${spotifyToken}` } });
-                    if (rresp.ok) {
-                      const rdata = await rresp.json();
-                      const rcand = rdata.tracks?.items?.find(it => it.preview_url && (it.id === track.id || it.name.toLowerCase() === simple.toLowerCase()));
-                      if (rcand) { 
-                        recovered = rcand; 
-                        acquisitionStats.previewRecovery.hits++;
-                        if (!acquisitionStats.previewRecovery.firstHit) {
-                          acquisitionStats.previewRecovery.firstHit = { market: m, pattern: rpat, artist: cand, relaxed: true };
-                        }
-                        break; 
-                      }
-                    }
-                    perTrackAttempts++;
-                    await new Promise(r => setTimeout(r, fastMode ? 40 : 100));
-                  }
-                }
-              }
-            }
-            if (recovered) break;
-            if (perTrackAttempts >= perTrackRecoveryLimit) break;
-          }
-          if (recovered && recovered.preview_url) {
-            previewUrl = recovered.preview_url;
-            audioSource = 'spotify';
-            acquisitionStats.spotifyPreviewRecovered++;
-          }
-        } catch (e) {
-          // silent; recovery optional
-        }
-      }
-  if (useApplePrimary && !previewUrl) {
-        acquisitionStats.spotifyRecoveryDisabled = false;
-      }
-      // (2) Apple exact (balanced strategy only)
-  if (!previewUrl && !useApplePrimary && !forceSoundCloudTest && !soundcloudPrimary) {
-        try {
-          previewUrl = await findApplePreviewUrl(track.artists[0].name, track.name);
-          if (previewUrl) audioSource = 'apple';
-        } catch (e) {}
-      }
-      // (3) Apple broad (balanced strategy only)
-  if (!previewUrl && !useApplePrimary && !forceSoundCloudTest && !soundcloudPrimary) {
-        try {
-          previewUrl = await findApplePreviewUrlBroader(track.artists[0].name, track.name);
-          if (previewUrl) audioSource = 'apple_broad';
-        } catch (e) {}
-      }
-      // (4) SoundCloud explicit (secondary after Apple in apple_primary, same position otherwise) if client ID configured
-  // SoundCloud lookup removed
-      // (5) Alternative multi-source aggregator (Beatport, YouTube, Bandcamp, etc.)
-      if (!previewUrl) {
-        try {
-          const alternativeResult = await findAlternativeAudioSource(track.artists[0]?.name, track.name, track);
-          if (alternativeResult.bestSource && alternativeResult.bestSource.streamUrl) {
-            previewUrl = alternativeResult.bestSource.streamUrl;
-            audioSource = alternativeResult.bestSource.source;
-            alternativeSourceInfo = {
-              source: alternativeResult.bestSource.source,
-              confidence: alternativeResult.bestSource.confidence,
-              totalSources: alternativeResult.totalSources
-            };
-          }
-        } catch (e) {}
-      }
-      // (6) Fallback to original Spotify preview if we skipped earlier and Apple/SoundCloud/alt failed (apple_primary only)
-  if (useApplePrimary && !forceSoundCloudTest && !soundcloudPrimary && !previewUrl && track.preview_url) {
-        previewUrl = track.preview_url;
-        audioSource = 'spotify';
-      }
-  // SoundCloud removed: previously we restored Apple preview after forced SoundCloud attempts
-  if (!previewUrl && forceSoundCloudTest && originalApplePreview) {
-        previewUrl = originalApplePreview;
-        audioSource = 'apple';
+    // Acquire a preview and analyze one track. Runs concurrently across tracks (the network and
+    // CPU pools bound the parallelism); shared state is only touched in commitTrack, in track order.
+    async function acquireAndAnalyze(track, index, round) {
+      console.log(`   [R${round}] Track ${index+1}: ${track.name}${track.isRecentRelease ? ' (recent)' : ' (top)'}...`);
+      let acquired = {};
+      try {
+        acquired = await networkPool.run(() => acquirePreviewForTrack(track));
+        emit('preview_acquisition', { round, index: index + 1, trackName: track.name, hit: !!acquired.previewUrl, source: acquired.audioSource || null });
+        if (!acquired.previewUrl) return { track, ...acquired };
+        let fingerprintMatch = null;
+        const features = await analyzeAudioWithEssentia(acquired.previewUrl, {
+          correlationId, tier: `artist_track_r${round}`, artistName, trackName: track.name, onFingerprintMatch: match => { fingerprintMatch = match; }
+        });
+        await storeTrackFeatures({ audioUrl: acquired.previewUrl, trackId: track.id, isrc: acquired.isrc, features, fingerprintMatch, correlationId });
+        return { track, ...acquired, features };
+      } catch (error) {
+        console.warn(`⚠️ Round ${round} failed to analyze ${track.name}:`, error.message);
+        emit('track_failed', { round, index: index + 1, trackName: track.name, error: error.message });
+        return { track, ...acquired, error };
       }
-  // SoundCloud removed: no suppressed Spotify preview restoration path
-      return { previewUrl, audioSource, alternativeSourceInfo };
     }
 
-    // ROUND 1 ANALYSIS
-    let round1Success = 0;
-  for (let i = 0; i < round1Tracks.length; i++) {
-      const track = round1Tracks[i];
-      
-      try {
-        console.log(`   [R1] Track ${i+1}/${round1Tracks.length}: ${track.name}${track.isRecentRelease ? ' (recent)' : ' (top)'}...`);
-        
-        const { previewUrl, audioSource, alternativeSourceInfo } = await acquirePreviewForTrack(track);
-        if (previewUrl && audioSource) {
-          // update previewSourceCounts early for instrumentation parity
-          acquisitionStats.previewSourceCounts[audioSource] = (acquisitionStats.previewSourceCounts[audioSource] || 0) + 1;
-        }
-        
-  if (previewUrl) {
-          const features = await analyzeAudioWithEssentia(previewUrl, { correlationId, tier: 'artist_track_r1', artistName, trackName: track.name });
-          
+    // Fold one track's outcome into the profile; returns true when it added a track
+    function commitTrack(outcome, index, round) {
+      const { track, previewUrl, audioSource, alternativeSourceInfo, previewMatch, isrc, features } = outcome;
+      let added = false;
+      if (previewUrl && audioSource) {
+        acquisitionStats.previewSourceCounts[audioSource] = (acquisitionStats.previewSourceCounts[audioSource] || 0) + 1;
+      }
+      if (features) {
+        const duplicateOf = findDuplicateRecording(trackProfiles, features);
+        if (duplicateOf) {
+          acquisitionStats.duplicateRecordings++;
+          log('artist_track_duplicate_recording', { correlationId, artistName, trackName: track.name, duplicateOf: duplicateOf.name });
+          console.log(`     ♻️ Same recording as "${duplicateOf.name}"; skipped`);
+          emit('track_analyzed', { round, index: index + 1, trackName: track.name, duplicateOf: duplicateOf.name });
+        } else {
           trackProfiles.push({
             trackId: track.id,
+            isrc: isrc || null,
             name: track.name,
             artist: track.artists[0]?.name,
             popularity: track.popularity,
@@ -613,47 +1141,55 @@ app.post('/api/analyze-artist', async (req, res) => {
             previewUrl: previewUrl,
             audioSource: audioSource,
             alternativeSourceInfo: alternativeSourceInfo,
+            previewMatch: previewMatch || null,
             essentiaFeatures: features,
             analyzedAt: new Date(),
-            analysisRound: 1
+            analysisRound: round
           });
-          
+
           // Aggregate for backward compatibility
           for (const [key, value] of Object.entries(features)) {
-            if (typeof value === 'number' && !isNaN(value)) {
+            if (Number.isFinite(value)) {
               averageFeatures[key] = (averageFeatures[key] || 0) + value;
               featureCounts[key] = (featureCounts[key] || 0) + 1;
             }
           }
-          
-          round1Success++;
-          acquisitionStats.analysisRounds.round1.withPreview++;
-          // already incremented above
-          console.log(`     ✅ Round 1 analysis complete`);
-        } else {
-          failureReasons.push('no_preview_round1');
-          console.log(`     ⚠️ No preview URL for: ${track.name}`);
-          acquisitionStats.previewSourceCounts.none++;
+
+          acquisitionStats.analysisRounds[`round${round}`].withPreview++;
+          added = true;
+          emit('track_analyzed', { round, index: index + 1, trackName: track.name, audioSource, tempo: features.tempo, camelot: features.camelot, tracksAnalyzed: trackProfiles.length });
+          console.log(`     ✅ Round ${round} analysis complete: ${track.name}`);
         }
-        
-        // Small delay
-  await new Promise(resolve => setTimeout(resolve, fastMode ? 150 : 500));
-        
-      } catch (error) {
-        console.warn(`⚠️ Round 1 failed to analyze ${track.name}:`, error.message);
+      } else if (!previewUrl && !outcome.error && outcome.refusedBy) {
+        failureReasons.push(`${outcome.refusedBy}_round${round}`);
+        console.log(`     ⚠️ Preview lookup refused (${outcome.refusedBy}) for: ${track.name}`);
+        acquisitionStats.previewLookupsRefused[outcome.refusedBy]++;
+      } else if (!previewUrl && !outcome.error) {
+        failureReasons.push(`no_preview_round${round}`);
+        console.log(`     ⚠️ No preview URL for: ${track.name}`);
+        acquisitionStats.previewSourceCounts.none++;
       }
+      reportProgress({ tracksAttempted: progress.tracksAttempted + 1, tracksAnalyzed: trackProfiles.length }, trackProfiles);
+      return added;
     }
 
+    // ROUND 1 ANALYSIS
+    let round1Success = 0;
+    await mapInOrder(round1Tracks, (track, i) => acquireAndAnalyze(track, i, 1), (outcome, i) => {
+      if (commitTrack(outcome, i, 1)) round1Success++;
+    }, { limit: ITEMS_IN_FLIGHT });
+
     console.log(`📊 Round 1 Results: ${round1Success}/${round1Tracks.length} tracks analyzed successfully`);
+    emit('round_complete', { round: 1, analyzed: round1Success, attempted: round1Tracks.length });
     
     // ROUND 2 ANALYSIS (only if Round 1 had reasonable success)
     const round1SuccessRate = round1Success / round1Tracks.length;
     let round2Success = 0;
     let round2Tracks = []; // Initialize empty array
     
-  // Skip Round 2 in fastMode or if nearing Heroku 30s timeout (safety guard at 22s)
+  // Skip Round 2 in fastMode or if nearing Heroku 30s timeout (safety guard at 22s; jobs have no router timeout)
   const elapsedMs = Date.now() - startTime;
-  const nearingTimeout = elapsedMs > 22000; // heroku hard timeout 30s
+  const nearingTimeout = !background && elapsedMs > 22000; // heroku hard timeout 30s
   if (!fastMode && !nearingTimeout && round1SuccessRate >= 0.4 && maxTracks > 10) { // At least 40% success rate and maxTracks allows more
       console.log(`🔄 Round 1 success rate: ${(round1SuccessRate * 100).toFixed(1)}% - Starting Round 2`);
       
@@ -663,70 +1199,23 @@ app.post('/api/analyze-artist', async (req, res) => {
       round2Tracks = [...round2TopTracks, ...round2RecentTracks];
       
       console.log(`🔄 Round 2: Analyzing ${round2Tracks.length} more tracks (${round2TopTracks.length} top + ${round2RecentTracks.length} recent)`);
+      reportProgress({ phase: 'round2', round: 2, tracksPlanned: progress.tracksPlanned + round2Tracks.length });
+      emit('round_start', { round: 2, tracks: round2Tracks.length });
       
-  for (let i = 0; i < round2Tracks.length; i++) {
-        const track = round2Tracks[i];
-        
-        try {
-          console.log(`   [R2] Track ${i+1}/${round2Tracks.length}: ${track.name}${track.isRecentRelease ? ' (recent)' : ' (top)'}...`);
-          
-          // Get preview URL (Spotify first, Apple fallback, extended Apple search, then alternative sources)
-          const { previewUrl, audioSource, alternativeSourceInfo } = await acquirePreviewForTrack(track);
-          if (previewUrl && audioSource) {
-            acquisitionStats.previewSourceCounts[audioSource] = (acquisitionStats.previewSourceCounts[audioSource] || 0) + 1;
-          }
-          
-          if (previewUrl) {
-            const features = await analyzeAudioWithEssentia(previewUrl, { correlationId, tier: 'artist_track_r2', artistName, trackName: track.name });
-            
-            trackProfiles.push({
-              trackId: track.id,
-              name: track.name,
-              artist: track.artists[0]?.name,
-              popularity: track.popularity,
-              isRecentRelease: track.isRecentRelease || false,
-              albumInfo: track.album || null,
-              previewUrl: previewUrl,
-              audioSource: audioSource,
-              alternativeSourceInfo: alternativeSourceInfo,
-              essentiaFeatures: features,
-              analyzedAt: new Date(),
-              analysisRound: 2
-            });
-            
-            // Aggregate for backward compatibility
-            for (const [key, value] of Object.entries(features)) {
-              if (typeof value === 'number' && !isNaN(value)) {
-                averageFeatures[key] = (averageFeatures[key] || 0) + value;
-                featureCounts[key] = (featureCounts[key] || 0) + 1;
-              }
-            }
-            
-            round2Success++;
-            acquisitionStats.analysisRounds.round2.withPreview++;
-            // already counted
-            console.log(`     ✅ Round 2 analysis complete`);
-          } else {
-            failureReasons.push('no_preview_round2');
-            console.log(`     ⚠️ No preview URL for: ${track.name}`);
-            acquisitionStats.previewSourceCounts.none++;
-          }
-          
-          // Small delay
-          await new Promise(resolve => setTimeout(resolve, fastMode ? 150 : 500));
-          
-        } catch (error) {
-          console.warn(`⚠️ Round 2 failed to analyze ${track.name}:`, error.message);
-        }
-      }
+      await mapInOrder(round2Tracks, (track, i) => acquireAndAnalyze(track, i, 2), (outcome, i) => {
+        if (commitTrack(outcome, i, 2)) round2Success++;
+      }, { limit: ITEMS_IN_FLIGHT });
       
       console.log(`📊 Round 2 Results: ${round2Success}/${round2Tracks.length} additional tracks analyzed`);
+      emit('round_complete', { round: 2, analyzed: round2Success, attempted: round2Tracks.length });
     } else {
   console.log(`⚠️ Skipping Round 2 - Conditions unmet (fastMode=${fastMode}, nearingTimeout=${nearingTimeout}, successRate=${(round1SuccessRate * 100).toFixed(1)}%, maxTracks=${maxTracks})`);
+      emit('round_skipped', { round: 2, fastMode, nearingTimeout, round1SuccessRate: +round1SuccessRate.toFixed(3), maxTracks });
     }
 
     const totalSuccess = round1Success + round2Success;
     const totalAttempted = round1Tracks.length + round2Tracks.length;
+    acquisitionStats.circuitBreakers = circuitStates();
     
   console.log(JSON.stringify({ evt: 'analysis_rounds_complete', correlationId, artistName, totalAnalyzed: totalSuccess, totalAttempted, topTracksAnalyzed: trackProfiles.filter(t => !t.isRecentRelease).length, recentTracksAnalyzed: trackProfiles.filter(t => t.isRecentRelease).length, successRate: ((totalSuccess/totalAttempted)*100).toFixed(1) }));
 
@@ -751,15 +1240,29 @@ app.post('/api/analyze-artist', async (req, res) => {
     // If no tracks were analyzed, attempt a Deezer artist-level search before returning partial/genre inference
     if (trackProfiles.length === 0) {
       try {
-        if (!process.env.PREFER_DEEZER) {
+        if (!process.env.PREFER_DEEZER && previewOrder.includes('deezer') && isProviderAvailable('deezer')) {
           console.log(`🔁 No track profiles produced; attempting Deezer artist-level search for ${artistName}`);
           const deezerTracks = await findDeezerArtistTracks(artistName, Math.min(6, maxTracks));
           if (deezerTracks && deezerTracks.length > 0) {
             console.log(`🔁 Deezer artist-level returned ${deezerTracks.length} previews; analyzing with Essentia`);
-            for (let i = 0; i < deezerTracks.length; i++) {
-              const dt = deezerTracks[i];
+            reportProgress({ phase: 'deezer_fallback', tracksPlanned: progress.tracksPlanned + deezerTracks.length });
+            emit('round_start', { round: 'deezer_fallback', tracks: deezerTracks.length });
+            const analyzeDeezerTrack = async (dt, i) => {
               try {
-                const features = await analyzeAudioWithEssentia(dt.audioUrl, { correlationId, tier: 'deezer_artist_fallback', artistName, trackName: dt.title });
+                return { features: await analyzeAudioWithEssentia(dt.audioUrl, { correlationId, tier: 'deezer_artist_fallback', artistName, trackName: dt.title }) };
+              } catch (e) {
+                console.warn(`⚠️ Failed to analyze Deezer preview ${dt.title}:`, e.message || e);
+                emit('track_failed', { round: 'deezer_fallback', index: i + 1, trackName: dt.title, error: e.message || String(e) });
+                return { error: e };
+              }
+            };
+            await mapInOrder(deezerTracks, analyzeDeezerTrack, ({ features }, i) => {
+              const dt = deezerTracks[i];
+              const duplicateOf = features ? findDuplicateRecording(trackProfiles, features) : null;
+              if (duplicateOf) {
+                acquisitionStats.duplicateRecordings++;
+                emit('track_analyzed', { round: 'deezer_fallback', index: i + 1, trackName: dt.title, duplicateOf: duplicateOf.name });
+              } else if (features) {
                 trackProfiles.push({
                   trackId: dt.deezerId,
                   name: dt.title,
@@ -775,21 +1278,26 @@ app.post('/api/analyze-artist', async (req, res) => {
                   analysisRound: 'deezer_fallback'
                 });
                 acquisitionStats.previewSourceCounts.deezer = (acquisitionStats.previewSourceCounts.deezer || 0) + 1;
-              } catch (e) {
-                console.warn(`⚠️ Failed to analyze Deezer preview ${dt.title}:`, e.message || e);
+                emit('track_analyzed', { round: 'deezer_fallback', index: i + 1, trackName: dt.title, audioSource: 'deezer', tempo: features.tempo, camelot: features.camelot, tracksAnalyzed: trackProfiles.length });
               }
-            }
+              reportProgress({ tracksAttempted: progress.tracksAttempted + 1, tracksAnalyzed: trackProfiles.length }, trackProfiles);
+            }, { limit: ITEMS_IN_FLIGHT });
           } else {
             console.log(`🔁 Deezer artist-level returned no previews for ${artistName}`);
           }
         }
       } catch (deezerErr) {
+        if (isUpstreamRefusal(deezerErr)) failureReasons.push(refusalReason(deezerErr, 'deezer_fallback'));
         console.warn('⚠️ Deezer artist-level fallback failed:', deezerErr.message || deezerErr);
       }
 
       // After Deezer attempt, if still no trackProfiles, run original partial/failure response
       if (trackProfiles.length === 0) {
-        const failSubtype = hadInitialTracks ? 'no_preview' : (existingGenres.length > 0 ? 'no_tracks_genre_only' : 'no_tracks');
+        // Every preview lookup refused (none answered "no preview"): the artist needs a retry, not a no_preview verdict
+        const refused = acquisitionStats.previewLookupsRefused;
+        const onlyRefused = refused.rate_limited + refused.provider_unavailable > 0 && !failureReasons.some(r => r.startsWith('no_preview_round'));
+        const previewSubtype = onlyRefused ? (refused.rate_limited > 0 ? 'rate_limited' : 'provider_unavailable') : 'no_preview';
+        const failSubtype = hadInitialTracks ? previewSubtype : (existingGenres.length > 0 ? 'no_tracks_genre_only' : 'no_tracks');
         if (genreMapping && genreMapping.inferredGenres && genreMapping.inferredGenres.length > 0) {
           console.log(`✅ Partial success: No audio analysis but genres available for ${artistName}`);
           const metadataFeatures = inferAudioFeaturesFromGenres(genreMapping.inferredGenres, artistName, 'mixed_tracks');
@@ -819,11 +1327,10 @@ app.post('/api/analyze-artist', async (req, res) => {
               failureReasons
             }
           };
-          res.setHeader('x-correlation-id', correlationId);
           partial.metadata.spotifyTokenStatus = spotifyTokenStatus;
-          return res.json({ ...partial, spotifyTokenStatus, acquisitionStats });
+          return { ...partial, spotifyTokenStatus, acquisitionStats };
         }
-        return res.json({ success: false, error: 'No tracks could be analyzed and no genres available', failSubtype, artistName, tracksAttempted: totalAttempted, failureReasons, correlationId, spotifyTokenStatus, acquisitionStats });
+        return { success: false, error: 'No tracks could be analyzed and no genres available', failSubtype, artistName, tracksAttempted: totalAttempted, failureReasons, correlationId, spotifyTokenStatus, acquisitionStats };
       }
     }
 
@@ -836,6 +1343,7 @@ app.post('/api/analyze-artist', async (req, res) => {
       recentEvolution,
       averageFeatures, // For backward compatibility
       spectralFeatures, // For backward compatibility
+      keyDistribution: calculateKeyDistribution(trackProfiles),
       metadata: {
         totalTracksAnalyzed: trackProfiles.length,
         topTracks: trackProfiles.filter(t => !t.isRecentRelease).length,
@@ -863,7 +1371,7 @@ app.post('/api/analyze-artist', async (req, res) => {
   spotifyTokenStatus
       }
     };
-  res.setHeader('x-correlation-id', correlationId);
+  reportProgress({ phase: 'persisting', tracksAnalyzed: trackProfiles.length });
   // Persist artist-level profile (audio + genres) for downstream unified events/frontend
   try {
     if (db) {
@@ -877,7 +1385,9 @@ app.post('/api/analyze-artist', async (req, res) => {
             genreMapping: result.genreMapping,
             averageFeatures: result.averageFeatures,
             spectralFeatures: result.spectralFeatures,
+            keyDistribution: result.keyDistribution,
             recentEvolution: result.recentEvolution,
+            analysisVersion: CURRENT_ANALYSIS_VERSION,
             acquisitionStats,
             audioSourcesSummary: result.metadata.audioSources,
             totalTracksAnalyzed: result.metadata.totalTracksAnalyzed
@@ -889,22 +1399,21 @@ app.post('/api/analyze-artist', async (req, res) => {
     console.warn('⚠️ Failed to persist artist_genre_profiles:', persistErr.message);
   }
   console.log(JSON.stringify({ evt: 'analyze_artist_success', correlationId, artistName, spotifyId, tracksAnalyzed: trackProfiles.length, durationMs: Date.now() - startTime, audioSources: result.metadata.audioSources, acquisitionStats }));
-  res.json({ ...result, acquisitionStats });
+  return { ...result, acquisitionStats };
 
   } catch (error) {
-  console.error(JSON.stringify({ evt: 'analyze_artist_error', correlationId, artistName: req.body.artistName, error: error.message, stack: error.stack }));
-  res.setHeader('x-correlation-id', correlationId);
-  res.status(500).json({
-      success: false,
-      error: error.message,
-      artistName: req.body.artistName
-    });
+  console.error(JSON.stringify({ evt: 'analyze_artist_error', correlationId, artistName: params.artistName, error: error.message, stack: error.stack }));
+  throw error;
   }
-});
+}
 
 // User sound profile matrix endpoint - build from recent 20 tracks
 app.post('/api/user-profile', async (req, res) => {
   const startTime = Date.now();
+  const correlationId = withCorrelation(req);
+  res.setHeader('x-correlation-id', correlationId);
+  const { callback, error: callbackError } = parseCallback(req.body, CALLBACK_POLICY);
+  if (callbackError) return res.status(400).json({ error: callbackError, correlationId });
   
   try {
     const { userId, recentTracks, maxTracks = 20 } = req.body;
@@ -916,52 +1425,59 @@ app.post('/api/user-profile', async (req, res) => {
     console.log(`👤 Building user sound profile matrix for: ${userId}`);
     console.log(`🎵 Analyzing ${Math.min(recentTracks.length, maxTracks)} recent tracks (up to 20)`);
     
-    const userTrackProfiles = [];
     const tracksToAnalyze = recentTracks.slice(0, maxTracks);
     
-    for (let i = 0; i < tracksToAnalyze.length; i++) {
-      const track = tracksToAnalyze[i];
-      
+    // Concurrent across tracks (bounded by the shared pools); the matrix keeps listening order
+    const analyzedTracks = await mapInOrder(tracksToAnalyze, async (track, i) => {
       try {
         console.log(`   Analyzing user track ${i+1}/${tracksToAnalyze.length}: ${track.name}...`);
         
-        // Get preview URL (Spotify first, Apple fallback)
+        // Get preview URL (Spotify first, Apple fallback when a result matches the track)
+        const isrc = normalizeIsrc(track.external_ids?.isrc);
         let previewUrl = track.preview_url;
+        let previewMatch = previewUrl ? { provider: 'spotify', score: 1, exact: true } : null;
         if (!previewUrl && track.artists && track.name) {
-          previewUrl = await findApplePreviewUrl(track.artists[0].name, track.name);
+          const apple = await networkPool.run(() => findApplePreviewUrl(track.artists[0].name, track.name, track.duration_ms, isrc));
+          if (apple) {
+            previewUrl = apple.audioUrl;
+            previewMatch = apple.matchedBy
+              ? { provider: 'apple', ...apple.match, matchedBy: apple.matchedBy }
+              : { provider: 'apple', ...apple.match, candidateTitle: apple.title, candidateArtist: apple.artist };
+          }
         }
         
-        if (previewUrl) {
-          const features = await analyzeAudioWithEssentia(previewUrl);
-          
-          userTrackProfiles.push({
-            trackId: track.id,
-            name: track.name,
-            artist: track.artists[0]?.name,
-            essentiaFeatures: features,
-            listenedAt: track.listenedAt || new Date(),
-            analyzedAt: new Date()
-          });
-          
-          console.log(`     ✅ User track analysis complete`);
-        } else {
+        if (!previewUrl) {
           console.log(`     ⚠️ No preview URL for user track: ${track.name}`);
+          return null;
         }
-        
-        // Small delay
-        await new Promise(resolve => setTimeout(resolve, 300));
-        
+        const features = await analyzeAudioWithEssentia(previewUrl, { correlationId, tier: 'user_track' });
+        console.log(`     ✅ User track analysis complete: ${track.name}`);
+        return {
+          trackId: track.id,
+          isrc,
+          name: track.name,
+          artist: track.artists[0]?.name,
+          previewMatch,
+          essentiaFeatures: features,
+          listenedAt: track.listenedAt || new Date(),
+          analyzedAt: new Date()
+        };
       } catch (error) {
         console.warn(`⚠️ Failed to analyze user track ${track.name}:`, error.message);
+        return null;
       }
-    }
+    }, null, { limit: ITEMS_IN_FLIGHT });
+    const userTrackProfiles = analyzedTracks.filter(Boolean);
 
     if (userTrackProfiles.length === 0) {
-      return res.json({
+      const body = {
         success: false,
         error: 'No user tracks could be analyzed',
-        userId
-      });
+        userId,
+        correlationId
+      };
+      res.json(body);
+      return notifyCallback(callback, 'user_profile', body);
     }
 
     // Calculate user sound preferences
@@ -985,7 +1501,7 @@ app.post('/api/user-profile', async (req, res) => {
       );
     }
 
-    res.json({
+    const body = {
       success: true,
       userId,
       trackMatrix: userTrackProfiles, // Individual track analysis
@@ -994,168 +1510,403 @@ app.post('/api/user-profile', async (req, res) => {
         tracksAnalyzed: userTrackProfiles.length,
         analysisTime: Date.now() - startTime,
         source: 'essentia'
-      }
-    });
+      },
+      correlationId
+    };
+    res.json(body);
+    notifyCallback(callback, 'user_profile', body);
 
   } catch (error) {
     console.error('❌ User profile analysis error:', error);
-    res.status(500).json({
+    const body = {
       success: false,
       error: error.message,
-      userId: req.body.userId
-    });
+      userId: req.body.userId,
+      correlationId
+    };
+    res.status(500).json(body);
+    notifyCallback(callback, 'user_profile', body);
+  }
+});
+
+// Recorded webhook deliveries (?correlationId=, ?jobId=, ?status=pending|delivered|failed)
+app.get('/api/webhook-deliveries', async (req, res) => {
+  const correlationId = withCorrelation(req);
+  res.setHeader('x-correlation-id', correlationId);
+  if (!db) return res.status(503).json({ success: false, error: 'Delivery records require MongoDB', correlationId });
+  try {
+    const filter = {};
+    for (const key of ['correlationId', 'jobId', 'status']) if (req.query[key]) filter[key] = String(req.query[key]);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || '50', 10) || 50));
+    const deliveries = await db.collection('webhook_deliveries').find(filter, { projection: { _id: 0 } }).sort({ createdAt: -1 }).limit(limit).toArray();
+    res.json({ success: true, deliveries, count: deliveries.length, correlationId });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, correlationId });
   }
 });
 
 // ===== HELPER FUNCTIONS =====
 
-// Get Spotify access token
-async function getSpotifyToken() {
-  try {
-    const response = await fetch('https://accounts.spotify.com/api/token', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Authorization': `Basic ${Buffer.from(`${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`).toString('base64')}`
-      },
-      body: 'grant_type=client_credentials'
-    });
+// Remove mix/remix suffixes and parenthetical descriptors for the relaxed Spotify search
+function simplifyTrackName(name, stats) {
+  if (!name) return name;
+  // Remove parenthetical descriptors e.g. (Mixed), (Remix), (feat. ...)
+  let base = name.replace(/\([^)]*\)/gi, '').trim();
+  // Common dash-separated suffixes we want to remove for relaxed search
+  const dashIdx = base.indexOf(' - ');
+  // Only treat as suffix if right side contains remix/mixed/edit/reform
+  if (dashIdx !== -1 && /remix|mixed|edit|reform|version/i.test(base.substring(dashIdx + 3))) {
+    stats.previewRecovery.suffixStrips++;
+    base = base.substring(0, dashIdx).trim();
+  }
+  return base.replace(/\s{2,}/g, ' ').trim();
+}
 
-    if (response.ok) {
-      const data = await response.json();
-      return data.access_token;
+// `spotify_search` provider: look the track up again across markets and artist credits, since
+// Spotify often has a preview for the same track in another market or on another release.
+// ctx: { spotifyToken, artistName, markets, recoveryLimit, stats (acquisitionStats) }
+async function searchSpotifyPreview({ track, isrc }, ctx) {
+  const { spotifyToken, stats } = ctx;
+  if (!spotifyToken || !track || !track.name) return [];
+  const recovery = stats.previewRecovery;
+  let attempts = 0;
+  const searchOnce = async (pattern, market, matches) => {
+    recovery.attempts++;
+    recovery.queries++;
+    attempts++;
+    const resp = await upstreamFetch('spotify', `https://api.spotify.com/v1/search?q=${encodeURIComponent(pattern)}&type=track&market=${market}&limit=5`, { headers: { 'Authorization': `Bearer ${spotifyToken}` } });
+    if (!resp.ok) return null;
+    const data = await resp.json();
+    return data.tracks?.items?.find(it => it.preview_url && (it.id === track.id || matches(it.name.toLowerCase()))) || null;
+  };
+  const hit = (item, market, pattern, artist, relaxed) => {
+    recovery.hits++;
+    if (!recovery.firstHit) recovery.firstHit = { market, pattern, artist, ...(relaxed ? { relaxed: true } : {}) };
+    return [{
+      audioUrl: item.preview_url, source: 'spotify', exact: item.id === track.id || (!!isrc && normalizeIsrc(item.external_ids?.isrc) === isrc),
+      title: item.name, artist: (item.artists || []).map(a => a.name), durationMs: item.duration_ms, isrc: item.external_ids?.isrc, metadata: { spotifyId: item.id, market }
+    }];
+  };
+  const artistCandidates = [...new Set([track.artists?.[0]?.name, ctx.artistName, ...(track.artists?.slice(1).map(a => a.name) || [])].filter(Boolean))];
+  const exactName = track.name.toLowerCase();
+  try {
+    for (const m of ctx.markets) {
+      if (!recovery.marketsTried.includes(m)) recovery.marketsTried.push(m);
+      for (const cand of artistCandidates) {
+        // Two query patterns per artist candidate
+        for (const pattern of [`track:"${track.name}" artist:"${cand}"`, `track:"${track.name}" "${cand}"`]) {
+          if (attempts >= ctx.recoveryLimit) { stats.previewRecoveryLimited = true; return []; }
+          const item = await searchOnce(pattern, m, name => name === exactName);
+          if (item) return hit(item, m, pattern, cand, false);
+        }
+        // Relaxed phase: simplified name (once per candidate)
+        const simple = simplifyTrackName(track.name, stats);
+        if (simple && simple !== track.name) {
+          for (const pattern of [`track:"${simple}" artist:"${cand}"`, `${simple} ${cand}`]) {
+            if (attempts >= ctx.recoveryLimit) { stats.previewRecoveryLimited = true; return []; }
+            recovery.relaxedAttempts++;
+            const item = await searchOnce(pattern, m, name => name === simple.toLowerCase());
+            if (item) return hit(item, m, pattern, cand, true);
+          }
+        }
+      }
     }
-  } catch (error) {
-    console.error('❌ Spotify token error:', error);
+  } catch (e) {
+    // Recovery is optional, but a rate-limited Spotify must not look like "no preview exists"
+    if (e instanceof UpstreamRateLimitError) recovery.rateLimited++;
+    else throw e;
   }
-  return null;
+  return [];
 }
 
-// Find Apple preview URL as fallback
-async function findApplePreviewUrl(artistName, trackName) {
-  try {
-    const searchTerm = `${artistName} ${trackName}`.replace(/[^\w\s]/gi, '');
-    const response = await fetch(`https://itunes.apple.com/search?term=${encodeURIComponent(searchTerm)}&media=music&entity=song&limit=1`);
-    
-    if (response.ok) {
+// Album track listings are simplified track objects without external_ids (ISRC); fill them from /v1/tracks, 50 per request
+async function fillSpotifyExternalIds(tracks, spotifyToken) {
+  const missing = tracks.filter(t => t.id && !t.external_ids);
+  for (let i = 0; i < missing.length; i += 50) {
+    const batch = missing.slice(i, i + 50);
+    try {
+      const response = await upstreamFetch('spotify', `https://api.spotify.com/v1/tracks?ids=${batch.map(t => t.id).join(',')}`, {
+        headers: { 'Authorization': `Bearer ${spotifyToken}` }
+      });
+      if (!response.ok) continue;
       const data = await response.json();
-      if (data.results && data.results.length > 0) {
-        return data.results[0].previewUrl;
+      const byId = new Map((data.tracks || []).filter(Boolean).map(t => [t.id, t]));
+      for (const track of batch) {
+        const full = byId.get(track.id);
+        if (!full) continue;
+        track.external_ids = full.external_ids;
+        if (track.popularity === undefined) track.popularity = full.popularity;
       }
+    } catch (error) {
+      console.warn(`⚠️ Failed to fetch Spotify track details:`, error.message);
     }
+  }
+}
+
+// Storefronts an Apple search went through, in previewRecovery (hits are counted where a preview is chosen)
+function recordStorefrontsTried(stats, tried) {
+  if (!stats) return;
+  for (const country of tried) {
+    if (!stats.previewRecovery.storefrontsTried.includes(country)) stats.previewRecovery.storefrontsTried.push(country);
+  }
+}
+
+// iTunes song search over the storefronts in order; results with a preview, as match candidates.
+// accept(candidate) decides when to stop: the first storefront with an acceptable candidate wins.
+async function searchAppleSongs(term, limit, { storefronts = APPLE_STOREFRONTS, accept = () => true, stats = null } = {}) {
+  const toCandidate = (result, storefront) => ({
+    audioUrl: result.previewUrl,
+    source: 'apple',
+    title: result.trackName,
+    artist: result.artistName,
+    durationMs: result.trackTimeMillis,
+    metadata: { appleTrackId: result.trackId, storefront }
+  });
+  try {
+    const { results, storefront, tried } = await searchItunes({ term, media: 'music', entity: 'song', limit }, {
+      storefronts,
+      usable: found => found.some(result => result.previewUrl && accept(toCandidate(result)))
+    });
+    recordStorefrontsTried(stats, tried);
+    return results.filter(result => result.previewUrl).map(result => toCandidate(result, storefront || tried[0]));
   } catch (error) {
-    console.warn(`⚠️ Apple search failed for ${artistName} - ${trackName}:`, error.message);
+    if (isUpstreamRefusal(error)) throw error;
+    console.warn(`⚠️ Apple search failed for "${term}":`, error.message);
   }
-  return null;
+  return [];
 }
 
-// Find Apple tracks for artist (when no Spotify access)
-async function findAppleTracksForArtist(artistName, limit = 20) {
+// failureReasons entry for a lookup the upstream refused rather than answered
+const refusalReason = (error, where) => `${error instanceof UpstreamRateLimitError ? 'rate_limited' : 'provider_unavailable'}_${where}`;
+
+// Match score of a candidate for a provider query (scored against all of the track's artists)
+const scoreQuery = (query, candidate) => scoreMatch({ ...query, artistName: query.artists || query.artistName }, candidate);
+// Storefront stop condition for preview searches: a candidate the matcher would accept for the query
+const acceptsMatch = query => candidate => scoreQuery(query, candidate).score >= PREVIEW_MATCH_THRESHOLD;
+
+// Apple Music catalog song for an ISRC, as an exact candidate (the iTunes Search API cannot look up ISRCs).
+// Needs APPLE_MUSIC_TOKEN (a MusicKit developer token); null when unset, unknown or without a preview.
+async function findAppleSongByIsrc(isrc) {
+  if (!APPLE_MUSIC_TOKEN) return null;
   try {
-    const response = await fetch(`https://itunes.apple.com/search?term=${encodeURIComponent(artistName)}&media=music&entity=song&limit=${limit}`);
-    
-    if (response.ok) {
-      const data = await response.json();
-      if (data.results && data.results.length > 0) {
-        return data.results.map(result => ({
-          id: result.trackId,
-          name: result.trackName,
-          artists: [{ name: result.artistName }],
-          album: { name: result.collectionName },
-          popularity: 50, // Default
-          preview_url: result.previewUrl,
-          applePreview: !!result.previewUrl,
-          external_urls: { itunes: result.trackViewUrl }
-        }));
-      }
+    const response = await upstreamFetch('apple_music', `https://api.music.apple.com/v1/catalog/${APPLE_MUSIC_STOREFRONT}/songs?filter[isrc]=${encodeURIComponent(isrc)}`, {
+      headers: { 'Authorization': `Bearer ${APPLE_MUSIC_TOKEN}` }
+    });
+    if (!response.ok) {
+      console.warn(`⚠️ Apple Music ISRC lookup failed: HTTP ${response.status}`);
+      return null;
     }
+    const data = await response.json();
+    const song = (data.data || []).find(item => item.attributes?.previews?.[0]?.url);
+    if (!song) return null;
+    const attrs = song.attributes;
+    return {
+      audioUrl: attrs.previews[0].url,
+      source: 'apple',
+      title: attrs.name,
+      artist: attrs.artistName,
+      durationMs: attrs.durationInMillis,
+      isrc,
+      exact: true,
+      matchedBy: 'isrc',
+      metadata: { appleTrackId: song.id, storefront: APPLE_MUSIC_STOREFRONT }
+    };
   } catch (error) {
-    console.warn(`⚠️ Apple artist search failed for ${artistName}:`, error.message);
+    console.warn(`⚠️ Apple Music ISRC lookup error for ${isrc}:`, error.message);
+    return null;
   }
-  return [];
 }
 
-// Broader Apple search (for difficult tracks)
-async function findApplePreviewUrlBroader(artistName, trackName) {
+// Best-matching Apple preview for a track (by ISRC when known), or null when no result clears the match threshold
+async function findApplePreviewUrl(artistName, trackName, durationMs, isrc) {
+  if (isrc) {
+    const exact = await findAppleSongByIsrc(isrc);
+    if (exact) return { ...exact, match: { score: 1, exact: true } };
+  }
+  const query = { artistName, trackName, durationMs };
+  const searchTerm = `${artistName} ${trackName}`.replace(/[^\w\s]/gi, '');
+  const [best] = rankCandidates(query, await searchAppleSongs(searchTerm, 10, { accept: acceptsMatch(query) }), PREVIEW_MATCH_THRESHOLD);
+  return best ? { ...best.candidate, match: best.match } : null;
+}
+
+// Find Apple tracks for artist (when no Spotify access), from the first storefront that carries the artist
+async function findAppleTracksForArtist(artistName, limit = 20, { stats = null } = {}) {
   try {
-    // Try with just the artist name
-    const response = await fetch(`https://itunes.apple.com/search?term=${encodeURIComponent(artistName)}&media=music&entity=song&limit=10`);
-    
-    if (response.ok) {
-      const data = await response.json();
-      if (data.results && data.results.length > 0) {
-        // Return the first result's preview URL
-        const firstResult = data.results.find(result => result.previewUrl);
-        return firstResult ? firstResult.previewUrl : null;
-      }
+    // A storefront that only returns other artists for the name does not carry this one
+    const { results, storefront, tried } = await searchItunes({ term: artistName, media: 'music', entity: 'song', limit }, {
+      usable: found => found.some(result => artistSimilarity(artistName, result.artistName) >= 0.8)
+    });
+    recordStorefrontsTried(stats, tried);
+    if (stats) stats.previewRecovery.catalogStorefront = storefront;
+    if (results.length > 0) {
+      return results.map(result => ({
+        id: result.trackId,
+        name: result.trackName,
+        artists: [{ name: result.artistName }],
+        album: { name: result.collectionName },
+        popularity: 50, // Default
+        preview_url: result.previewUrl,
+        duration_ms: result.trackTimeMillis,
+        applePreview: !!result.previewUrl,
+        appleStorefront: storefront || tried[0],
+        external_urls: { itunes: result.trackViewUrl }
+      }));
     }
   } catch (error) {
-    console.warn(`⚠️ Broader Apple search failed for ${artistName}:`, error.message);
+    if (isUpstreamRefusal(error)) throw error;
+    console.warn(`⚠️ Apple artist search failed for ${artistName}:`, error.message);
   }
-  return null;
+  return [];
 }
 
-// Analyze audio with Essentia (placeholder - replace with actual Essentia.js calls)
-async function analyzeAudioWithEssentia(audioUrl, context = {}) {
-  // This is a placeholder - in production, you would use Essentia.js
-  // For now, returning mock features that match Essentia's output structure
-  const { correlationId, audioHash, tier, artistName, trackName } = context;
-  log('essentia_track_begin', { correlationId, audioHash: audioHash || hashAudioUrl(audioUrl), tier, artistName, trackName });
-  
-  // Simulate analysis time
-  await new Promise(resolve => setTimeout(resolve, 100));
-  
-  // Mock Essentia features (replace with real Essentia.js analysis)
+// Analyze audio with Essentia.js (download → decode → extract); accepts a URL or raw bytes.
+// A recording already stored under another audioHash resolves to its stored features; the match itself
+// ({ audioHash, similarity }) goes to context.onFingerprintMatch, never into the feature payload
+async function analyzeAudioWithEssentia(audioInput, context = {}) {
+  const { correlationId, tier, artistName, trackName, include = [], hopSeconds, onFingerprintMatch } = context;
+  const isBytes = Buffer.isBuffer(audioInput);
+  const audioHash = context.audioHash || (isBytes ? hashAudioBytes(audioInput) : hashAudioUrl(audioInput));
+  const t0 = Date.now();
+  log('essentia_track_begin', { correlationId, audioHash, tier, artistName, trackName });
+
+  const bytes = isBytes ? audioInput : await fetchPreviewBytes(audioInput);
+  // Decode, fingerprint lookup and extraction share one analysis slot, so decoded PCM only exists for tracks being analyzed
+  const { match, features } = await cpuPool.run(async () => {
+    // Streamed audio is cut to a preview-sized window (Bandcamp streams are whole tracks); uploads are analyzed as sent
+    const prepared = await prepareAudio(bytes, { maxSeconds: isBytes ? undefined : PREVIEW_WINDOW_SECONDS });
+    if (prepared.window) log('essentia_track_windowed', { correlationId, audioHash, tier, ...prepared.window, windowSeconds: prepared.duration });
+    // Same recording already analyzed from another URL/upload: reuse it instead of re-extracting
+    // (detail blocks are not stored for every document, so requests for them always extract)
+    if (include.length === 0) {
+      const found = await findFingerprintMatch(prepared.fingerprint, audioHash);
+      if (found) return { match: found };
+    }
+    return { features: extractPrepared(prepared, { include, hopSeconds }) };
+  });
+  if (match) {
+    log('essentia_track_fingerprint_match', { correlationId, audioHash, tier, matchedAudioHash: match.audioHash, similarity: match.similarity, durationMs: Date.now() - t0 });
+    if (onFingerprintMatch) onFingerprintMatch({ audioHash: match.audioHash, similarity: match.similarity });
+    return match.features;
+  }
   const featurePayload = {
-    // Low-level features
-    spectral_centroid: Math.random() * 4000 + 1000,
-    spectral_rolloff: Math.random() * 8000 + 2000,
-    spectral_flux: Math.random() * 100,
-    mfcc_mean: Math.random() * 50 - 25,
-    chroma_mean: Math.random(),
-    
-    // Rhythm features
-    tempo: Math.random() * 100 + 80,
-    beats_per_minute: Math.random() * 100 + 80,
-    rhythm_strength: Math.random(),
-    
-    // Tonal features
-    key_strength: Math.random(),
-    harmonicity: Math.random(),
-    
-    // High-level features
-    danceability: Math.random(),
-    energy: Math.random(),
-    valence: Math.random(),
-    arousal: Math.random(),
-    
-    // Essentia-specific
-    loudness: Math.random() * 60 - 60,
-    dynamic_range: Math.random() * 20,
-    zerocrossingrate: Math.random() * 0.2,
-    
+    ...features,
     // Analysis metadata
     analysis_source: 'essentia',
-    analysis_version: '2.1-beta5',
-    vector: [] // Placeholder embedding vector (future: real Essentia embedding)
+    analysis_version: CURRENT_ANALYSIS_VERSION
   };
-  // Provide deterministic short vector for prototyping (e.g., 8 dims)
-  featurePayload.vector = Array.from({ length: 8 }, () => Math.random());
-  log('essentia_track_complete', { correlationId, audioHash: audioHash || hashAudioUrl(audioUrl), tier, dims: featurePayload.vector.length });
-  // Return mock features (placeholder until real Essentia integration)
+  log('essentia_track_complete', { correlationId, audioHash, tier, dims: featurePayload.vector.length, vectorVersion: featurePayload.vector_version, durationMs: Date.now() - t0 });
   return featurePayload;
 }
 
+// audio_features document for a preview analyzed outside /api/analyze, so its ISRC and trackId
+// are join keys there too; a failed write is logged, not fatal to the analysis
+async function storeTrackFeatures({ audioUrl, trackId, isrc, features, fingerprintMatch, correlationId }) {
+  if (!db) return;
+  const audioHash = hashAudioUrl(audioUrl);
+  try {
+    await db.collection('audio_features').updateOne(
+      { audioHash },
+      { $set: {
+          audioHash, trackId: trackId || null, ...(isrc ? { isrc } : {}), features, source: 'essentia', audioUrl, inputType: 'url', analysisVersion: features.analysis_version,
+          fingerprintKeys: fingerprintKeys(decodeFingerprint(features.fingerprint)), fingerprintMatch, analyzedAt: new Date()
+        } },
+      { upsert: true }
+    );
+  } catch (error) {
+    log('track_features_store_error', { correlationId, audioHash, trackId, error: error.message });
+  }
+}
+
+// Preview bytes from the on-disk cache, else downloaded and cached under the requested and resolved URL
+async function fetchPreviewBytes(audioUrl) {
+  const urlKey = hashAudioUrl(audioUrl);
+  const cached = await previewCache.get([urlKey]);
+  if (cached) return cached;
+  // Downloads jump the network queue: they feed an analysis that is already under way
+  const { bytes, resolvedUrl } = await networkPool.run(() => downloadPreview(audioUrl), { priority: true });
+  await previewCache.put([urlKey, resolvedUrl !== audioUrl ? hashAudioUrl(resolvedUrl) : null], bytes);
+  return bytes;
+}
+
+// audio_features document holding the same recording (fingerprint index keys narrow candidates, codes confirm)
+const FINGERPRINT_CANDIDATES = 5;
+async function findFingerprintMatch(codes, audioHash) {
+  if (!db || !codes || codes.length === 0) return null;
+  const keys = fingerprintKeys(codes);
+  const candidates = await db.collection('audio_features').aggregate([
+    { $match: { fingerprintKeys: { $in: keys }, audioHash: { $ne: audioHash }, 'features.analysis_version': CURRENT_ANALYSIS_VERSION } },
+    { $project: { audioHash: 1, features: 1, sharedKeys: { $size: { $setIntersection: ['$fingerprintKeys', keys] } } } },
+    { $sort: { sharedKeys: -1 } },
+    { $limit: FINGERPRINT_CANDIDATES }
+  ]).toArray();
+  for (const candidate of candidates) {
+    const result = compareFingerprints(codes, decodeFingerprint(candidate.features.fingerprint));
+    if (result && result.similarity >= MATCH_THRESHOLD) {
+      return { audioHash: candidate.audioHash, similarity: result.similarity, features: candidate.features };
+    }
+  }
+  return null;
+}
+
+// Existing trackMatrix entry with the same recording (e.g. a single and its album version share audio)
+function findDuplicateRecording(trackProfiles, features) {
+  if (!features || !features.fingerprint) return null;
+  const codes = decodeFingerprint(features.fingerprint);
+  return trackProfiles.find(t => {
+    if (!t.essentiaFeatures || !t.essentiaFeatures.fingerprint) return false;
+    const result = compareFingerprints(codes, decodeFingerprint(t.essentiaFeatures.fingerprint));
+    return !!result && result.similarity >= MATCH_THRESHOLD;
+  }) || null;
+}
+
 function hashAudioUrl(url) {
   return crypto.createHash('sha1').update(url).digest('hex');
 }
 
+// Opt-in detail blocks for /api/analyze (?include=beats,timeseries or body.include: ['beats'])
+const INCLUDE_BLOCKS = ['beats', 'timeseries'];
+const MIN_TIMESERIES_HOP_SEC = 0.01;
+const MAX_TIMESERIES_HOP_SEC = 2;
+function parseInclude(value) {
+  const requested = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(requested.map(v => String(v).trim().toLowerCase()).filter(v => INCLUDE_BLOCKS.includes(v)))];
+}
+
+// Timeseries hop in seconds (?hop=0.05); null when out of range
+function parseHopSeconds(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_TIMESERIES_HOP_SEC;
+  const hop = Number(value);
+  if (!Number.isFinite(hop) || hop < MIN_TIMESERIES_HOP_SEC || hop > MAX_TIMESERIES_HOP_SEC) return null;
+  return hop;
+}
+
+function pickIncluded(source, include) {
+  const out = {};
+  for (const block of include) if (source && source[block]) out[block] = source[block];
+  return out;
+}
+
+// Content hash for uploaded audio (same sha1 space as hashAudioUrl)
+function hashAudioBytes(bytes) {
+  return crypto.createHash('sha1').update(bytes).digest('hex');
+}
+
+// Accepts raw base64 or a data URI (data:audio/mpeg;base64,...)
+function decodeBase64Audio(value) {
+  const raw = String(value).replace(/^data:[^;,]*;base64,/, '').replace(/\s+/g, '');
+  return Buffer.from(raw, 'base64');
+}
+
 async function collectQuickStats() {
-  if (!db) return { dbConnected: false };
+  const jobs = { queued: jobQueue.length, running: activeJobs, concurrency: JOB_CONCURRENCY, persistent: jobStore.persistent };
+  const pools = { network: networkPool.stats(), analysis: cpuPool.stats() };
+  const runtime = { jobs, pools, rateLimits: rateLimitStats(), previewCache: previewCache.stats(), progressStreams: progressHub.stats() };
+  if (!db) return { dbConnected: false, analysisVersion: CURRENT_ANALYSIS_VERSION, ...runtime };
   try {
     const audioFeaturesCount = await db.collection('audio_features').countDocuments();
     const userProfiles = await db.collection('user_sound_profiles').countDocuments();
-    return { dbConnected: true, audioFeaturesCount, userProfiles };
+    const staleAudioFeatures = await db.collection('audio_features').countDocuments(staleVersionFilter('features.analysis_version'));
+    return { dbConnected: true, audioFeaturesCount, userProfiles, analysisVersion: CURRENT_ANALYSIS_VERSION, staleAudioFeatures, ...runtime };
   } catch (e) {
     return { dbConnected: true, statsError: e.message };
   }
@@ -1184,6 +1935,7 @@ function calculateUserSoundPreferences(trackProfiles) {
       };
     }
   });
+  preferences.keyDistribution = calculateKeyDistribution(trackProfiles);
   
   return preferences;
 }
@@ -1387,10 +2139,16 @@ function calculateGenreSoundProfile(trackProfiles) {
   };
 }
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🎵 Essentia Audio Service running on port ${PORT}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`🎯 Analysis endpoint: http://localhost:${PORT}/api/analyze`);
-  console.log(`🎤 Artist analysis: http://localhost:${PORT}/api/analyze-artist`);
-  console.log(`👤 User profile: http://localhost:${PORT}/api/user-profile`);
-});
+// Listen when started directly (`node server.js`); tests require the app and drive it on their own port
+if (require.main === module) {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🎵 Essentia Audio Service running on port ${PORT}`);
+    console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+    console.log(`🎯 Analysis endpoint: http://localhost:${PORT}/api/analyze`);
+    console.log(`🎤 Artist analysis: http://localhost:${PORT}/api/analyze-artist`);
+    console.log(`🧾 Job status: http://localhost:${PORT}/api/jobs/:id`);
+    console.log(`👤 User profile: http://localhost:${PORT}/api/user-profile`);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,106 @@
+/**
+ * SPOTIFY APP TOKEN
+ * Client-credentials token for requests that arrive without the user's own
+ * Spotify token. The token is cached until shortly before `expires_in` runs
+ * out, concurrent callers share one refresh request, and a token that is
+ * about to expire is still handed out if its refresh fails.
+ */
+
+const TOKEN_URL = 'https://accounts.spotify.com/api/token';
+const DEFAULT_REFRESH_MARGIN_MS = 5 * 60 * 1000; // refresh when less than 5 minutes remain
+
+class SpotifyCredentialsError extends Error {
+  constructor(missing) {
+    super(`Spotify client credentials are not configured (missing ${missing.join(', ')})`);
+    this.name = 'SpotifyCredentialsError';
+    this.code = 'SPOTIFY_CREDENTIALS_MISSING';
+    this.missing = missing;
+  }
+}
+
+/**
+ * @param {{ clientId?: string, clientSecret?: string, fetch: Function, now?: Function, refreshMarginMs?: number }} opts
+ */
+function createSpotifyTokenManager({ clientId, clientSecret, fetch, now = Date.now, refreshMarginMs = DEFAULT_REFRESH_MARGIN_MS }) {
+  const missing = [];
+  if (!clientId) missing.push('SPOTIFY_CLIENT_ID');
+  if (!clientSecret) missing.push('SPOTIFY_CLIENT_SECRET');
+  const counters = { requests: 0, refreshes: 0, failures: 0 };
+  let token = null; // { accessToken, expiresAt }
+  let inflight = null;
+  let lastRefreshAt = null;
+  let lastError = null;
+
+  async function requestToken() {
+    const response = await fetch(TOKEN_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`
+      },
+      body: 'grant_type=client_credentials'
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+      throw new Error(`Spotify token request failed: HTTP ${response.status}${data.error_description ? ` (${data.error_description})` : ''}`);
+    }
+    return { accessToken: data.access_token, expiresAt: now() + (Number(data.expires_in) || 3600) * 1000 };
+  }
+
+  function refresh() {
+    if (!inflight) {
+      inflight = requestToken()
+        .then(fresh => {
+          token = fresh;
+          counters.refreshes++;
+          lastRefreshAt = new Date(now());
+          lastError = null;
+          return fresh.accessToken;
+        })
+        .catch(error => {
+          counters.failures++;
+          lastError = error.message;
+          throw error;
+        })
+        .finally(() => { inflight = null; });
+    }
+    return inflight;
+  }
+
+  return {
+    configured: missing.length === 0,
+
+    // Cached token, refreshed when missing, expired or inside the refresh margin
+    async getToken() {
+      if (missing.length) throw new SpotifyCredentialsError(missing);
+      counters.requests++;
+      const t = now();
+      if (token && t < token.expiresAt - refreshMarginMs) return token.accessToken;
+      try {
+        return await refresh();
+      } catch (error) {
+        if (token && t < token.expiresAt) return token.accessToken;
+        throw error;
+      }
+    },
+
+    status() {
+      const t = now();
+      return {
+        configured: missing.length === 0,
+        ...(missing.length ? { missing } : {}),
+        hasToken: !!token && t < token.expiresAt,
+        expiresInSec: token ? Math.max(0, Math.round((token.expiresAt - t) / 1000)) : null,
+        refreshing: !!inflight,
+        lastRefreshAt,
+        lastError,
+        ...counters
+      };
+    }
+  };
+}
+
+module.exports = {
+  SpotifyCredentialsError,
+  createSpotifyTokenManager
+};
@@ -0,0 +1,195 @@
+/**
+ * STORE PREVIEWS
+ * Preview streams from Beatport and Bandcamp, which carry much of the
+ * underground electronic catalogue that Apple and Deezer lack. Neither has a
+ * public search API, so their pages are parsed:
+ *   Beatport: the Next.js `__NEXT_DATA__` JSON of search and track pages; track
+ *     objects carry `sample_url`, a ~2 minute MP3 sample.
+ *   Bandcamp: search result markup gives track page URLs; a track page's
+ *     `data-tralbum` JSON has `trackinfo[].file['mp3-128']`, the stream URL
+ *     of the full-length track.
+ * Both are longer than a 30s preview; the analyzer keeps a window from the
+ * middle of the track (see PREVIEW_WINDOW_SECONDS in essentia-analyzer.js).
+ * Parsers are pure (html -> candidates); page fetches go through the shared
+ * rate limiter. The test fixtures are hand-built from the stores' markup, not
+ * captured pages, so neither provider is in the default apple_primary preset;
+ * list them in previewStrategy (or use `balanced`) to opt in.
+ */
+
+const { upstreamFetch } = require('./rate-limiter');
+
+const PAGE_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; tiko-essentia-audio-service)',
+  'Accept': 'text/html,application/xhtml+xml'
+};
+const MAX_TRACK_PAGES = 3; // track pages fetched per search, best search hits first
+
+function decodeEntities(text) {
+  return String(text)
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+}
+
+function stripTags(html) {
+  return decodeEntities(String(html).replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// "6:12" or "1:02:03" -> ms; numbers are already ms
+function parseLength(value) {
+  if (typeof value === 'number' && value > 0) return value;
+  if (typeof value !== 'string' || !/^\d+(:\d{1,2})+$/.test(value.trim())) return undefined;
+  return value.trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0) * 1000;
+}
+
+// ---- Beatport ----
+
+function extractNextData(html) {
+  const match = /<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/.exec(html);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Search results (`track_name`, `artists[].artist_name`, `length` in ms) and track pages (`name`, `artists[].name`, `length_ms`) use different keys
+function beatportCandidate(track) {
+  const name = track.track_name || track.name;
+  const mix = track.mix_name;
+  const id = track.track_id || track.id;
+  const slug = track.slug || track.track_slug;
+  return {
+    audioUrl: track.sample_url || null,
+    source: 'beatport',
+    title: mix ? `${name} (${mix})` : name,
+    artist: (track.artists || []).map(a => a.artist_name || a.name).filter(Boolean),
+    durationMs: parseLength(track.length_ms) || parseLength(track.length),
+    ...(track.isrc ? { isrc: track.isrc } : {}),
+    metadata: { beatportId: id, pageUrl: id && slug ? `https://www.beatport.com/track/${slug}/${id}` : null }
+  };
+}
+
+/**
+ * Track candidates in a Beatport search or track page (any object in the page data with a sample_url key).
+ * Candidates without a sample have audioUrl null but keep metadata.pageUrl for a track-page lookup.
+ */
+function parseBeatportPage(html) {
+  const data = extractNextData(html);
+  if (!data) return [];
+  const found = new Map();
+  const walk = node => {
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (!node || typeof node !== 'object') return;
+    if ('sample_url' in node && (node.track_name || node.name)) {
+      const candidate = beatportCandidate(node);
+      const key = candidate.metadata.beatportId || candidate.audioUrl;
+      const seen = found.get(key);
+      if (!seen || (!seen.audioUrl && candidate.audioUrl)) found.set(key, candidate);
+      return;
+    }
+    Object.values(node).forEach(walk);
+  };
+  walk(data.props || data);
+  return [...found.values()];
+}
+
+// ---- Bandcamp ----
+
+/**
+ * Track results of a Bandcamp search page (`item_type=t`): { url, title, artist }.
+ */
+function parseBandcampSearch(html) {
+  const results = [];
+  const blocks = String(html).split(/<li class="searchresult/).slice(1);
+  for (const block of blocks) {
+    const itemType = /<div class="itemtype">([\s\S]*?)<\/div>/.exec(block);
+    if (!itemType || stripTags(itemType[1]).toUpperCase() !== 'TRACK') continue;
+    const heading = /<div class="heading">\s*<a href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/.exec(block);
+    if (!heading) continue;
+    const subhead = /<div class="subhead">([\s\S]*?)<\/div>/.exec(block);
+    const by = subhead ? /\bby (.+)$/.exec(stripTags(subhead[1])) : null;
+    results.push({
+      url: decodeEntities(heading[1]).split('?')[0],
+      title: stripTags(heading[2]),
+      artist: by ? by[1].trim() : null
+    });
+  }
+  return results;
+}
+
+/**
+ * Streamable tracks of a Bandcamp track (or album) page, from its data-tralbum JSON.
+ */
+function parseBandcampTrack(html, pageUrl = null) {
+  const attr = /data-tralbum=(["'])([\s\S]*?)\1/.exec(String(html));
+  if (!attr) return [];
+  let tralbum;
+  try {
+    tralbum = JSON.parse(decodeEntities(attr[2]));
+  } catch (error) {
+    return [];
+  }
+  const isrc = tralbum.current && tralbum.current.isrc;
+  const single = (tralbum.trackinfo || []).length === 1;
+  return (tralbum.trackinfo || [])
+    .filter(track => track && track.file && track.file['mp3-128'])
+    .map(track => ({
+      audioUrl: track.file['mp3-128'],
+      source: 'bandcamp',
+      title: track.title,
+      artist: track.artist || tralbum.artist,
+      durationMs: track.duration ? Math.round(track.duration * 1000) : undefined,
+      ...(single && isrc ? { isrc } : {}),
+      metadata: { bandcampTrackId: track.track_id || track.id, pageUrl }
+    }));
+}
+
+// ---- Fetching ----
+
+async function fetchPage(provider, url) {
+  const resp = await upstreamFetch(provider, url, { headers: PAGE_HEADERS });
+  if (!resp.ok) throw new Error(`${provider} page request failed: HTTP ${resp.status}`);
+  return resp.text();
+}
+
+/**
+ * Beatport candidates for a track. Results without a sample in the search data are looked up on their
+ * track page when accept(candidate) passes (accept scores title/artist before spending a request).
+ */
+async function searchBeatport(artistName, trackName, { accept = () => true } = {}) {
+  const html = await fetchPage('beatport', `https://www.beatport.com/search/tracks?q=${encodeURIComponent(`${artistName} ${trackName}`)}`);
+  const candidates = parseBeatportPage(html);
+  const playable = candidates.filter(c => c.audioUrl);
+  const toOpen = candidates.filter(c => !c.audioUrl && c.metadata.pageUrl && accept(c)).slice(0, MAX_TRACK_PAGES);
+  for (const candidate of toOpen) {
+    const page = parseBeatportPage(await fetchPage('beatport', candidate.metadata.pageUrl));
+    playable.push(...page.filter(c => c.audioUrl));
+  }
+  return playable;
+}
+
+// Bandcamp candidates for a track: search results accepted on title/artist, then their track pages
+async function searchBandcamp(artistName, trackName, { accept = () => true } = {}) {
+  const html = await fetchPage('bandcamp', `https://bandcamp.com/search?q=${encodeURIComponent(`${artistName} ${trackName}`)}&item_type=t`);
+  const results = parseBandcampSearch(html).filter(r => accept({ title: r.title, artist: r.artist })).slice(0, MAX_TRACK_PAGES);
+  const candidates = [];
+  for (const result of results) {
+    candidates.push(...parseBandcampTrack(await fetchPage('bandcamp', result.url), result.url));
+  }
+  return candidates;
+}
+
+module.exports = {
+  parseBeatportPage,
+  parseBandcampSearch,
+  parseBandcampTrack,
+  searchBeatport,
+  searchBandcamp
+};
@@ -0,0 +1,89 @@
+/**
+ * TASK POOLS
+ * Bounded-concurrency execution shared by every endpoint: a pool runs at most
+ * `concurrency` tasks at once and queues the rest FIFO. The service keeps one
+ * pool for network work (preview lookups, downloads) and one for CPU work
+ * (decode + Essentia extraction), so slow upstream APIs and heavy analysis are
+ * limited independently. mapInOrder() fans a list out over the pools, with a
+ * cap on items in flight, and hands results back in input order.
+ */
+
+/**
+ * @param {string} name label for metrics
+ * @param {number} concurrency max tasks running at once
+ */
+function createPool(name, concurrency) {
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  const waiting = [];
+  let active = 0;
+  let completed = 0;
+
+  function next() {
+    while (active < limit && waiting.length > 0) {
+      const { task, resolve, reject } = waiting.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          completed++;
+          next();
+        });
+    }
+  }
+
+  return {
+    name,
+    concurrency: limit,
+    // Resolves/rejects with the task's own outcome once a slot frees up.
+    // opts.priority jumps the queue (e.g. downloads that feed an analysis already in flight)
+    run(task, opts = {}) {
+      return new Promise((resolve, reject) => {
+        if (opts.priority) waiting.unshift({ task, resolve, reject });
+        else waiting.push({ task, resolve, reject });
+        next();
+      });
+    },
+    stats() {
+      return { name, concurrency: limit, active, queued: waiting.length, completed };
+    }
+  };
+}
+
+/**
+ * Run worker(item, index) for every item, at most opts.limit items at a time in input order (default: all at
+ * once, leaving the limiting to the pools inside the worker), and call onResult(result, index) strictly in input
+ * order, each as soon as it and every earlier item are done. A limit keeps per-item state (downloaded bytes,
+ * decoded PCM) from piling up for items that are only waiting on a pool.
+ * A worker that throws rejects the whole map; workers should capture per-item failures in their result.
+ * @returns {Promise<any[]>} results in input order
+ */
+async function mapInOrder(items, worker, onResult, { limit = Infinity } = {}) {
+  const results = new Array(items.length);
+  const done = new Array(items.length).fill(false);
+  let nextToStart = 0;
+  let nextToEmit = 0;
+  const flush = () => {
+    while (nextToEmit < items.length && done[nextToEmit]) {
+      if (onResult) onResult(results[nextToEmit], nextToEmit);
+      nextToEmit++;
+    }
+  };
+  const lane = async () => {
+    while (nextToStart < items.length) {
+      const index = nextToStart++;
+      results[index] = await worker(items[index], index);
+      done[index] = true;
+      flush();
+    }
+  };
+  const lanes = Math.min(items.length, Math.max(1, Math.floor(limit) || 1));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+module.exports = {
+  createPool,
+  mapInOrder
+};
@@ -0,0 +1,107 @@
+const { ANALYSIS_VERSIONS, CURRENT_ANALYSIS_VERSION, isCurrentAnalysis, staleVersionFilter, describeVersion } = require('../analysis-version');
+const { reanalyzeStale } = require('../scripts/reanalyze-stale');
+
+// Minimal stand-in for the Mongo calls the re-analysis script makes (dotted paths, $or, $exists, $ne, $elemMatch)
+function fakeDb(collections) {
+  const get = (doc, path) => path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), doc);
+  const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some(sub => matches(doc, sub));
+    const value = get(doc, key);
+    if (cond && typeof cond === 'object') {
+      if ('$exists' in cond) return (value !== undefined) === cond.$exists;
+      if ('$ne' in cond) return value !== cond.$ne;
+      if ('$elemMatch' in cond) return Array.isArray(value) && value.some(item => matches(item, cond.$elemMatch));
+    }
+    return value === cond;
+  });
+  const updates = [];
+  const db = {
+    updates,
+    collection(name) {
+      const docs = collections[name] || [];
+      return {
+        async countDocuments(filter) { return docs.filter(d => matches(d, filter)).length; },
+        find(filter) {
+          const found = docs.filter(d => matches(d, filter));
+          const cursor = { project: () => cursor, limit: n => { found.splice(n); return cursor; }, toArray: async () => JSON.parse(JSON.stringify(found)) };
+          return cursor;
+        },
+        async updateOne(filter, update) {
+          updates.push({ collection: name, filter, update });
+          const doc = docs.find(d => d._id === filter._id);
+          if (doc) Object.assign(doc, update.$set);
+        }
+      };
+    }
+  };
+  return db;
+}
+
+const features = (version, tempo = 120) => ({ tempo, key: 'A', mode: 'minor', analysis_version: version });
+
+describe('analysis-version', () => {
+  test('the current version is registered and describes the extractor that writes it', () => {
+    expect(ANALYSIS_VERSIONS[CURRENT_ANALYSIS_VERSION]).toMatchObject({ extractor: 'essentia.js' });
+    expect(describeVersion(CURRENT_ANALYSIS_VERSION).version).toBe(CURRENT_ANALYSIS_VERSION);
+    expect(describeVersion('0.0.1')).toEqual({ version: '0.0.1', extractor: 'unknown' });
+    expect(isCurrentAnalysis(features(CURRENT_ANALYSIS_VERSION))).toBe(true);
+    expect(isCurrentAnalysis(features('3.0.0'))).toBe(false);
+    expect(isCurrentAnalysis({ tempo: 120 })).toBe(false);
+    expect(staleVersionFilter('features.analysis_version')).toEqual({
+      $or: [{ 'features.analysis_version': { $exists: false } }, { 'features.analysis_version': { $ne: CURRENT_ANALYSIS_VERSION } }]
+    });
+  });
+
+  test('the re-analysis script selects only stale documents and entries', async () => {
+    const db = fakeDb({
+      audio_features: [
+        { _id: 1, audioHash: 'h1', trackId: 't1', audioUrl: 'https://p/1.mp3', features: features('3.0.0') },
+        { _id: 2, audioHash: 'h2', trackId: 't2', audioUrl: 'https://p/2.mp3', features: features(CURRENT_ANALYSIS_VERSION) },
+        { _id: 3, audioHash: 'h3', audioUrl: 'https://p/3.mp3', features: { tempo: 90 } }, // before versions existed
+        { _id: 4, audioHash: 'h4', audioUrl: null, features: features('2.1-beta5') } // an upload: nothing to re-fetch
+      ],
+      artist_genre_profiles: [
+        { _id: 'fresh', artistName: 'Fresh', trackMatrix: [{ name: 'A', previewUrl: 'https://p/a.mp3', essentiaFeatures: features(CURRENT_ANALYSIS_VERSION) }] },
+        { _id: 'mixed', artistName: 'Mixed', trackMatrix: [
+          { name: 'B', previewUrl: 'https://p/b.mp3', essentiaFeatures: features(CURRENT_ANALYSIS_VERSION, 100) },
+          { name: 'C', previewUrl: 'https://p/c.mp3', essentiaFeatures: features('3.0.0', 140) }
+        ] }
+      ]
+    });
+    const analyzed = [];
+    const analyze = async (audioUrl, trackId) => {
+      analyzed.push(audioUrl);
+      return { success: true, features: features(CURRENT_ANALYSIS_VERSION, 128) };
+    };
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const totals = await reanalyzeStale(db, { collections: ['audio_features', 'artist_genre_profiles'], analyze, sleep: async () => {} });
+    log.mockRestore();
+
+    expect(analyzed).toEqual(['https://p/1.mp3', 'https://p/3.mp3', 'https://p/c.mp3']);
+    expect(totals).toEqual({ stale: 4, success: 3, failure: 0, skipped: 1, docsUpdated: 3 });
+    const featureUpdates = db.updates.filter(u => u.collection === 'audio_features');
+    expect(featureUpdates.map(u => u.filter)).toEqual([{ _id: 1 }, { _id: 3 }]);
+    expect(featureUpdates[0].update.$set).toMatchObject({ features: { analysis_version: CURRENT_ANALYSIS_VERSION }, analysisVersion: CURRENT_ANALYSIS_VERSION });
+    const [profileUpdate] = db.updates.filter(u => u.collection === 'artist_genre_profiles');
+    expect(profileUpdate.filter).toEqual({ _id: 'mixed' });
+    expect(profileUpdate.update.$set.trackMatrix.map(t => t.essentiaFeatures.tempo)).toEqual([100, 128]);
+    expect(profileUpdate.update.$set.averageFeatures.tempo).toBe(114);
+  });
+
+  test('the script rewrites the stale document a trackId lookup returns, not only the URL hash entry', async () => {
+    // /api/analyze looks up { $or: [audioHash, trackId, isrc] }: this doc answers for trackId t9 whatever URL is sent
+    const db = fakeDb({ audio_features: [{ _id: 9, audioHash: 'old-hash', trackId: 't9', audioUrl: 'https://p/9.mp3', features: features('3.0.0'), beats: { ticks: [] } }] });
+    const calls = [];
+    const analyze = async (audioUrl, trackId, opts) => {
+      calls.push({ audioUrl, trackId, ...opts });
+      return { success: true, features: features(CURRENT_ANALYSIS_VERSION), beats: { ticks: [0.5] } };
+    };
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    await reanalyzeStale(db, { collections: ['audio_features'], analyze, sleep: async () => {} });
+    log.mockRestore();
+
+    expect(calls).toEqual([{ audioUrl: 'https://p/9.mp3', trackId: 't9', include: ['beats'], hop: undefined }]);
+    expect(db.updates[0].filter).toEqual({ _id: 9 });
+    expect(db.updates[0].update.$set).toMatchObject({ features: { analysis_version: CURRENT_ANALYSIS_VERSION }, beats: { ticks: [0.5] } });
+  });
+});
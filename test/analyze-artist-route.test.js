@@ -0,0 +1,168 @@
+const http = require('http');
+
+// Upstream stand-in: the iTunes catalog lists the artist's songs without previews, and Deezer answers
+// 429 with a Retry-After far beyond what a caller may wait, so the limiter refuses every later call.
+// Spotify top tracks carry an ISRC and a preview that decodes (mockPreviews, keyed by URL).
+const mockPreviews = new Map();
+jest.mock('node-fetch', () => {
+  const calls = [];
+  const reply = (status, body, headers = {}) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: name => headers[name.toLowerCase()] ?? null },
+    json: async () => body,
+    buffer: async () => body
+  });
+  const fetch = async (url) => {
+    calls.push(String(url));
+    const { hostname, pathname } = new URL(String(url));
+    if (hostname === 'itunes.apple.com') {
+      return reply(200, {
+        results: [
+          { trackId: 1, trackName: 'Atlas', artistName: 'Lane 8', collectionName: 'Atlas', trackTimeMillis: 240000 },
+          { trackId: 2, trackName: 'Brightest Lights', artistName: 'Lane 8', collectionName: 'Brightest Lights', trackTimeMillis: 250000 }
+        ]
+      });
+    }
+    if (hostname === 'api.deezer.com') return reply(429, {}, { 'retry-after': '3600' });
+    if (hostname === 'api.spotify.com' && pathname === '/v1/artists/yotto/top-tracks') {
+      return reply(200, {
+        tracks: [{
+          id: 'sp-hear-me-out', name: 'Hear Me Out', artists: [{ name: 'Yotto' }], popularity: 60, duration_ms: 300000,
+          preview_url: 'https://previews.test/hear-me-out.wav', external_ids: { isrc: 'gb-cen-19-00001' }
+        }]
+      });
+    }
+    if (mockPreviews.has(String(url))) return reply(200, mockPreviews.get(String(url)));
+    return reply(404, {});
+  };
+  fetch.calls = calls;
+  return fetch;
+});
+
+// In-memory stand-in for the Mongo calls an artist analysis makes
+jest.mock('mongodb', () => {
+  const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some(sub => matches(doc, sub));
+    if (cond && typeof cond === 'object' && !(cond instanceof Date)) return true;
+    return doc[key] === cond;
+  });
+  const cursor = docs => ({ sort: () => cursor(docs), limit: n => cursor(docs.slice(0, n)), project: () => cursor(docs), toArray: async () => docs });
+  function collection() {
+    const docs = [];
+    return {
+      docs,
+      async createIndex() {},
+      async countDocuments(filter = {}) { return docs.filter(d => matches(d, filter)).length; },
+      async findOne(filter) { return docs.find(d => matches(d, filter)) || null; },
+      find(filter = {}) { return cursor(docs.filter(d => matches(d, filter))); },
+      async insertOne(doc) { docs.push(doc); },
+      async updateOne(filter, update, opts = {}) {
+        let doc = docs.find(d => matches(d, filter));
+        if (!doc && opts.upsert) docs.push((doc = { ...filter }));
+        if (doc) Object.assign(doc, update.$set);
+        return { matchedCount: doc ? 1 : 0 };
+      },
+      async updateMany() {},
+      async findOneAndUpdate() { return null; },
+      aggregate: () => ({ toArray: async () => [] })
+    };
+  }
+  const collections = new Map();
+  const db = { collection: name => (collections.has(name) ? collections.get(name) : collections.set(name, collection()).get(name)) };
+  return { MongoClient: { connect: async () => ({ db: () => db }) }, mockDb: db };
+});
+
+// 16-bit mono PCM WAV of a few seconds of chords over a kick
+function chordWav(seconds) {
+  const rate = 44100;
+  const samples = seconds * rate;
+  const buf = Buffer.alloc(44 + samples * 2);
+  buf.write('RIFF', 0);
+  buf.writeUInt32LE(36 + samples * 2, 4);
+  buf.write('WAVEfmt ', 8);
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20);
+  buf.writeUInt16LE(1, 22);
+  buf.writeUInt32LE(rate, 24);
+  buf.writeUInt32LE(rate * 2, 28);
+  buf.writeUInt16LE(2, 32);
+  buf.writeUInt16LE(16, 34);
+  buf.write('data', 36);
+  buf.writeUInt32LE(samples * 2, 40);
+  const chords = [[220, 277, 330], [247, 311, 370], [196, 247, 294], [262, 330, 392]];
+  for (let i = 0; i < samples; i++) {
+    const inBeat = i % (rate / 2);
+    const notes = chords[Math.floor(i / (rate * 2)) % chords.length];
+    const kick = inBeat < 2000 ? 0.4 * Math.sin((2 * Math.PI * 60 * inBeat) / rate) : 0;
+    const v = kick + notes.reduce((sum, f) => sum + 0.15 * Math.sin((2 * Math.PI * f * i) / rate), 0);
+    buf.writeInt16LE(Math.round(Math.max(-1, Math.min(1, v)) * 32767), 44 + i * 2);
+  }
+  return buf;
+}
+
+function postJson(port, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method: 'POST', headers: { 'Content-Type': 'application/json' } }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+}
+
+describe('POST /api/analyze-artist', () => {
+  let server;
+
+  beforeAll(async () => {
+    process.env.MONGODB_URI = 'mongodb://localhost/test';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const app = require('../server');
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.MONGODB_URI;
+    console.log.mockRestore();
+    console.warn.mockRestore();
+  });
+
+  test('a rate-limited Deezer lookup is reported as rate limited, not as no preview', async () => {
+    const { status, body } = await postJson(server.address().port, '/api/analyze-artist', {
+      artistName: 'Lane 8', previewStrategy: 'apple,deezer', maxTracks: 2, fastMode: true
+    });
+    expect(status).toBe(200);
+    expect(require('node-fetch').calls.some(url => url.startsWith('https://api.deezer.com/'))).toBe(true);
+
+    const reasons = body.failureReasons || body.metadata.failureReasons;
+    expect(reasons).toContain('rate_limited_round1');
+    expect(reasons.filter(r => r.startsWith('no_preview_round'))).toEqual([]);
+    expect(body.failSubtype).toBe('rate_limited');
+    const stats = body.acquisitionStats;
+    expect(stats.providerAttempts.deezer.error).toBeGreaterThan(0);
+    expect(stats.providerAttempts.apple.miss).toBeGreaterThan(0);
+    expect(stats.previewLookupsRefused.rate_limited).toBeGreaterThan(0);
+    expect(stats.previewSourceCounts.none).toBe(0);
+  }, 60000);
+
+  test('the resolved ISRC is stored on the audio_features document as well as the trackMatrix entry', async () => {
+    const previewUrl = 'https://previews.test/hear-me-out.wav';
+    mockPreviews.set(previewUrl, chordWav(8));
+    const { status, body } = await postJson(server.address().port, '/api/analyze-artist', {
+      artistName: 'Yotto', spotifyId: 'yotto', spotifyCredentials: { accessToken: 'test-token' },
+      previewStrategy: 'spotify', maxTracks: 1, includeRecentReleases: false, fastMode: true
+    });
+    expect(status).toBe(200);
+
+    const { mockDb } = require('mongodb');
+    const [profile] = mockDb.collection('artist_genre_profiles').docs.filter(d => d.artistName === 'Yotto');
+    expect(profile.trackMatrix).toEqual([expect.objectContaining({ trackId: 'sp-hear-me-out', isrc: 'GBCEN1900001', previewUrl })]);
+    const stored = mockDb.collection('audio_features').docs.find(d => d.audioUrl === previewUrl);
+    expect(stored).toMatchObject({ trackId: 'sp-hear-me-out', isrc: 'GBCEN1900001', source: 'essentia', inputType: 'url' });
+    expect(stored.features).toEqual(profile.trackMatrix[0].essentiaFeatures);
+  }, 120000);
+});
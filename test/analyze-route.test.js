@@ -0,0 +1,270 @@
+const fetch = require('node-fetch');
+
+// In-memory stand-in for the Mongo calls the service makes; only audio_features is exercised here
+jest.mock('mongodb', () => {
+  const get = (doc, path) => path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), doc);
+  const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some(sub => matches(doc, sub));
+    const value = get(doc, key);
+    if (cond && typeof cond === 'object' && !Array.isArray(cond) && !(cond instanceof Date)) {
+      if ('$in' in cond) return [].concat(value === undefined ? [] : value).some(v => cond.$in.includes(v));
+      if ('$ne' in cond) return value !== cond.$ne;
+      if ('$exists' in cond) return (value !== undefined) === cond.$exists;
+      return true;
+    }
+    return value === cond;
+  });
+  const cursor = docs => ({ sort: () => cursor(docs), limit: n => cursor(docs.slice(0, n)), project: () => cursor(docs), toArray: async () => docs });
+  function collection() {
+    const docs = [];
+    return {
+      docs,
+      indexes: [],
+      aggregateCalls: [],
+      async createIndex(spec) { this.indexes.push(spec); },
+      async findOne(filter) { return docs.find(d => matches(d, filter)) || null; },
+      find(filter = {}) { return cursor(docs.filter(d => matches(d, filter))); },
+      async insertOne(doc) { docs.push(doc); },
+      async updateOne(filter, update, opts = {}) {
+        let doc = docs.find(d => matches(d, filter));
+        if (!doc && opts.upsert) docs.push((doc = { ...filter }));
+        if (doc) Object.assign(doc, update.$set);
+        return { matchedCount: doc ? 1 : 0 };
+      },
+      async updateMany() {},
+      async findOneAndUpdate() { return null; },
+      aggregate(pipeline) {
+        this.aggregateCalls.push(pipeline);
+        const keys = pipeline[0].$match.fingerprintKeys.$in;
+        const found = docs
+          .filter(d => matches(d, pipeline[0].$match))
+          .map(d => ({ audioHash: d.audioHash, features: d.features, sharedKeys: d.fingerprintKeys.filter(k => keys.includes(k)).length }))
+          .sort((a, b) => b.sharedKeys - a.sharedKeys);
+        return { toArray: async () => found };
+      }
+    };
+  }
+  const collections = new Map();
+  const db = { collection: name => (collections.has(name) ? collections.get(name) : collections.set(name, collection()).get(name)) };
+  return { MongoClient: { connect: async () => ({ db: () => db }) }, mockDb: db };
+});
+
+const SAMPLE_RATE = 44100;
+
+function prng(seed) {
+  let s = seed >>> 0;
+  return () => ((s = (s * 1664525 + 1013904223) >>> 0) / 4294967296);
+}
+
+// Random three-note chords over a kick every half second: a stand-in recording
+function chordTrack(seed, seconds) {
+  const rand = prng(seed);
+  const out = new Float32Array(seconds * SAMPLE_RATE);
+  const chordLen = SAMPLE_RATE / 2;
+  for (let start = 0; start < out.length; start += chordLen) {
+    const notes = [0, 1, 2].map(() => 220 * Math.pow(2, Math.floor(rand() * 24) / 12));
+    for (let i = start; i < Math.min(out.length, start + chordLen); i++) {
+      const kick = i - start < 2000 ? 0.4 * Math.sin((2 * Math.PI * 60 * (i - start)) / SAMPLE_RATE) : 0;
+      out[i] = kick + notes.reduce((sum, f) => sum + 0.15 * Math.sin((2 * Math.PI * f * i) / SAMPLE_RATE), 0);
+    }
+  }
+  return out;
+}
+
+// 16-bit mono PCM WAV
+function toWav(samples) {
+  const buf = Buffer.alloc(44 + samples.length * 2);
+  buf.write('RIFF', 0);
+  buf.writeUInt32LE(36 + samples.length * 2, 4);
+  buf.write('WAVEfmt ', 8);
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20);
+  buf.writeUInt16LE(1, 22);
+  buf.writeUInt32LE(SAMPLE_RATE, 24);
+  buf.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buf.writeUInt16LE(2, 32);
+  buf.writeUInt16LE(16, 34);
+  buf.write('data', 36);
+  buf.writeUInt32LE(samples.length * 2, 40);
+  samples.forEach((v, i) => buf.writeInt16LE(Math.round(Math.max(-1, Math.min(1, v)) * 32767), 44 + i * 2));
+  return buf;
+}
+
+describe('POST /api/analyze', () => {
+  let server;
+  let baseUrl;
+  let features;
+
+  beforeAll(async () => {
+    process.env.MONGODB_URI = 'mongodb://localhost/test';
+    process.env.MAX_UPLOAD_BYTES = String(12 * 1024 * 1024);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const app = require('../server');
+    features = require('mongodb').mockDb.collection('audio_features');
+    // Startup indexes are created once the (stand-in) connection resolves
+    for (let i = 0; i < 50 && features.indexes.length < 2; i++) await new Promise(resolve => setTimeout(resolve, 20));
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    delete process.env.MONGODB_URI;
+    delete process.env.MAX_UPLOAD_BYTES;
+    console.log.mockRestore();
+  });
+
+  const analyze = async (bytes, query = '') => {
+    const resp = await fetch(`${baseUrl}/api/analyze${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ audioBase64: bytes.toString('base64') })
+    });
+    return { status: resp.status, body: await resp.json() };
+  };
+
+  test('indexes fingerprint keys at startup', () => {
+    expect(features.indexes).toEqual(expect.arrayContaining([{ isrc: 1 }, { fingerprintKeys: 1 }]));
+  });
+
+  test('a different file of an analyzed recording reuses its stored features', async () => {
+    const track = chordTrack(11, 14);
+    const first = await analyze(toWav(track.subarray(0, 12 * SAMPLE_RATE)));
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({ success: true, source: 'essentia' });
+    expect(first.body.cached).toBeUndefined();
+    expect(features.docs).toHaveLength(1);
+    expect(features.docs[0].fingerprintKeys.length).toBeGreaterThan(0);
+
+    // Another encoding of the same recording: 1.5s later, quieter, different bytes and content hash
+    const excerpt = toWav(track.subarray(Math.round(1.5 * SAMPLE_RATE)).map(v => 0.6 * v));
+    const second = await analyze(excerpt);
+    expect(second.status).toBe(200);
+    expect(second.body.audioHash).not.toBe(first.body.audioHash);
+    expect(second.body).toMatchObject({ success: true, cached: true, matchedBy: 'fingerprint', matchedAudioHash: first.body.audioHash });
+    expect(second.body.fingerprintSimilarity).toBeGreaterThan(0.88);
+    expect(second.body.features).toEqual(first.body.features);
+    expect(second.body.features.fingerprint_match).toBeUndefined();
+
+    // Candidates come from the fingerprintKeys index, not a collection scan by other fields
+    const lookup = features.aggregateCalls[features.aggregateCalls.length - 1];
+    expect(lookup[0].$match).toMatchObject({ fingerprintKeys: { $in: expect.any(Array) }, audioHash: { $ne: second.body.audioHash } });
+    const stored = features.docs.find(d => d.audioHash === second.body.audioHash);
+    expect(stored.fingerprintMatch).toEqual({ audioHash: first.body.audioHash, similarity: second.body.fingerprintSimilarity });
+    expect(stored.features).toEqual(first.body.features);
+  }, 120000);
+
+  test('only /api/analyze accepts JSON bodies above the default 10mb limit', async () => {
+    const post = (path, body) => fetch(`${baseUrl}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body });
+    const big = 'A'.repeat(11 * 1024 * 1024);
+    expect((await post('/api/analyze-artist', JSON.stringify({ artistName: big }))).status).toBe(413);
+    // Parsed, then refused by the decoder rather than by the body size
+    const upload = await post('/api/analyze', JSON.stringify({ audioBase64: big }));
+    expect(upload.status).not.toBe(413);
+    expect((await upload.json()).success).toBe(false);
+  }, 60000);
+
+  test('a cached result from an older analysis version is re-analyzed, not served', async () => {
+    const { CURRENT_ANALYSIS_VERSION, ANALYSIS_VERSIONS } = require('../analysis-version');
+    features.docs.push({ audioHash: 'hash-of-an-older-file', trackId: 'stale-track', features: { tempo: 99, analysis_version: '3.0.0' }, source: 'essentia' });
+    const resp = await fetch(`${baseUrl}/api/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ trackId: 'stale-track', audioBase64: toWav(chordTrack(23, 10)).toString('base64') })
+    });
+    const body = await resp.json();
+    expect(resp.status).toBe(200);
+    expect(body.cached).toBeUndefined();
+    expect(body.features.tempo).not.toBe(99);
+    // What the service writes is the registry's current version
+    expect(body.features.analysis_version).toBe(CURRENT_ANALYSIS_VERSION);
+    expect(ANALYSIS_VERSIONS[body.features.analysis_version]).toBeDefined();
+    const stored = features.docs.find(d => d.audioHash === body.audioHash);
+    expect(stored).toMatchObject({ trackId: 'stale-track', analysisVersion: CURRENT_ANALYSIS_VERSION, features: { analysis_version: CURRENT_ANALYSIS_VERSION } });
+  }, 120000);
+
+  // multipart/form-data with one `audio` file part
+  const postMultipart = (bytes, fileName) => {
+    const boundary = '----analyze-route-test';
+    const body = Buffer.concat([
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="audio"; filename="${fileName}"\r\nContent-Type: audio/wav\r\n\r\n`),
+      bytes,
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]);
+    return fetch(`${baseUrl}/api/analyze`, { method: 'POST', headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` }, body });
+  };
+  const loggedEvents = () => console.log.mock.calls.map(([line]) => { try { return JSON.parse(line); } catch (e) { return null; } }).filter(Boolean);
+
+  test('a multipart upload is analyzed and cached by content; the same bytes as base64 are served from that cache', async () => {
+    const wav = toWav(chordTrack(31, 8));
+    const upload = await postMultipart(wav, 'take.wav');
+    const first = await upload.json();
+    expect(upload.status).toBe(200);
+    expect(first).toMatchObject({ success: true, source: 'essentia' });
+    expect(first.cached).toBeUndefined();
+    expect(features.docs.find(d => d.audioHash === first.audioHash)).toMatchObject({ inputType: 'upload', uploadName: 'take.wav', uploadBytes: wav.length, audioUrl: null });
+
+    const logsBefore = console.log.mock.calls.length;
+    const second = await analyze(wav);
+    expect(second.status).toBe(200);
+    expect(second.body).toMatchObject({ success: true, cached: true, audioHash: first.audioHash });
+    expect(second.body.matchedBy).toBeUndefined();
+    expect(second.body.features).toEqual(first.features);
+    // Served without decoding or extracting again
+    const events = loggedEvents().slice(-(console.log.mock.calls.length - logsBefore));
+    expect(events.map(e => e.evt)).toContain('track_analyze_cache_hit');
+    expect(events.filter(e => e.evt === 'essentia_track_begin')).toEqual([]);
+  }, 120000);
+
+  test('uploads over MAX_UPLOAD_BYTES are refused with 413', async () => {
+    const oversized = Buffer.alloc(12 * 1024 * 1024 + 300000, 1);
+    const multipart = await postMultipart(oversized, 'huge.wav');
+    expect(multipart.status).toBe(413);
+    expect((await multipart.json()).error).toMatch(/exceeds 12582912 bytes/);
+    // Base64 of the same size fits the route's JSON limit, so the decoded size check answers
+    const base64 = await analyze(oversized);
+    expect(base64.status).toBe(413);
+    expect(base64.body).toMatchObject({ success: false, error: expect.stringMatching(/exceeds 12582912 bytes/) });
+  }, 60000);
+
+  test('include=beats is served from cache only once a stored document has a beat grid', async () => {
+    const wav = toWav(chordTrack(41, 10));
+    const plain = await analyze(wav);
+    expect(plain.body.beats).toBeUndefined();
+    expect(features.docs.find(d => d.audioHash === plain.body.audioHash).beats).toBeUndefined();
+
+    // The cached features lack the block: extracted again, and the grid stored beside them
+    const withBeats = await analyze(wav, '?include=beats');
+    expect(withBeats.status).toBe(200);
+    expect(withBeats.body.cached).toBeUndefined();
+    expect(withBeats.body.beats.beats.length).toBeGreaterThan(0);
+    const stored = features.docs.find(d => d.audioHash === plain.body.audioHash);
+    expect(stored.beats).toEqual(withBeats.body.beats);
+    expect(stored.features.beats).toBeUndefined();
+
+    const again = await analyze(wav, '?include=beats');
+    expect(again.body).toMatchObject({ cached: true, beats: withBeats.body.beats });
+    expect(again.body.timeseries).toBeUndefined();
+  }, 120000);
+
+  test('include=timeseries is served from cache only at the stored hop', async () => {
+    const wav = toWav(chordTrack(43, 10));
+    const plain = await analyze(wav);
+    expect(plain.body.timeseries).toBeUndefined();
+
+    const first = await analyze(wav, '?include=timeseries&hop=0.1');
+    expect(first.body.cached).toBeUndefined();
+    expect(first.body.timeseries.hop_seconds).toBeCloseTo(0.1, 3);
+    const stored = () => features.docs.find(d => d.audioHash === plain.body.audioHash);
+    expect(stored().timeseries).toEqual(first.body.timeseries);
+
+    const again = await analyze(wav, '?include=timeseries&hop=0.1');
+    expect(again.body).toMatchObject({ cached: true, timeseries: first.body.timeseries });
+
+    // A different hop is a different series: computed again and stored in place of the old one
+    const finer = await analyze(wav, '?include=timeseries&hop=0.05');
+    expect(finer.body.cached).toBeUndefined();
+    expect(finer.body.timeseries.hop_seconds).toBeCloseTo(0.05, 3);
+    expect(stored().timeseries.hop_seconds).toBeCloseTo(0.05, 3);
+  }, 120000);
+});
@@ -0,0 +1,59 @@
+const { DEFAULT_STOREFRONTS, parseStorefronts, preferStorefront, createAppleSearch } = require('../apple-storefronts');
+
+function fakeItunes(catalogs) {
+  const urls = [];
+  const fetch = async url => {
+    urls.push(url);
+    const country = new URL(url).searchParams.get('country');
+    if (catalogs[country] === 'error') return { ok: false, status: 503, json: async () => ({}) };
+    return { ok: true, status: 200, json: async () => ({ results: catalogs[country] || [] }) };
+  };
+  return { fetch, urls };
+}
+
+describe('apple-storefronts', () => {
+  test('parses an ordered, de-duplicated storefront list', () => {
+    expect(parseStorefronts('US, ru,us,GB')).toEqual(['us', 'ru', 'gb']);
+    expect(parseStorefronts('usa,,x')).toEqual(DEFAULT_STOREFRONTS);
+    expect(parseStorefronts(undefined, ['de'])).toEqual(['de']);
+  });
+
+  test('stops at the first storefront with usable results and reports it', async () => {
+    const { fetch, urls } = fakeItunes({
+      us: [{ trackName: 'Other', artistName: 'Someone Else' }],
+      gb: 'error',
+      ru: [{ trackName: 'Песня', artistName: 'Noize MC', previewUrl: 'https://apple/ru.m4a' }],
+      de: [{ trackName: 'Never reached' }]
+    });
+    const search = createAppleSearch({ fetch, storefronts: ['us', 'gb', 'ru', 'de'] });
+    const found = await search.search({ term: 'Noize MC', entity: 'song', limit: 5 }, {
+      usable: results => results.some(r => r.artistName === 'Noize MC')
+    });
+    expect(found).toMatchObject({ storefront: 'ru', tried: ['us', 'gb', 'ru'] });
+    expect(found.results).toHaveLength(1);
+    expect(new URL(urls[0]).searchParams.get('term')).toBe('Noize MC');
+  });
+
+  test('falls back to the first storefront results when none is usable', async () => {
+    const { fetch } = fakeItunes({ us: [{ trackName: 'A' }], de: [{ trackName: 'B' }] });
+    const search = createAppleSearch({ fetch, storefronts: ['us', 'de'] });
+    const found = await search.search({ term: 'x' }, { usable: () => false });
+    expect(found).toEqual({ results: [{ trackName: 'A' }], storefront: null, tried: ['us', 'de'] });
+    expect((await search.search({ term: 'x' }, { storefronts: ['de'] })).storefront).toBe('de');
+  });
+
+  test('searches a single storefront unless more are configured', async () => {
+    const { fetch, urls } = fakeItunes({ us: [], ru: [{ trackName: 'Песня' }] });
+    const found = await createAppleSearch({ fetch }).search({ term: 'Noize MC' });
+    expect(found).toEqual({ results: [], storefront: null, tried: ['us'] });
+    expect(urls).toHaveLength(1);
+  });
+
+  test('moves the storefront of a hit to the front', () => {
+    expect(preferStorefront(['us', 'gb', 'ru'], 'ru')).toEqual(['ru', 'us', 'gb']);
+    const order = ['us', 'ru'];
+    expect(preferStorefront(order, 'us')).toBe(order);
+    expect(preferStorefront(order, 'jp')).toBe(order);
+    expect(preferStorefront(order, null)).toBe(order);
+  });
+});
@@ -0,0 +1,82 @@
+const { AudioDecodeError, detectContainer, cropMp3, decodeAudioBuffer, downmix, resample } = require('../audio-decoder');
+
+function makeWav({ sampleRate, channels, frames, sample }) {
+  const dataSize = frames * channels * 2;
+  const buf = Buffer.alloc(44 + dataSize);
+  buf.write('RIFF', 0); buf.writeUInt32LE(36 + dataSize, 4); buf.write('WAVE', 8);
+  buf.write('fmt ', 12); buf.writeUInt32LE(16, 16); buf.writeUInt16LE(1, 20); buf.writeUInt16LE(channels, 22);
+  buf.writeUInt32LE(sampleRate, 24); buf.writeUInt32LE(sampleRate * channels * 2, 28); buf.writeUInt16LE(channels * 2, 32); buf.writeUInt16LE(16, 34);
+  buf.write('data', 36); buf.writeUInt32LE(dataSize, 40);
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) buf.writeInt16LE(Math.round(sample(i, c) * 32767), 44 + (i * channels + c) * 2);
+  }
+  return buf;
+}
+
+describe('audio-decoder', () => {
+  test('detects containers from magic bytes', () => {
+    const pad = Buffer.alloc(16);
+    expect(detectContainer(Buffer.concat([Buffer.from('ID3'), pad]))).toBe('mp3');
+    expect(detectContainer(Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), pad]))).toBe('mp3');
+    expect(detectContainer(Buffer.concat([Buffer.from([0xff, 0xf1, 0x50, 0x80]), pad]))).toBe('aac');
+    expect(detectContainer(Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from('ftypM4A '), pad]))).toBe('m4a');
+    expect(detectContainer(makeWav({ sampleRate: 8000, channels: 1, frames: 4, sample: () => 0 }))).toBe('wav');
+    expect(detectContainer(Buffer.from('<?xml version="1.0"?><Error>AccessDenied</Error>'))).toBe('text');
+  });
+
+  test('decodes WAV, downmixes stereo and resamples to the target rate', async () => {
+    const wav = makeWav({ sampleRate: 22050, channels: 2, frames: 22050, sample: (i, c) => (c === 0 ? 0.5 : 0.25) });
+    const out = await decodeAudioBuffer(wav, { sampleRate: 44100 });
+    expect(out.container).toBe('wav');
+    expect(out.channels).toBe(2);
+    expect(out.sourceSampleRate).toBe(22050);
+    expect(out.sampleRate).toBe(44100);
+    expect(out.signal.length).toBe(44100);
+    expect(out.signal[22050]).toBeCloseTo(0.375, 3);
+  });
+
+  test('downmix averages channels and resample keeps a constant signal', () => {
+    const mono = downmix([Float32Array.from([1, 0]), Float32Array.from([0, 0])]);
+    expect(Array.from(mono)).toEqual([0.5, 0]);
+    const out = resample(new Float32Array(480).fill(0.2), 48000, 44100);
+    expect(out.length).toBe(441);
+    expect(out[200]).toBeCloseTo(0.2, 5);
+  });
+
+  test('rejects unsupported or empty input with AudioDecodeError', async () => {
+    await expect(decodeAudioBuffer(Buffer.alloc(0))).rejects.toMatchObject({ code: 'empty_audio' });
+    await expect(decodeAudioBuffer(Buffer.from('<html><body>Not Found</body></html>'))).rejects.toBeInstanceOf(AudioDecodeError);
+    await expect(decodeAudioBuffer(Buffer.concat([Buffer.from('OggS'), Buffer.alloc(32)]))).rejects.toMatchObject({ code: 'unsupported_format', container: 'ogg' });
+  });
+
+  test('cuts long MP3 streams to a window from the middle on frame boundaries', () => {
+    // MPEG-1 layer III, 128kbps, 44.1kHz, no padding: 417-byte frames of 1152 samples
+    const frameSeconds = 1152 / 44100;
+    const frames = Math.ceil(120 / frameSeconds);
+    const id3 = Buffer.concat([Buffer.from('ID3'), Buffer.from([4, 0, 0, 0, 0, 0, 10]), Buffer.alloc(10)]);
+    const frame = i => { const f = Buffer.alloc(417); f.set([0xff, 0xfb, 0x90, 0x00]); f.writeUInt32BE(i, 4); return f; };
+    const stream = Buffer.concat([id3, ...Array.from({ length: frames }, (_, i) => frame(i))]);
+
+    const crop = cropMp3(stream, 30);
+    expect(crop.cropped).toBe(true);
+    expect(crop.sourceDuration).toBeCloseTo(120, 0);
+    expect(crop.offsetSeconds).toBeCloseTo(45, 1);
+    expect(crop.bytes.length % 417).toBe(0);
+    expect(crop.bytes.length / 417).toBe(Math.ceil(30 / frameSeconds));
+    expect([crop.bytes[0], crop.bytes[1]]).toEqual([0xff, 0xfb]);
+    expect(Buffer.from(crop.bytes).readUInt32BE(4)).toBe(Math.round(crop.offsetSeconds / frameSeconds));
+
+    // Short streams and a truncated final frame: nothing to cut
+    const short = stream.subarray(0, 20 + 417 * 100 + 200);
+    expect(cropMp3(short, 30)).toEqual({ bytes: short, cropped: false });
+  });
+
+  test('keeps a window from the middle of long decoded audio', async () => {
+    const wav = makeWav({ sampleRate: 8000, channels: 2, frames: 8000 * 10, sample: (i, c) => (c === 0 ? i / 80000 : 0) });
+    const out = await decodeAudioBuffer(wav, { sampleRate: 8000, keepChannels: true, maxSeconds: 4 });
+    expect(out.duration).toBe(4);
+    expect(out.window).toEqual({ offsetSeconds: 3, sourceDuration: 10 });
+    expect(out.channelData[0][0]).toBeCloseTo(0.3, 3);
+    expect((await decodeAudioBuffer(wav, { sampleRate: 8000, maxSeconds: 30 })).window).toBeUndefined();
+  });
+});
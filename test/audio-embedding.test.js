@@ -0,0 +1,37 @@
+const { EMBEDDING_DIMS, EMBEDDING_VERSION, buildEmbedding, cosineSimilarity } = require('../audio-embedding');
+
+const stats = {
+  mfccMean: [-650, 210, 42, 24, 0.3, 11, 8, 9, 12, 6, 4, 1.7, 1.9],
+  mfccVar: [5500, 3700, 1470, 305, 224, 182, 135, 107, 164, 133, 127, 181, 171],
+  chroma: [0.06, 0.31, 0.29, 0.09, 0.23, 0.05, 0.47, 0.03, 0.58, 0.34, 0.03, 0.09],
+  contrast: [-0.37, -0.65, -0.63, -0.79, -0.83, -0.82],
+  valley: [-4.3, -5.1, -6.3, -7.2, -8.2, -9.5],
+  tempo: 122, rhythmStrength: 0.57, danceability: 0.37, energy: 0.92
+};
+
+describe('audio-embedding', () => {
+  test('builds a fixed-length, unit-norm, deterministic vector', () => {
+    const a = buildEmbedding(stats);
+    const b = buildEmbedding(JSON.parse(JSON.stringify(stats)));
+    expect(EMBEDDING_VERSION).toBe('emb-v1');
+    expect(a).toHaveLength(EMBEDDING_DIMS);
+    expect(a).toEqual(b);
+    expect(Math.sqrt(a.reduce((s, v) => s + v * v, 0))).toBeCloseTo(1, 4);
+  });
+
+  test('is level invariant for timbre blocks and separates different material', () => {
+    const louder = { ...stats, mfccMean: stats.mfccMean.map(v => v * 1.1), chroma: stats.chroma.map(v => v * 2) };
+    const other = { ...stats, chroma: [...stats.chroma].reverse(), contrast: [...stats.contrast].reverse(), tempo: 85, danceability: 0.9, energy: 0.2 };
+    const base = buildEmbedding(stats);
+    expect(cosineSimilarity(base, buildEmbedding(louder))).toBeGreaterThan(0.99);
+    expect(cosineSimilarity(base, buildEmbedding(other))).toBeLessThan(0.8);
+  });
+
+  test('tolerates missing blocks and rejects mismatched vectors', () => {
+    const v = buildEmbedding({ tempo: 128 });
+    expect(v).toHaveLength(EMBEDDING_DIMS);
+    expect(v.every(Number.isFinite)).toBe(true);
+    expect(cosineSimilarity(v, v.slice(0, 8))).toBeNull();
+    expect(cosineSimilarity([], [])).toBeNull();
+  });
+});
@@ -0,0 +1,55 @@
+const { EssentiaWASM, Essentia } = require('essentia.js');
+const {
+  MATCH_THRESHOLD, computeFingerprint, encodeFingerprint, decodeFingerprint, compareFingerprints, isSameRecording, fingerprintKeys
+} = require('../audio-fingerprint');
+
+const SAMPLE_RATE = 44100;
+
+function prng(seed) {
+  let s = seed >>> 0;
+  return () => ((s = (s * 1664525 + 1013904223) >>> 0) / 4294967296);
+}
+
+// Random three-note chords, 0.5s each: a stand-in "recording" with a changing chroma image
+function chordTrack(seed, seconds) {
+  const rand = prng(seed);
+  const out = new Float32Array(seconds * SAMPLE_RATE);
+  const chordLen = SAMPLE_RATE / 2;
+  for (let start = 0; start < out.length; start += chordLen) {
+    const notes = [0, 1, 2].map(() => 220 * Math.pow(2, Math.floor(rand() * 24) / 12));
+    for (let i = start; i < Math.min(out.length, start + chordLen); i++) {
+      out[i] = notes.reduce((sum, f) => sum + 0.2 * Math.sin((2 * Math.PI * f * i) / SAMPLE_RATE), 0);
+    }
+  }
+  return out;
+}
+
+describe('audio-fingerprint', () => {
+  const e = new Essentia(EssentiaWASM);
+  const track = chordTrack(7, 20);
+  const clipA = computeFingerprint(e, track.subarray(0, 15 * SAMPLE_RATE), SAMPLE_RATE);
+
+  test('matches an offset, quieter, noisy excerpt of the same recording', () => {
+    const noise = prng(3);
+    const excerpt = track.slice(Math.round(6.3 * SAMPLE_RATE)).map(v => 0.5 * v + 0.01 * (noise() - 0.5));
+    const clipB = computeFingerprint(e, excerpt, SAMPLE_RATE);
+    const result = compareFingerprints(clipA, clipB);
+    expect(result.similarity).toBeGreaterThan(MATCH_THRESHOLD);
+    // 6.3s at a 2048-sample hop
+    expect(Math.abs(result.offsetFrames - Math.round((6.3 * SAMPLE_RATE) / 2048))).toBeLessThanOrEqual(1);
+    expect(fingerprintKeys(clipB).some(k => fingerprintKeys(clipA).includes(k))).toBe(true);
+  });
+
+  test('does not match a different recording', () => {
+    const other = computeFingerprint(e, chordTrack(11, 15), SAMPLE_RATE);
+    expect(isSameRecording(clipA, other)).toBe(false);
+    expect(compareFingerprints(clipA, other).similarity).toBeLessThan(0.7);
+  });
+
+  test('round-trips through the stored base64 form', () => {
+    const decoded = decodeFingerprint(encodeFingerprint(clipA));
+    expect(Array.from(decoded)).toEqual(Array.from(clipA));
+    expect(decodeFingerprint(null).length).toBe(0);
+    expect(compareFingerprints(clipA, new Uint32Array(3))).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+const { createBatchStore, describeBatch } = require('../batch-store');
+
+// Minimal stand-in for the Mongo collection calls the store makes ($set on items.<index>.<field>)
+function fakeCollection() {
+  const docs = [];
+  const find = batchId => docs.find(d => d.batchId === batchId);
+  return {
+    docs,
+    async findOne(filter) { const doc = find(filter.batchId); return doc ? structuredClone(doc) : null; },
+    async replaceOne(filter, doc) {
+      const i = docs.findIndex(d => d.batchId === filter.batchId);
+      if (i >= 0) docs[i] = structuredClone(doc);
+      else docs.push(structuredClone(doc));
+    },
+    async updateOne(filter, update) {
+      const doc = find(filter.batchId);
+      if (!doc) return;
+      for (const [key, value] of Object.entries(update.$set)) {
+        const [head, index, field] = key.split('.');
+        if (field) doc[head][Number(index)][field] = value;
+        else doc[key] = value;
+      }
+    }
+  };
+}
+
+async function runBatch(store, batchId, urls, analyze) {
+  const batch = await store.open(batchId, urls, 'corr');
+  for (const item of batch.items.filter(i => urls.includes(i.audioUrl) && i.status !== 'done')) {
+    await store.updateItem(batchId, item.index, { status: 'running', attempts: item.attempts + 1 });
+    try {
+      await store.updateItem(batchId, item.index, { status: 'done', features: analyze(item.audioUrl), error: null, finishedAt: new Date() });
+    } catch (e) {
+      await store.updateItem(batchId, item.index, { status: 'failed', error: e.message, finishedAt: new Date() });
+    }
+  }
+  return store.finish(batchId);
+}
+
+describe.each([
+  ['in memory', () => createBatchStore(null)],
+  ['mongo', () => createBatchStore(fakeCollection())]
+])('batch-store (%s)', (_label, makeStore) => {
+  test('re-submitting a batchId only re-runs unfinished items', async () => {
+    const store = makeStore();
+    const urls = ['https://a/1.mp3', 'https://a/2.mp3', 'https://a/3.mp3'];
+    const analyzed = [];
+    let flaky = true;
+    const analyze = url => {
+      analyzed.push(url);
+      if (url.endsWith('2.mp3') && flaky) throw new Error('HTTP 503');
+      return { bpm: 120, url };
+    };
+
+    let batch = await runBatch(store, 'b1', urls, analyze);
+    expect(batch).toMatchObject({ status: 'completed_with_errors', runs: 1, counts: { total: 3, done: 2, failed: 1 } });
+    expect(batch.items[1]).toMatchObject({ status: 'failed', attempts: 1, error: 'HTTP 503' });
+
+    flaky = false;
+    analyzed.length = 0;
+    batch = await runBatch(store, 'b1', [...urls, 'https://a/4.mp3'], analyze);
+    expect(analyzed).toEqual(['https://a/2.mp3', 'https://a/4.mp3']);
+    expect(batch).toMatchObject({ status: 'completed', runs: 2, counts: { total: 4, done: 4, failed: 0 } });
+    expect(batch.items.map(i => i.attempts)).toEqual([1, 2, 1, 1]);
+    expect(batch.items[1]).toMatchObject({ status: 'done', error: null, features: { url: 'https://a/2.mp3' } });
+  });
+
+  test('keeps interrupted items resumable and describes progress', async () => {
+    const store = makeStore();
+    const batch = await store.open('b2', ['u1', 'u2', 'u1'], 'corr');
+    expect(batch.items.map(i => i.audioUrl)).toEqual(['u1', 'u2']);
+    await store.updateItem('b2', 0, { status: 'done', features: { bpm: 128 }, finishedAt: new Date() });
+    await store.updateItem('b2', 1, { status: 'running', attempts: 1 });
+
+    const view = describeBatch(await store.get('b2'));
+    expect(view).toMatchObject({ batchId: 'b2', status: 'running', total: 2, done: 1, running: 1, progress: 0.5, runs: 1 });
+    expect(view.items[0].features).toBeUndefined();
+    expect(describeBatch(await store.get('b2'), { includeResults: true }).items[0].features).toEqual({ bpm: 128 });
+
+    // A restart leaves the item "running"; the next open treats it as unfinished
+    const reopened = await store.open('b2', ['u1', 'u2'], 'corr-2');
+    expect(reopened.items.filter(i => i.status !== 'done').map(i => i.audioUrl)).toEqual(['u2']);
+    expect(reopened).toMatchObject({ runs: 2, correlationId: 'corr-2' });
+    expect(await store.get('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+const { buildBeatGrid, estimateBarsPerPhrase, tempoStability } = require('../beat-grid');
+
+// 120 BPM pulse train at 8kHz; every 4th beat (starting at beat 1) is twice as loud
+function pulseTrack(beats, sampleRate = 8000) {
+  const signal = new Float32Array(Math.ceil((beats * 0.5 + 1) * sampleRate));
+  const ticks = [];
+  for (let b = 0; b < beats; b++) {
+    const t = 0.25 + b * 0.5;
+    ticks.push(t);
+    const amp = b % 4 === 1 ? 1 : 0.5;
+    const start = Math.round(t * sampleRate);
+    for (let i = 0; i < 400; i++) signal[start + i] = amp * Math.sin((2 * Math.PI * 60 * i) / sampleRate);
+  }
+  return { signal, ticks, sampleRate };
+}
+
+describe('beat-grid', () => {
+  test('places downbeats on the accented beat phase', () => {
+    const { signal, ticks, sampleRate } = pulseTrack(32);
+    const grid = buildBeatGrid({ bpm: 120, ticks, confidence: 4 }, signal, sampleRate);
+    expect(grid.beats).toHaveLength(32);
+    expect(grid.downbeats[0]).toBe(0.75);
+    expect(grid.downbeats[1]).toBe(2.75);
+    expect(grid.tempo_stability).toBe(1);
+    expect(grid.tempo_confidence).toBeCloseTo(0.752, 3);
+  });
+
+  test('tempoStability drops with jittery intervals', () => {
+    expect(tempoStability([0, 0.5, 1.0, 1.5, 2.0])).toBe(1);
+    expect(tempoStability([0, 0.4, 1.0, 1.4, 2.0])).toBe(0);
+    expect(tempoStability([0, 0.5])).toBe(0);
+  });
+
+  test('estimateBarsPerPhrase finds the period of energy changes', () => {
+    const bars = Array.from({ length: 24 }, (_, i) => (Math.floor(i / 4) % 2 === 0 ? 1 : 3));
+    expect(estimateBarsPerPhrase(bars)).toBe(4);
+    expect(estimateBarsPerPhrase([1, 1, 1])).toBe(8);
+  });
+});
@@ -0,0 +1,47 @@
+const { ProviderUnavailableError, createCircuitBreaker } = require('../circuit-breaker');
+const { createUpstreamLimiter } = require('../rate-limiter');
+
+describe('circuit-breaker', () => {
+  test('opens after consecutive failures, probes once when half-open, then closes', () => {
+    let t = 0;
+    const breaker = createCircuitBreaker('itunes', { failureThreshold: 3, cooldownMs: 1000, now: () => t });
+    breaker.onFailure(new Error('ETIMEDOUT'));
+    breaker.onSuccess(); // a success resets the streak
+    for (let i = 0; i < 3; i++) breaker.onFailure(new Error('HTTP 503'));
+    expect(breaker.stats()).toMatchObject({ state: 'open', retryInMs: 1000, lastError: 'HTTP 503', opened: 1 });
+    expect(breaker.isAvailable()).toBe(false);
+    expect(() => breaker.beforeRequest()).toThrow(ProviderUnavailableError);
+
+    t = 1000;
+    expect(breaker.stats().state).toBe('half_open');
+    breaker.beforeRequest(); // the probe
+    expect(breaker.isAvailable()).toBe(false);
+    expect(() => breaker.beforeRequest()).toThrow(/itunes circuit open/);
+    breaker.onSuccess();
+    expect(breaker.stats()).toMatchObject({ state: 'closed', consecutiveFailures: 0, rejected: 2 });
+  });
+
+  test('a failed probe re-opens the circuit for another cooldown', () => {
+    let t = 0;
+    const breaker = createCircuitBreaker('deezer', { failureThreshold: 1, cooldownMs: 500, now: () => t });
+    breaker.onFailure(new Error('ECONNRESET'));
+    t = 600;
+    breaker.beforeRequest();
+    breaker.onFailure(new Error('ECONNRESET'));
+    expect(breaker.stats()).toMatchObject({ state: 'open', retryInMs: 500, opened: 2 });
+  });
+
+  test('upstream fetch trips the breaker on 5xx and network errors and then refuses without calling out', async () => {
+    let calls = 0;
+    const replies = [() => ({ status: 502, ok: false }), () => { throw new Error('socket hang up'); }];
+    const upstream = createUpstreamLimiter({ CIRCUIT_FAILURE_THRESHOLD: '2' }, {
+      fetch: async () => { calls++; return replies.shift()(); }
+    });
+    expect((await upstream.fetch('itunes', 'https://itunes.apple.com/search?term=a')).status).toBe(502);
+    await expect(upstream.fetch('itunes', 'https://itunes.apple.com/search?term=b')).rejects.toThrow('socket hang up');
+    expect(upstream.isAvailable('itunes')).toBe(false);
+    await expect(upstream.fetch('itunes', 'https://itunes.apple.com/search?term=c')).rejects.toBeInstanceOf(ProviderUnavailableError);
+    expect(calls).toBe(2);
+    expect(upstream.circuitStates()).toMatchObject({ itunes: { state: 'open', failures: 2, rejected: 1 }, deezer: { state: 'closed' } });
+  });
+});
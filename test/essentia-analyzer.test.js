@@ -0,0 +1,27 @@
+const { EssentiaWASM } = require('essentia.js');
+const { extractFeatures } = require('../essentia-analyzer');
+
+const SAMPLE_RATE = 44100;
+
+// 220Hz tone with a pulse every half second: enough structure for rhythm, key and segmentation
+function pulseTrack(seconds) {
+  const out = new Float32Array(seconds * SAMPLE_RATE);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = 0.3 * Math.sin((2 * Math.PI * 220 * i) / SAMPLE_RATE) * (i % (SAMPLE_RATE / 2) < 4000 ? 1 : 0.2);
+  }
+  return out;
+}
+
+describe('essentia-analyzer', () => {
+  test('repeated analyses keep the WASM heap flat', () => {
+    const signal = pulseTrack(8);
+    const options = { include: ['beats', 'timeseries'], channelData: [signal, signal] };
+    const first = extractFeatures(signal, SAMPLE_RATE, options); // warm-up: the heap grows once to its working size
+    const heapBytes = EssentiaWASM.HEAPU8.length;
+    for (let run = 0; run < 4; run++) {
+      expect(extractFeatures(signal, SAMPLE_RATE, options)).toEqual(first);
+    }
+    // Leaked frame vectors would grow the heap by roughly the signal size per run
+    expect(EssentiaWASM.HEAPU8.length).toBe(heapBytes);
+  }, 120000);
+});
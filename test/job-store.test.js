@@ -0,0 +1,170 @@
+const { JOB_LEASE_MS, createJobStore, describeJob, openSecret, sealSecret } = require('../job-store');
+
+// Minimal stand-in for the Mongo collection calls the store makes (several stores may share one)
+function fakeCollection() {
+  const docs = [];
+  const apply = (doc, set) => {
+    for (const [key, value] of Object.entries(set)) {
+      const [head, tail] = key.split('.');
+      if (tail) doc[head] = { ...doc[head], [tail]: value };
+      else doc[key] = value;
+    }
+  };
+  const matches = (doc, filter) => Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some(sub => matches(doc, sub));
+    const value = doc[key];
+    if (cond && typeof cond === 'object' && !(cond instanceof Date)) {
+      if ('$in' in cond) return cond.$in.includes(value);
+      if ('$ne' in cond) return value !== cond.$ne;
+      if ('$lt' in cond) return value !== undefined && value < cond.$lt;
+      if ('$exists' in cond) return (value !== undefined) === cond.$exists;
+    }
+    return value === cond;
+  });
+  return {
+    docs,
+    async insertOne(doc) { docs.push({ ...doc }); },
+    async updateOne(filter, update) {
+      const doc = docs.find(d => matches(d, filter));
+      if (doc) apply(doc, update.$set);
+      return { matchedCount: doc ? 1 : 0 };
+    },
+    async updateMany(filter, update) { docs.filter(d => matches(d, filter)).forEach(d => apply(d, update.$set)); },
+    async findOneAndUpdate(filter, update) {
+      const doc = docs.find(d => matches(d, filter));
+      if (doc) apply(doc, update.$set);
+      return { value: doc ? { ...doc } : null };
+    },
+    async findOne(filter) { return docs.find(d => matches(d, filter)) || null; },
+    find(filter) {
+      const found = docs.filter(d => matches(d, filter));
+      return { sort: () => ({ toArray: async () => found.map(d => ({ ...d })) }) };
+    }
+  };
+}
+
+describe('job-store', () => {
+  test('walks a job through progress to completion (in memory)', async () => {
+    const store = createJobStore(null);
+    const job = await store.create('analyze_artist', { artistName: 'Lane 8' }, 'corr-1');
+    expect(store.persistent).toBe(false);
+    expect(describeJob(await store.get(job.jobId))).toMatchObject({ status: 'queued', partialTrackMatrix: [] });
+
+    await store.start(job);
+    await store.progress(job.jobId, { phase: 'round1', round: 1, tracksAttempted: 1, tracksAnalyzed: 1 }, [{ name: 'Atlas' }]);
+    let view = describeJob(await store.get(job.jobId));
+    expect(view).toMatchObject({ status: 'running', attempts: 1, progress: { phase: 'round1', tracksAnalyzed: 1 } });
+    expect(view.partialTrackMatrix).toEqual([{ name: 'Atlas' }]);
+    expect(view.result).toBeUndefined();
+
+    await store.complete(job.jobId, { success: true, trackMatrix: [{ name: 'Atlas' }] });
+    view = describeJob(await store.get(job.jobId));
+    expect(view).toMatchObject({ status: 'completed', progress: { phase: 'completed', round: 1 }, result: { success: true } });
+    expect(view.partialTrackMatrix).toBeUndefined();
+    expect(view.finishedAt).toBeInstanceOf(Date);
+  });
+
+  test('requeues interrupted jobs and gives up after repeated interruptions', async () => {
+    const collection = fakeCollection();
+    let clock = Date.parse('2026-01-01T00:00:00Z');
+    const crashed = createJobStore(collection, { ownerId: 'dyno-1', now: () => clock });
+    const fresh = await crashed.create('analyze_artist', { artistName: 'A' }, 'c1');
+    const running = await crashed.create('analyze_artist', { artistName: 'B' }, 'c2');
+    await crashed.start(running);
+    const exhausted = await crashed.create('analyze_artist', { artistName: 'C' }, 'c3');
+    for (let i = 0; i < 3; i++) await crashed.start(exhausted);
+    const done = await crashed.create('analyze_artist', { artistName: 'D' }, 'c4');
+    await crashed.complete(done.jobId, { success: true });
+
+    // dyno-1 stops heartbeating; dyno-2 takes over once the lease has run out
+    clock += JOB_LEASE_MS + 1;
+    const store = createJobStore(collection, { ownerId: 'dyno-2', now: () => clock });
+    const resumable = await store.recoverInterrupted();
+    expect(resumable.map(j => j.jobId)).toEqual([fresh.jobId, running.jobId]);
+    expect(resumable.every(j => j.ownerId === 'dyno-2')).toBe(true);
+    expect((await store.get(running.jobId)).progress.phase).toBe('requeued');
+    expect(await store.get(exhausted.jobId)).toMatchObject({ status: 'failed', error: expect.stringMatching(/Interrupted 3 times/) });
+    expect((await store.get(done.jobId)).status).toBe('completed');
+
+    await store.fail(fresh.jobId, 'boom');
+    expect(describeJob(await store.get(fresh.jobId))).toMatchObject({ status: 'failed', error: 'boom' });
+  });
+
+  test('leaves jobs of an instance that is still heartbeating alone', async () => {
+    const collection = fakeCollection();
+    let clock = Date.parse('2026-01-01T00:00:00Z');
+    const owner = createJobStore(collection, { ownerId: 'dyno-1', now: () => clock });
+    const other = createJobStore(collection, { ownerId: 'dyno-2', now: () => clock });
+    const job = await owner.create('analyze_artist', { artistName: 'A' }, 'c1');
+    await owner.start(job);
+
+    clock += JOB_LEASE_MS - 1000;
+    expect(await other.recoverInterrupted()).toEqual([]);
+    await owner.heartbeat([job.jobId]);
+    clock += JOB_LEASE_MS - 1000;
+    expect(await other.recoverInterrupted()).toEqual([]);
+    // Its own jobs are never "recovered" by the owner itself
+    clock += 10 * JOB_LEASE_MS;
+    expect(await owner.recoverInterrupted()).toEqual([]);
+    expect(await owner.progress(job.jobId, { phase: 'round1' })).toBe(true);
+  });
+
+  test('an expired job is claimed by exactly one instance and the old owner can no longer write it', async () => {
+    const collection = fakeCollection();
+    let clock = Date.parse('2026-01-01T00:00:00Z');
+    const stale = createJobStore(collection, { ownerId: 'dyno-1', now: () => clock });
+    const job = await stale.create('analyze_artist', { artistName: 'A' }, 'c1');
+    await stale.start(job);
+
+    clock += JOB_LEASE_MS + 1;
+    const a = createJobStore(collection, { ownerId: 'dyno-2', now: () => clock });
+    const b = createJobStore(collection, { ownerId: 'dyno-3', now: () => clock });
+    const [fromA, fromB] = await Promise.all([a.recoverInterrupted(), b.recoverInterrupted()]);
+    expect(fromA.length + fromB.length).toBe(1);
+
+    const winner = fromA.length ? a : b;
+    expect((await winner.get(job.jobId)).ownerId).toBe(winner.ownerId);
+    expect(await stale.complete(job.jobId, { success: true })).toBe(false);
+    expect(await stale.fail(job.jobId, 'late')).toBe(false);
+    expect((await winner.get(job.jobId)).status).toBe('queued');
+  });
+
+  test('a recovered job gets its callback secret back only when it was stored encrypted', async () => {
+    const collection = fakeCollection();
+    let clock = Date.parse('2026-01-01T00:00:00Z');
+    const opts = id => ({ ownerId: id, secretKey: 'job-key', now: () => clock });
+    const crashed = createJobStore(collection, opts('dyno-1'));
+    const sealed = await crashed.create('analyze_artist', { artistName: 'A', callbackUrl: 'https://example.com/hook' }, 'c1', { callbackSecret: 's3cret' });
+    const keyless = createJobStore(collection, { ownerId: 'dyno-1', now: () => clock });
+    const dropped = await keyless.create('analyze_artist', { artistName: 'B', callbackUrl: 'https://example.com/hook' }, 'c2', { callbackSecret: 's3cret' });
+    const unsigned = await crashed.create('analyze_artist', { artistName: 'C', callbackUrl: 'https://example.com/hook' }, 'c3');
+
+    expect(JSON.stringify(collection.docs)).not.toContain('s3cret');
+    clock += JOB_LEASE_MS + 1;
+    const store = createJobStore(collection, opts('dyno-2'));
+    const resumable = await store.recoverInterrupted();
+    const byId = Object.fromEntries(resumable.map(j => [j.jobId, j]));
+
+    expect(byId[sealed.jobId].callbackUndeliverable).toBe(false);
+    expect(store.recoverCallbackSecret(byId[sealed.jobId])).toBe('s3cret');
+    expect(byId[unsigned.jobId].callbackUndeliverable).toBe(false);
+    expect(store.recoverCallbackSecret(byId[unsigned.jobId])).toBeUndefined();
+    // The secret is gone: the job must not be signed with anything else
+    expect(byId[dropped.jobId].callbackUndeliverable).toBe(true);
+    expect(describeJob(await store.get(dropped.jobId))).toMatchObject({ callbackUndeliverable: true });
+
+    // A different key cannot open it either
+    const rotated = createJobStore(collection, { ownerId: 'dyno-3', secretKey: 'other-key' });
+    expect(rotated.recoverCallbackSecret(byId[sealed.jobId])).toBeUndefined();
+  });
+
+  test('sealed secrets reject tampering', () => {
+    const sealed = sealSecret('s3cret', 'job-key');
+    expect(openSecret(sealed, 'job-key')).toBe('s3cret');
+    expect(sealSecret('s3cret', 'job-key')).not.toBe(sealed);
+    const parts = sealed.split(':');
+    parts[3] = Buffer.from('t4mpered').toString('base64');
+    expect(() => openSecret(parts.join(':'), 'job-key')).toThrow();
+    expect(() => openSecret('plain', 'job-key')).toThrow(/Unrecognised/);
+  });
+});
@@ -0,0 +1,27 @@
+const { toCamelot, toOpenKey, describeKey, calculateKeyDistribution } = require('../key-notation');
+
+describe('key-notation', () => {
+  test('maps keys to Camelot and Open Key codes', () => {
+    expect(toCamelot('A', 'minor')).toBe('8A');
+    expect(toCamelot('C', 'major')).toBe('8B');
+    expect(toCamelot('F', 'minor')).toBe('4A');
+    expect(toCamelot('B', 'major')).toBe('1B');
+    expect(toCamelot('G#', 'minor')).toBe('1A');
+    expect(toCamelot('Ab', 'minor')).toBe('1A');
+    expect(toOpenKey('C', 'major')).toBe('1d');
+    expect(toOpenKey('A', 'minor')).toBe('1m');
+    expect(toOpenKey('E', 'minor')).toBe('2m');
+    expect(toCamelot('H', 'major')).toBeNull();
+    expect(toCamelot('C', 'dorian')).toBeNull();
+  });
+
+  test('describeKey normalises Essentia output into payload fields', () => {
+    expect(describeKey('Db', 'major', 0.71)).toEqual({ key: 'C#', scale: 'major', key_confidence: 0.71, camelot: '3B', open_key: '8d' });
+  });
+
+  test('calculateKeyDistribution counts Camelot codes and scales', () => {
+    const tracks = ['8A', '8A', '9B', null].map(camelot => ({ essentiaFeatures: camelot ? { camelot, scale: camelot.endsWith('A') ? 'minor' : 'major' } : {} }));
+    expect(calculateKeyDistribution(tracks)).toEqual({ total: 3, byCamelot: { '8A': 2, '9B': 1 }, byScale: { major: 1, minor: 2 }, dominant: '8A', dominantShare: 0.667 });
+    expect(calculateKeyDistribution([]).dominant).toBeNull();
+  });
+});
@@ -0,0 +1,34 @@
+const { EssentiaWASM, Essentia } = require('essentia.js');
+const { truePeakAmplitude, measureLoudness } = require('../loudness-r128');
+
+function sine(freq, amplitude, seconds, sampleRate, phase = 0) {
+  const out = new Float32Array(Math.round(seconds * sampleRate));
+  for (let i = 0; i < out.length; i++) out[i] = amplitude * Math.sin((2 * Math.PI * freq * i) / sampleRate + phase);
+  return out;
+}
+
+describe('loudness-r128', () => {
+  test('true peak catches inter-sample peaks the sample peak misses', () => {
+    // fs/4 sine at 45° phase: every sample sits at ±0.707 while the waveform reaches 1.0
+    const signal = sine(11025, 1, 0.1, 44100, Math.PI / 4);
+    expect(Math.max(...signal.map(Math.abs))).toBeCloseTo(0.707, 3);
+    expect(truePeakAmplitude(signal)).toBeGreaterThan(0.98);
+    expect(truePeakAmplitude(new Float32Array(64))).toBe(0);
+  });
+
+  test('measures the BS.1770 reference tone', () => {
+    const e = new Essentia(EssentiaWASM);
+    const sampleRate = 44100;
+    const tone = sine(997, 0.5, 10, sampleRate);
+    // -6.02 dBFS 997Hz in one channel = -9.03 LUFS; identical stereo channels add 3dB
+    const mono = measureLoudness(e, [tone], sampleRate);
+    expect(mono.loudness_integrated_lufs).toBeCloseTo(-9.03, 1);
+    expect(mono.loudness_short_term_max_lufs).toBeCloseTo(-9.03, 1);
+    expect(mono.loudness_range_lu).toBeCloseTo(0, 1);
+    expect(mono.true_peak_dbtp).toBeCloseTo(-6.02, 1);
+    expect(measureLoudness(e, [tone, tone], sampleRate).loudness_integrated_lufs).toBeCloseTo(-6.02, 1);
+    expect(measureLoudness(e, [new Float32Array(sampleRate * 5)], sampleRate)).toEqual({
+      loudness_integrated_lufs: null, loudness_short_term_max_lufs: null, loudness_range_lu: null, true_peak_dbtp: null
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPreviewCache } = require('../preview-cache');
+
+function bytes(fill, length = 1000) {
+  return Buffer.alloc(length, fill);
+}
+
+describe('preview-cache', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-cache-test-')); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('hits under any stored key and shares one blob between keys', async () => {
+    const cache = createPreviewCache({ dir, maxBytes: 10000 });
+    expect(await cache.get(['url-a'])).toBeNull();
+    expect(await cache.put(['url-a', 'resolved-a'], bytes(1))).toBe(true);
+    expect((await cache.get(['url-a'])).equals(bytes(1))).toBe(true);
+    expect((await cache.get(['resolved-a'])).equals(bytes(1))).toBe(true);
+    await cache.put(['url-b'], bytes(1)); // same content, new key
+    expect(cache.stats()).toMatchObject({ hits: 2, misses: 1, writes: 1, entries: 1, bytes: 1000 });
+  });
+
+  test('evicts least recently used blobs past the size limit', async () => {
+    const cache = createPreviewCache({ dir, maxBytes: 2500 });
+    await cache.put(['a'], bytes(1));
+    await cache.put(['b'], bytes(2));
+    await cache.get(['a']); // a is now the most recent
+    await cache.put(['c'], bytes(3));
+    expect(await cache.get(['b'])).toBeNull();
+    expect(await cache.get(['a'])).not.toBeNull();
+    expect(await cache.get(['c'])).not.toBeNull();
+    expect(cache.stats()).toMatchObject({ evictions: 1, entries: 2, bytes: 2000 });
+    expect(await cache.put(['huge'], bytes(9, 5000))).toBe(false);
+  });
+
+  test('drops corrupted blobs and survives a restart', async () => {
+    const cache = createPreviewCache({ dir, maxBytes: 10000 });
+    await cache.put(['good'], bytes(4));
+    await cache.put(['bad'], bytes(5));
+    const badHash = fs.readFileSync(path.join(dir, 'keys', 'bad'), 'utf8');
+    fs.writeFileSync(path.join(dir, 'blobs', badHash), bytes(5, 10)); // truncated
+
+    const reopened = createPreviewCache({ dir, maxBytes: 10000 });
+    expect(await reopened.get(['bad'])).toBeNull();
+    expect((await reopened.get(['good'])).equals(bytes(4))).toBe(true);
+    expect(reopened.stats()).toMatchObject({ corrupt: 1, hits: 1, misses: 1, entries: 1 });
+    expect(fs.existsSync(path.join(dir, 'blobs', badHash))).toBe(false);
+  });
+
+  test('is a no-op when disabled', async () => {
+    const cache = createPreviewCache({ dir, maxBytes: 0 });
+    expect(await cache.put(['a'], bytes(1))).toBe(false);
+    expect(await cache.get(['a'])).toBeNull();
+    expect(cache.stats()).toMatchObject({ enabled: false, misses: 0 });
+  });
+
+  test('concurrent puts of the same bytes write and count one blob', async () => {
+    const cache = createPreviewCache({ dir, maxBytes: 10000 });
+    const results = await Promise.all(['a', 'b', 'c', 'd'].map(key => cache.put([key], bytes(7))));
+    expect(results).toEqual([true, true, true, true]);
+    expect(cache.stats()).toMatchObject({ writes: 1, entries: 1, bytes: 1000, errors: 0 });
+    expect(fs.readdirSync(path.join(dir, 'blobs')).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    for (const key of ['a', 'b', 'c', 'd']) expect((await cache.get([key])).equals(bytes(7))).toBe(true);
+  });
+
+  test('two caches sharing a directory do not clobber each other\'s temp files', async () => {
+    const first = createPreviewCache({ dir, maxBytes: 1000000 });
+    const second = createPreviewCache({ dir, maxBytes: 1000000 });
+    const results = await Promise.all([first.put(['a'], bytes(8, 200000)), second.put(['b'], bytes(8, 200000))]);
+    expect(results).toEqual([true, true]);
+    expect(first.stats().errors + second.stats().errors).toBe(0);
+    expect((await createPreviewCache({ dir, maxBytes: 1000000 }).get(['b'])).equals(bytes(8, 200000))).toBe(true);
+  });
+});
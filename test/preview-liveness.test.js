@@ -0,0 +1,105 @@
+const { signedUrlExpiry, probePreviewUrl, createPreviewRefresher } = require('../preview-liveness');
+
+function response(status, headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v)]));
+  return { status, ok: status >= 200 && status < 300, headers: { get: name => (name in lower ? lower[name] : null) }, body: { destroy: jest.fn() } };
+}
+
+// Minimal stand-in for the collection methods the refresher uses (dotted $set paths, _id filters)
+function fakeCollection(docs) {
+  const updates = [];
+  return {
+    docs,
+    updates,
+    find: () => ({ sort: () => ({ limit: n => ({ toArray: async () => docs.slice(0, n) }) }) }),
+    async updateOne(filter, { $set }) {
+      updates.push(filter);
+      const doc = docs.find(d => d._id === filter._id);
+      for (const [path, value] of Object.entries($set)) {
+        const keys = path.split('.');
+        let target = doc;
+        for (const key of keys.slice(0, -1)) target = target[key];
+        target[keys[keys.length - 1]] = value;
+      }
+    }
+  };
+}
+
+describe('preview-liveness', () => {
+  const now = () => Date.parse('2026-01-01T00:00:00Z');
+
+  test('reads the expiry of signed Deezer URLs', () => {
+    expect(signedUrlExpiry('https://cdnt-preview.dzcdn.net/api/1/1/a/b/c.mp3?hdnea=exp=1767225000~acl=/api/*~hmac=ff')).toBe(1767225000000);
+    expect(signedUrlExpiry('https://t4.bcbits.com/stream/ab/mp3-128/1?p=0&ts=1767312000&t=ff&token=1767312000_0a1b')).toBe(1767312000000);
+    expect(signedUrlExpiry('https://audio-ssl.itunes.apple.com/x.m4a')).toBeNull();
+  });
+
+  test('accepts a live audio preview and falls back to a ranged GET when HEAD is refused', async () => {
+    const calls = [];
+    const fetch = async (url, opts) => {
+      calls.push(opts.method || 'GET');
+      return opts.method === 'HEAD' ? response(405) : response(206, { 'Content-Type': 'audio/mpeg', 'Content-Range': 'bytes 0-1023/480000' });
+    };
+    const result = await probePreviewUrl('https://cdn/x.mp3', { fetch, now });
+    expect(result).toMatchObject({ alive: true, reason: 'ok', contentType: 'audio/mpeg', contentLength: 480000 });
+    expect(calls).toEqual(['HEAD', 'GET']);
+  });
+
+  test('classifies dead, expired and inconclusive probes', async () => {
+    const probe = (resp) => probePreviewUrl('https://cdn/x.mp3', { fetch: async () => resp, now });
+    expect((await probe(response(404))).reason).toBe('gone');
+    expect((await probe(response(403))).reason).toBe('forbidden');
+    expect(await probe(response(200, { 'Content-Type': 'text/html', 'Content-Length': 900000 }))).toMatchObject({ alive: false, reason: 'not_audio' });
+    expect(await probe(response(200, { 'Content-Type': 'audio/mp4', 'Content-Length': 512 }))).toMatchObject({ alive: false, reason: 'too_small' });
+    expect(await probe(response(503))).toMatchObject({ alive: null, reason: 'http_503' });
+    const offline = await probePreviewUrl('https://cdn/x.mp3', { fetch: async () => { throw new Error('ECONNRESET'); }, now });
+    expect(offline).toMatchObject({ alive: null, reason: 'unreachable' });
+    const fetch = jest.fn();
+    const expired = await probePreviewUrl('https://dz/x.mp3?hdnea=exp=1700000000~hmac=1', { fetch, now });
+    expect(expired).toMatchObject({ alive: false, reason: 'expired' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('marks dead entries, re-resolves them in place and leaves inconclusive ones alone', async () => {
+    const profiles = fakeCollection([{
+      _id: 1,
+      artistName: 'Lane 8',
+      trackMatrix: [
+        { name: 'Atlas', artist: 'Lane 8', previewUrl: 'https://live' },
+        { name: 'Brightest Lights', artist: 'Lane 8', previewUrl: 'https://dead' },
+        { name: 'Road', artist: 'Lane 8', previewUrl: 'https://flaky' },
+        { name: 'No Preview', artist: 'Lane 8', previewUrl: null }
+      ]
+    }]);
+    const features = fakeCollection([
+      { _id: 'f1', audioUrl: 'https://dead-feature', audioHash: 'hash:https://dead-feature', isrc: 'GBCEN1900001' },
+      { _id: 'f2', audioUrl: 'https://dead-no-isrc', audioHash: 'hash:https://dead-no-isrc' }
+    ]);
+    const verdict = { 'https://live': true, 'https://flaky': null };
+    const refresher = createPreviewRefresher({
+      profiles,
+      features,
+      now,
+      probe: async url => ({ alive: url in verdict ? verdict[url] : false, reason: 'test', checkedAt: new Date(now()) }),
+      reacquire: async entry => ({ audioUrl: `https://fresh/${entry.name}`, source: 'deezer', provider: 'deezer', match: { score: 0.95 } }),
+      resolveIsrc: async isrc => ({ audioUrl: `https://fresh/${isrc}`, source: 'deezer' }),
+      hashUrl: url => `hash:${url}`
+    });
+    const summary = await refresher.run();
+
+    const [live, dead, flaky, none] = profiles.docs[0].trackMatrix;
+    expect(live.previewStatus).toBe('live');
+    expect(dead).toMatchObject({ previewUrl: 'https://fresh/Brightest Lights', previousPreviewUrl: 'https://dead', previewStatus: 'refreshed', previewMatch: { provider: 'deezer', score: 0.95 } });
+    expect(flaky.previewUrl).toBe('https://flaky');
+    expect(flaky.previewStatus).toBeUndefined();
+    expect(none.previewCheck).toBeUndefined();
+    expect(profiles.docs[0].previewsCheckedAt).toEqual(new Date(now()));
+    expect(profiles.updates[1]).toEqual({ _id: 1, 'trackMatrix.1.previewUrl': 'https://dead' });
+    expect(features.docs[0]).toMatchObject({ audioUrl: 'https://fresh/GBCEN1900001', audioHash: 'hash:https://fresh/GBCEN1900001', previousAudioUrl: 'https://dead-feature', audioUrlStatus: 'refreshed' });
+    expect(features.docs[1]).toMatchObject({ audioUrl: 'https://dead-no-isrc', audioHash: 'hash:https://dead-no-isrc', audioUrlStatus: 'dead' });
+    expect(summary).toEqual({
+      profiles: { documents: 1, checked: 3, alive: 1, dead: 1, refreshed: 1, unresolved: 0, inconclusive: 1 },
+      audioFeatures: { documents: 2, checked: 2, alive: 0, dead: 2, refreshed: 1, unresolved: 1, inconclusive: 0 }
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { PRESET_STRATEGIES, createProviderRegistry, parsePreviewStrategy, acquirePreview } = require('../preview-providers');
+
+function registryWith(results) {
+  const registry = createProviderRegistry();
+  const calls = [];
+  for (const [name, spec] of Object.entries(results)) {
+    registry.register({
+      name,
+      upstream: spec.upstream,
+      search: async query => {
+        calls.push(name);
+        if (spec.throws) throw new Error(spec.throws);
+        return spec.candidates || [];
+      }
+    });
+  }
+  return { registry, calls };
+}
+
+describe('preview-providers', () => {
+  const names = ['spotify', 'spotify_search', 'apple', 'apple_broad', 'deezer', 'youtube', 'beatport', 'bandcamp'];
+  const { registry: full } = registryWith(Object.fromEntries(names.map(n => [n, {}])));
+
+  test('parses presets, comma lists and arrays, and rejects unknown providers', () => {
+    expect(parsePreviewStrategy(undefined, full)).toEqual({ order: PRESET_STRATEGIES.apple_primary });
+    // Store-page scrapers are opt-in, not part of the default
+    expect(PRESET_STRATEGIES.apple_primary).not.toEqual(expect.arrayContaining(['beatport']));
+    expect(PRESET_STRATEGIES.apple_primary).not.toEqual(expect.arrayContaining(['bandcamp']));
+    expect(parsePreviewStrategy('BALANCED', full)).toEqual({ order: PRESET_STRATEGIES.balanced });
+    expect(parsePreviewStrategy(' deezer, apple ,deezer', full)).toEqual({ order: ['deezer', 'apple'] });
+    expect(parsePreviewStrategy(['Apple', 'youtube'], full)).toEqual({ order: ['apple', 'youtube'] });
+    expect(parsePreviewStrategy('', full, ['deezer'])).toEqual({ order: ['deezer'] });
+    expect(parsePreviewStrategy('apple,soundcloud', full).error).toMatch(/Unknown preview provider\(s\): soundcloud/);
+    expect(parsePreviewStrategy(42, full).error).toMatch(/previewStrategy must be/);
+    expect(() => full.register({ name: 'broken' })).toThrow(/search function/);
+  });
+
+  test('tries providers in order and returns the most confident playable candidate', async () => {
+    const { registry, calls } = registryWith({
+      apple: { candidates: [] },
+      youtube: { candidates: [{ audioUrl: null, pageUrl: 'https://youtube.com/watch?v=x', confidence: 0.9 }] },
+      deezer: { candidates: [{ audioUrl: 'https://dz/1.mp3', source: 'deezer', confidence: 0.4 }, { audioUrl: 'https://dz/2.mp3', source: 'deezer', confidence: 0.7 }] },
+      beatport: { candidates: [{ audioUrl: 'https://bp/1.mp3', source: 'beatport', confidence: 1 }] }
+    });
+    const attempts = [];
+    const found = await acquirePreview(['apple', 'youtube', 'deezer', 'beatport'], { artistName: 'A', trackName: 'T' }, { registry, onAttempt: a => attempts.push([a.provider, a.outcome]) });
+    expect(found).toMatchObject({ audioUrl: 'https://dz/2.mp3', provider: 'deezer', confidence: 0.7 });
+    expect(calls).toEqual(['apple', 'youtube', 'deezer']);
+    expect(attempts).toEqual([['apple', 'miss'], ['youtube', 'miss'], ['deezer', 'hit']]);
+  });
+
+  test('skips providers whose upstream is unavailable and survives provider errors', async () => {
+    const { registry, calls } = registryWith({
+      apple: { upstream: 'itunes', candidates: [{ audioUrl: 'https://apple/1.m4a', confidence: 1 }] },
+      spotify_search: { upstream: 'spotify', throws: 'HTTP 500' },
+      deezer: { upstream: 'deezer' }
+    });
+    const attempts = [];
+    const found = await acquirePreview(['apple', 'spotify_search', 'deezer'], {}, {
+      registry,
+      isAvailable: upstream => upstream !== 'itunes',
+      onAttempt: a => attempts.push([a.provider, a.outcome])
+    });
+    expect(found).toBeNull();
+    expect(calls).toEqual(['spotify_search', 'deezer']);
+    expect(attempts).toEqual([['apple', 'skipped'], ['spotify_search', 'error'], ['deezer', 'miss']]);
+  });
+
+  test('scores non-exact candidates and moves on when every candidate is below the threshold', async () => {
+    const { registry } = registryWith({
+      spotify: { candidates: [] },
+      apple: { candidates: [{ audioUrl: 'https://apple/other.m4a', title: 'Other Song', artist: 'A' }] },
+      deezer: { candidates: [{ audioUrl: 'https://dz/1.mp3', title: 'T', artist: 'A' }, { audioUrl: 'https://dz/own.mp3', exact: true }] }
+    });
+    const attempts = [];
+    const score = (query, c) => ({ score: c.title === query.trackName ? 0.9 : 0.2 });
+    const found = await acquirePreview(['spotify', 'apple', 'deezer'], { artistName: 'A', trackName: 'T' }, {
+      registry, score, minScore: 0.7, onAttempt: a => attempts.push([a.provider, a.outcome, a.bestScore])
+    });
+    expect(found).toMatchObject({ audioUrl: 'https://dz/own.mp3', provider: 'deezer', match: { score: 1, exact: true } });
+    expect(attempts).toEqual([['spotify', 'miss', undefined], ['apple', 'rejected', 0.2], ['deezer', 'hit', 1]]);
+  });
+});
@@ -0,0 +1,50 @@
+const { createProgressHub, formatSseEvent } = require('../progress-events');
+
+describe('progress-events', () => {
+  test('replays buffered events to late subscribers, then streams live ones', () => {
+    const hub = createProgressHub();
+    hub.publish('corr-1', 'token_status', { spotifyTokenStatus: 'acquired' });
+    hub.publish('corr-1', 'tracks_found', { total: 12 });
+    hub.publish('other', 'tracks_found', { total: 3 });
+
+    const seen = [];
+    const unsubscribe = hub.subscribe('corr-1', e => seen.push(e));
+    hub.publish('corr-1', 'round_start', { round: 1, tracks: 10 });
+    unsubscribe();
+    hub.publish('corr-1', 'round_complete', { round: 1 });
+
+    expect(seen.map(e => [e.id, e.type])).toEqual([[1, 'token_status'], [2, 'tracks_found'], [3, 'round_start']]);
+    expect(hub.stats()).toEqual({ channels: 2, subscribers: 0 });
+  });
+
+  test('resumes after Last-Event-ID and tracks terminal events', () => {
+    const hub = createProgressHub();
+    for (let i = 0; i < 4; i++) hub.publish('corr-2', 'track_analyzed', { index: i + 1 });
+    const seen = [];
+    hub.subscribe('corr-2', e => seen.push(e.data.index), { lastEventId: 2 });
+    expect(seen).toEqual([3, 4]);
+    expect(hub.isFinished('corr-2')).toBe(false);
+    hub.publish('corr-2', 'complete', { success: true });
+    expect(hub.isFinished('corr-2')).toBe(true);
+    expect(hub.isFinished('unknown')).toBe(false);
+  });
+
+  test('bounds the replay buffer and drops finished channels after the retention window', () => {
+    let clock = 0;
+    const hub = createProgressHub({ replayLimit: 2, retainMs: 1000, now: () => clock });
+    ['a', 'b', 'c'].forEach(type => hub.publish('k', type));
+    const seen = [];
+    const unsubscribe = hub.subscribe('k', e => seen.push(e.type));
+    expect(seen).toEqual(['b', 'c']);
+    unsubscribe();
+    hub.publish('k', 'complete');
+    clock = 5000;
+    hub.publish('fresh', 'token_status');
+    expect(hub.stats().channels).toBe(1);
+  });
+
+  test('formats text/event-stream frames', () => {
+    const frame = formatSseEvent({ id: 7, type: 'round_start', ts: '2026-01-01T00:00:00.000Z', data: { round: 2 } });
+    expect(frame).toBe('id: 7\nevent: round_start\ndata: {"round":2,"ts":"2026-01-01T00:00:00.000Z"}\n\n');
+  });
+});
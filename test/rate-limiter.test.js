@@ -0,0 +1,93 @@
+const { UpstreamRateLimitError, parseRetryAfter, createTokenBucket, createUpstreamLimiter } = require('../rate-limiter');
+
+// Virtual clock: sleeping advances time instantly
+function fakeClock() {
+  let t = 0;
+  return {
+    now: () => t,
+    sleep: async ms => { t += ms; },
+    advance: ms => { t += ms; }
+  };
+}
+
+function response(status, headers = {}) {
+  return { status, ok: status >= 200 && status < 300, headers: { get: name => headers[name.toLowerCase()] ?? null } };
+}
+
+describe('rate-limiter', () => {
+  test('parses Retry-After seconds and HTTP dates', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter('0.5')).toBe(500);
+    expect(parseRetryAfter(new Date(10000).toUTCString(), 4000)).toBe(6000);
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+
+  test('token bucket allows a burst, then spaces calls at the configured rate', async () => {
+    const clock = fakeClock();
+    const bucket = createTokenBucket('itunes', { perMinute: 20, burst: 2 }, clock);
+    const grantedAt = [];
+    for (let i = 0; i < 4; i++) {
+      await bucket.acquire();
+      grantedAt.push(clock.now());
+    }
+    expect(grantedAt).toEqual([0, 0, 3000, 6000]);
+    expect(bucket.stats()).toMatchObject({ granted: 4, delayed: 2, waitedMs: 6000, waiting: 0 });
+  });
+
+  test('a pause longer than the caller may wait fails fast', async () => {
+    const clock = fakeClock();
+    const bucket = createTokenBucket('spotify', { perMinute: 600, burst: 5 }, { ...clock, maxWaitMs: 10000 });
+    bucket.pause(3600 * 1000);
+    await expect(bucket.acquire()).rejects.toBeInstanceOf(UpstreamRateLimitError);
+    expect(bucket.stats()).toMatchObject({ rateLimited: 1, rejected: 1, pausedForMs: 3600 * 1000 });
+  });
+
+  test('a caller queued behind an exhausted budget for longer than maxWaitMs fails fast', async () => {
+    const clock = fakeClock();
+    const bucket = createTokenBucket('itunes', { perMinute: 20, burst: 2 }, { ...clock, maxWaitMs: 10000 });
+    // 3s per token: the 2-token burst, then tokens at 3s, 6s and 9s; the sixth caller would get one at 12s
+    const outcomes = await Promise.all([...Array(6)].map(() => bucket.acquire().then(() => 'granted', e => e)));
+    expect(outcomes.slice(0, 5)).toEqual(Array(5).fill('granted'));
+    expect(bucket.stats().waitedMs).toBe(3000 + 6000 + 9000);
+    expect(outcomes[5]).toBeInstanceOf(UpstreamRateLimitError);
+    expect(outcomes[5]).toMatchObject({ provider: 'itunes', code: 'UPSTREAM_RATE_LIMITED' });
+    expect(bucket.stats()).toMatchObject({ granted: 5, rejected: 1, waiting: 0 });
+
+    // The rejected caller did not use up a token: the next one gets the 12s token
+    await bucket.acquire();
+    expect(clock.now()).toBe(12000);
+  });
+
+  test('honours Retry-After on 429 and retries the request', async () => {
+    const clock = fakeClock();
+    const calls = [];
+    const replies = [response(429, { 'retry-after': '4' }), response(200)];
+    const limited = [];
+    const upstream = createUpstreamLimiter({}, {
+      ...clock,
+      fetch: async url => { calls.push([url, clock.now()]); return replies.shift(); },
+      onRateLimited: info => limited.push(info)
+    });
+    const resp = await upstream.fetch('deezer', 'https://api.deezer.com/search?q=x');
+    expect(resp.status).toBe(200);
+    expect(calls.map(c => c[1])).toEqual([0, 4000]);
+    expect(limited).toEqual([{ provider: 'deezer', attempt: 1, retryAfterMs: 4000, fromHeader: true }]);
+    expect(upstream.stats().deezer).toMatchObject({ rateLimited: 1, granted: 2 });
+  });
+
+  test('gives the 429 back after the retry budget and honours env overrides', async () => {
+    const clock = fakeClock();
+    let calls = 0;
+    const upstream = createUpstreamLimiter({ RATE_LIMIT_YOUTUBE_PER_MIN: '6' }, {
+      ...clock,
+      maxRetries: 1,
+      fetch: async () => { calls++; return response(429); }
+    });
+    const resp = await upstream.fetch('youtube', 'https://www.googleapis.com/youtube/v3/search');
+    expect(resp.status).toBe(429);
+    expect(calls).toBe(2);
+    expect(upstream.stats().youtube.perMinute).toBe(6);
+    await expect(upstream.fetch('soundcloud', 'https://x')).rejects.toThrow(/Unknown upstream provider/);
+  });
+});
@@ -0,0 +1,38 @@
+const { segmentClip, movingAverage } = require('../segmentation');
+
+function curve(sections, hop = 0.1) {
+  const times = [], loudness = [];
+  let t = 0;
+  for (const { seconds, from, to } of sections) {
+    const n = Math.round(seconds / hop);
+    for (let i = 0; i < n; i++) { times.push(+t.toFixed(3)); loudness.push(from + ((to - from) * i) / n); t += hop; }
+  }
+  return { times, loudness_db: loudness, hop_seconds: hop };
+}
+
+describe('segmentation', () => {
+  test('labels intro, build, drop and breakdown sections', () => {
+    const segments = segmentClip(curve([
+      { seconds: 6, from: -20, to: -20 },
+      { seconds: 6, from: -16, to: -10 },
+      { seconds: 10, from: -6, to: -6 },
+      { seconds: 8, from: -18, to: -18 }
+    ]));
+    expect(segments.map(s => s.label)).toEqual(['intro', 'build', 'drop', 'breakdown']);
+    expect(segments[0].start).toBe(0);
+    expect(segments[2].start).toBeGreaterThan(11);
+    expect(segments[2].start).toBeLessThan(13);
+  });
+
+  test('snaps boundaries to the nearest beat and keeps flat clips whole', () => {
+    const c = curve([{ seconds: 10, from: -20, to: -20 }, { seconds: 10, from: -6, to: -6 }]);
+    const snapped = segmentClip(c, { beats: [9.5, 10.24, 11] });
+    expect(snapped.map(s => s.start)).toEqual([0, 10.24]);
+    expect(segmentClip(curve([{ seconds: 20, from: -8, to: -8 }]))).toHaveLength(1);
+    expect(segmentClip({ times: [], loudness_db: [], hop_seconds: 0.1 })).toEqual([]);
+  });
+
+  test('movingAverage smooths with a centred window', () => {
+    expect(movingAverage([0, 3, 0, 3], 1)).toEqual([1.5, 1, 2, 1.5]);
+  });
+});
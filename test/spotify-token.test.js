@@ -0,0 +1,64 @@
+const { SpotifyCredentialsError, createSpotifyTokenManager } = require('../spotify-token');
+
+function tokenResponse(accessToken, expiresIn = 3600) {
+  return { ok: true, status: 200, json: async () => ({ access_token: accessToken, token_type: 'Bearer', expires_in: expiresIn }) };
+}
+
+describe('spotify-token', () => {
+  test('caches the token and refreshes it shortly before expiry', async () => {
+    let t = 0;
+    const requests = [];
+    const manager = createSpotifyTokenManager({
+      clientId: 'id',
+      clientSecret: 'secret',
+      now: () => t,
+      fetch: async (url, opts) => { requests.push(opts.headers.Authorization); return tokenResponse(`tok-${requests.length}`); }
+    });
+
+    expect(await manager.getToken()).toBe('tok-1');
+    t = 50 * 60 * 1000;
+    expect(await manager.getToken()).toBe('tok-1');
+    t = 56 * 60 * 1000; // inside the 5 minute margin
+    expect(await manager.getToken()).toBe('tok-2');
+    expect(requests).toEqual([`Basic ${Buffer.from('id:secret').toString('base64')}`, expect.any(String)]);
+    expect(manager.status()).toMatchObject({ configured: true, hasToken: true, expiresInSec: 3600, refreshes: 2, requests: 3, lastError: null });
+  });
+
+  test('coalesces concurrent refreshes into one request', async () => {
+    let calls = 0;
+    let release;
+    const manager = createSpotifyTokenManager({
+      clientId: 'id',
+      clientSecret: 'secret',
+      fetch: () => { calls++; return new Promise(resolve => { release = () => resolve(tokenResponse('shared')); }); }
+    });
+    const pending = [manager.getToken(), manager.getToken(), manager.getToken()];
+    expect(manager.status().refreshing).toBe(true);
+    release();
+    expect(await Promise.all(pending)).toEqual(['shared', 'shared', 'shared']);
+    expect(calls).toBe(1);
+  });
+
+  test('keeps a still-valid token when a refresh fails, and reports the failure', async () => {
+    let t = 0;
+    const replies = [tokenResponse('tok-1'), { ok: false, status: 503, json: async () => ({}) }, { ok: false, status: 400, json: async () => ({ error: 'invalid_client', error_description: 'Invalid client' }) }];
+    const manager = createSpotifyTokenManager({ clientId: 'id', clientSecret: 'secret', now: () => t, fetch: async () => replies.shift() });
+    await manager.getToken();
+    t = 58 * 60 * 1000;
+    expect(await manager.getToken()).toBe('tok-1');
+    expect(manager.status()).toMatchObject({ failures: 1, lastError: 'Spotify token request failed: HTTP 503' });
+    t = 61 * 60 * 1000; // expired: the failure now surfaces
+    await expect(manager.getToken()).rejects.toThrow('Spotify token request failed: HTTP 400 (Invalid client)');
+    expect(manager.status().hasToken).toBe(false);
+  });
+
+  test('fails clearly when credentials are not configured', async () => {
+    const fetch = jest.fn();
+    const manager = createSpotifyTokenManager({ clientId: 'id', clientSecret: undefined, fetch });
+    expect(manager.configured).toBe(false);
+    await expect(manager.getToken()).rejects.toThrow(SpotifyCredentialsError);
+    await expect(manager.getToken()).rejects.toThrow('missing SPOTIFY_CLIENT_SECRET');
+    expect(fetch).not.toHaveBeenCalled();
+    expect(manager.status()).toMatchObject({ configured: false, missing: ['SPOTIFY_CLIENT_SECRET'], hasToken: false });
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../rate-limiter', () => ({ upstreamFetch: jest.fn() }));
+const { upstreamFetch } = require('../rate-limiter');
+const { parseBeatportPage, parseBandcampSearch, parseBandcampTrack, searchBeatport, searchBandcamp } = require('../store-previews');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const page = html => ({ ok: true, status: 200, text: async () => html });
+
+describe('store-previews', () => {
+  beforeEach(() => upstreamFetch.mockReset());
+
+  test('parses Beatport search results from __NEXT_DATA__', () => {
+    const candidates = parseBeatportPage(fixture('beatport-search.html'));
+    expect(candidates).toHaveLength(3);
+    expect(candidates[0]).toEqual({
+      audioUrl: 'https://geo-samples.beatport.com/track/4b1a2c3d-atlas.LOFI.mp3',
+      source: 'beatport',
+      title: 'Atlas (Original Mix)',
+      artist: ['Lane 8'],
+      durationMs: 412000,
+      isrc: 'GBKPL2100101',
+      metadata: { beatportId: 17000001, pageUrl: 'https://www.beatport.com/track/atlas/17000001' }
+    });
+    expect(candidates[1].title).toBe('Atlas (Extended Mix)');
+    expect(candidates[2]).toMatchObject({ audioUrl: null, artist: ['Lane 8', 'Kidnap'], metadata: { pageUrl: 'https://www.beatport.com/track/road/17000003' } });
+  });
+
+  test('parses a Beatport track page', () => {
+    expect(parseBeatportPage(fixture('beatport-track.html'))).toEqual([expect.objectContaining({
+      audioUrl: 'https://geo-samples.beatport.com/track/6d3c4e5f-road.LOFI.mp3',
+      title: 'Road (Original Mix)',
+      artist: ['Lane 8', 'Kidnap'],
+      durationMs: 389000,
+      isrc: 'GBKPL2100102'
+    })]);
+    expect(parseBeatportPage('<html><body>blocked</body></html>')).toEqual([]);
+  });
+
+  test('parses Bandcamp search results, keeping tracks only', () => {
+    expect(parseBandcampSearch(fixture('bandcamp-search.html'))).toEqual([
+      { url: 'https://somewhere.bandcamp.com/track/northern-lights', title: 'Northern Lights', artist: 'Somewhere & Elsewhere' },
+      { url: 'https://othertapes.bandcamp.com/track/northern-lights-dub', title: 'Northern Lights (Dub)', artist: 'Other Tapes' }
+    ]);
+  });
+
+  test('parses the stream URL from a Bandcamp track page', () => {
+    const [track] = parseBandcampTrack(fixture('bandcamp-track.html'), 'https://somewhere.bandcamp.com/track/northern-lights');
+    expect(track).toEqual({
+      audioUrl: 'https://t4.bcbits.com/stream/0a1b2c3d4e5f/mp3-128/3141592653?p=0&ts=1767312000&t=9f8e7d6c5b4a&token=1767312000_0123456789abcdef',
+      source: 'bandcamp',
+      title: 'Northern Lights',
+      artist: 'Somewhere & Elsewhere',
+      durationMs: 401280,
+      isrc: 'DEA622300001',
+      metadata: { bandcampTrackId: 3141592653, pageUrl: 'https://somewhere.bandcamp.com/track/northern-lights' }
+    });
+    expect(parseBandcampTrack('<html></html>')).toEqual([]);
+  });
+
+  test('opens Beatport track pages only for accepted results without a sample', async () => {
+    upstreamFetch.mockImplementation(async (provider, url) => page(fixture(url.includes('/track/') ? 'beatport-track.html' : 'beatport-search.html')));
+    const found = await searchBeatport('Lane 8', 'Road', { accept: c => c.title.startsWith('Road') });
+    expect(found.map(c => c.title)).toEqual(['Atlas (Original Mix)', 'Atlas (Extended Mix)', 'Road (Original Mix)']);
+    expect(upstreamFetch.mock.calls.map(([provider, url]) => [provider, url])).toEqual([
+      ['beatport', 'https://www.beatport.com/search/tracks?q=Lane%208%20Road'],
+      ['beatport', 'https://www.beatport.com/track/road/17000003']
+    ]);
+  });
+
+  test('fetches Bandcamp track pages for accepted search results', async () => {
+    upstreamFetch.mockImplementation(async (provider, url) => page(fixture(url.includes('/search') ? 'bandcamp-search.html' : 'bandcamp-track.html')));
+    const found = await searchBandcamp('Somewhere', 'Northern Lights', { accept: r => r.artist === 'Somewhere & Elsewhere' });
+    expect(found).toHaveLength(1);
+    expect(upstreamFetch).toHaveBeenCalledTimes(2);
+    expect(upstreamFetch.mock.calls[1][1]).toBe('https://somewhere.bandcamp.com/track/northern-lights');
+
+    upstreamFetch.mockResolvedValueOnce({ ok: false, status: 403, text: async () => '' });
+    await expect(searchBandcamp('A', 'B')).rejects.toThrow(/HTTP 403/);
+  });
+});
@@ -0,0 +1,71 @@
+const { createPool, mapInOrder } = require('../task-pool');
+
+const tick = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('task-pool', () => {
+  test('never runs more than `concurrency` tasks at once', async () => {
+    const pool = createPool('network', 2);
+    let running = 0;
+    let peak = 0;
+    const task = async (v) => {
+      running++;
+      peak = Math.max(peak, running);
+      await tick(5);
+      running--;
+      return v * 2;
+    };
+    const results = await Promise.all([1, 2, 3, 4, 5].map(v => pool.run(() => task(v))));
+    expect(results).toEqual([2, 4, 6, 8, 10]);
+    expect(peak).toBe(2);
+    expect(pool.stats()).toEqual({ name: 'network', concurrency: 2, active: 0, queued: 0, completed: 5 });
+  });
+
+  test('propagates task errors without stalling the queue', async () => {
+    const pool = createPool('analysis', 1);
+    const failed = pool.run(async () => { throw new Error('decode failed'); });
+    const next = pool.run(async () => 'ok');
+    await expect(failed).rejects.toThrow('decode failed');
+    await expect(next).resolves.toBe('ok');
+  });
+
+  test('priority tasks jump the queue', async () => {
+    const pool = createPool('network', 1);
+    const order = [];
+    const blocker = pool.run(() => tick(5));
+    const jobs = [
+      pool.run(async () => order.push('lookup-1')),
+      pool.run(async () => order.push('lookup-2')),
+      pool.run(async () => order.push('download'), { priority: true })
+    ];
+    await Promise.all([blocker, ...jobs]);
+    expect(order).toEqual(['download', 'lookup-1', 'lookup-2']);
+  });
+
+  test('mapInOrder reports results in input order as each prefix completes', async () => {
+    const delays = [30, 5, 15, 1];
+    const emitted = [];
+    const results = await mapInOrder(delays, async (ms, i) => { await tick(ms); return `t${i}`; }, (r, i) => emitted.push([i, r]));
+    expect(results).toEqual(['t0', 't1', 't2', 't3']);
+    expect(emitted).toEqual([[0, 't0'], [1, 't1'], [2, 't2'], [3, 't3']]);
+    expect(await mapInOrder([], async () => 1)).toEqual([]);
+  });
+
+  test('mapInOrder keeps at most `limit` items in flight', async () => {
+    let running = 0;
+    let peak = 0;
+    const started = [];
+    const emitted = [];
+    const results = await mapInOrder([20, 1, 10, 1, 5], async (ms, i) => {
+      started.push(i);
+      running++;
+      peak = Math.max(peak, running);
+      await tick(ms);
+      running--;
+      return i;
+    }, (r) => emitted.push(r), { limit: 2 });
+    expect(peak).toBe(2);
+    expect(started).toEqual([0, 1, 2, 3, 4]);
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(emitted).toEqual([0, 1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,58 @@
+const { DEFAULT_MATCH_THRESHOLD, normalizeIsrc, normalizeTitle, versionMarkers, scoreMatch, rankCandidates } = require('../track-matcher');
+
+describe('track-matcher', () => {
+  const requested = { trackName: 'Strobe', artistName: 'deadmau5', durationMs: 637000 };
+
+  test('normalizes titles and detects version markers', () => {
+    expect(normalizeTitle('Ghosts \'n\' Stuff (feat. Rob Swire) [Radio Edit]')).toBe('ghosts n stuff');
+    expect(normalizeTitle('Opus - Four Tet Remix')).toBe('opus');
+    expect(normalizeTitle('Café del Mar')).toBe('cafe del mar');
+    expect(versionMarkers('Strobe (Original Mix)')).toEqual([]);
+    expect(versionMarkers('Strobe - Club Mix')).toEqual(['mix']);
+    expect(versionMarkers('Opus (Four Tet Remix)')).toEqual(['remix']);
+    expect(versionMarkers('Strobe (Live at Red Rocks)')).toEqual(['live']);
+  });
+
+  test('scores the same recording near 1', () => {
+    const match = scoreMatch(requested, { title: 'Strobe (Original Mix)', artist: 'Deadmau5', durationMs: 636500 });
+    expect(match.score).toBeGreaterThan(0.95);
+    expect(match).toMatchObject({ title: 1, artist: 1, duration: 1, version: 1 });
+  });
+
+  test('accepts featured-artist and punctuation variants', () => {
+    const match = scoreMatch(
+      { trackName: 'Titanium', artistName: ['David Guetta', 'Sia'], durationMs: 245000 },
+      { title: 'Titanium (feat. Sia)', artist: 'David Guetta feat. Sia', durationMs: 245040 }
+    );
+    expect(match.score).toBeGreaterThanOrEqual(DEFAULT_MATCH_THRESHOLD);
+  });
+
+  test('rejects a different song by the same artist, a cover and another version', () => {
+    expect(scoreMatch(requested, { title: 'Ghosts n Stuff', artist: 'deadmau5', durationMs: 300000 }).score).toBeLessThan(DEFAULT_MATCH_THRESHOLD);
+    expect(scoreMatch(requested, { title: 'Strobe', artist: 'Piano Tribute Players', durationMs: 240000 }).score).toBeLessThan(DEFAULT_MATCH_THRESHOLD);
+    expect(scoreMatch(requested, { title: 'Strobe (Club Edit)', artist: 'deadmau5', durationMs: 210000 }).score).toBeLessThan(DEFAULT_MATCH_THRESHOLD);
+    expect(scoreMatch(requested, { title: 'Strobe (Tommy Trash Remix)', artist: 'deadmau5', durationMs: 637000 }).score).toBeLessThan(DEFAULT_MATCH_THRESHOLD);
+  });
+
+  test('reweights without duration when either side lacks it', () => {
+    const match = scoreMatch({ trackName: 'Strobe', artistName: 'deadmau5' }, { title: 'Strobe', artist: 'deadmau5' });
+    expect(match).toMatchObject({ score: 1, duration: null });
+  });
+
+  test('ranks candidates best first and drops those under the threshold', () => {
+    const ranked = rankCandidates(requested, [
+      { title: 'Strobe (Radio Edit)', artist: 'deadmau5', durationMs: 200000 },
+      { title: 'Strobe', artist: 'deadmau5', durationMs: 650000 },
+      { title: 'Strobe', artist: 'deadmau5', durationMs: 637000 }
+    ]);
+    expect(ranked.map(r => r.candidate.durationMs)).toEqual([637000, 650000]);
+  });
+
+  test('normalizes ISRCs and rejects malformed ones', () => {
+    expect(normalizeIsrc('us-rc1-76-07839')).toBe('USRC17607839');
+    expect(normalizeIsrc('GBAYE0601498')).toBe('GBAYE0601498');
+    expect(normalizeIsrc('USRC1760783')).toBeNull();
+    expect(normalizeIsrc('1SRC17607839')).toBeNull();
+    expect(normalizeIsrc(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,136 @@
+const http = require('http');
+const nodeFetch = require('node-fetch');
+const { signPayload, verifySignature, isBlockedAddress, guardedLookup, parseCallback, deliverWebhook } = require('../webhook-delivery');
+
+function fakeFetch(statuses) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, ...init });
+    const status = statuses[calls.length - 1];
+    if (status instanceof Error) throw status;
+    return { status, ok: status >= 200 && status < 300 };
+  };
+  return { fetch, calls };
+}
+
+describe('webhook-delivery', () => {
+  test('signs the timestamped body and verifies it', () => {
+    const sig = signPayload('{"a":1}', 'shh', '1700000000000');
+    expect(sig).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(verifySignature('{"a":1}', 'shh', '1700000000000', sig)).toBe(true);
+    expect(verifySignature('{"a":2}', 'shh', '1700000000000', sig)).toBe(false);
+    expect(verifySignature('{"a":1}', 'shh', '1700000000001', sig)).toBe(false);
+  });
+
+  test('validates callback parameters', () => {
+    expect(parseCallback({})).toEqual({ callback: null });
+    expect(parseCallback({ callbackUrl: 'https://hooks.example.com/done', callbackSecret: 's' }).callback)
+      .toEqual({ callbackUrl: 'https://hooks.example.com/done', callbackSecret: 's' });
+    expect(parseCallback({ callbackUrl: 'ftp://x/y' }).error).toMatch(/http/);
+    expect(parseCallback({ callbackUrl: 'not a url' }).error).toMatch(/http/);
+    expect(parseCallback({ callbackUrl: 'http://x', callbackSecret: 42 }).error).toMatch(/string/);
+  });
+
+  test('retries with exponential backoff until accepted and records attempts', async () => {
+    const { fetch, calls } = fakeFetch([new Error('ECONNRESET'), 503, 200]);
+    const delays = [];
+    const recorded = [];
+    const payload = { event: 'batch.completed', correlationId: 'corr-9', data: { ok: true } };
+    const outcome = await deliverWebhook({ callbackUrl: 'http://hook', callbackSecret: 'shh' }, payload, {
+      fetch, baseDelayMs: 100, sleep: async ms => delays.push(ms), onAttempt: a => recorded.push(a)
+    });
+    expect(outcome.delivered).toBe(true);
+    expect(outcome.attempts.map(a => a.status)).toEqual([null, 503, 200]);
+    expect(outcome.attempts[0].error).toBe('ECONNRESET');
+    expect(recorded).toHaveLength(3);
+    expect(delays).toEqual([100, 200]);
+    const last = calls[2];
+    expect(last.method).toBe('POST');
+    expect(last.headers['x-correlation-id']).toBe('corr-9');
+    expect(last.headers['x-tiko-delivery-attempt']).toBe('3');
+    expect(verifySignature(last.body, 'shh', last.headers['x-tiko-timestamp'], last.headers['x-tiko-signature'])).toBe(true);
+  });
+
+  test('stops on a non-retryable rejection and leaves unsigned callbacks unsigned', async () => {
+    const { fetch, calls } = fakeFetch([410, 200]);
+    const outcome = await deliverWebhook({ callbackUrl: 'http://hook' }, { event: 'x' }, { fetch, sleep: async () => {} });
+    expect(outcome).toMatchObject({ delivered: false, attempts: [{ status: 410 }] });
+    expect(calls).toHaveLength(1);
+    expect(calls[0].headers['x-tiko-signature']).toBeUndefined();
+  });
+
+  test('gives up after maxAttempts', async () => {
+    const { fetch } = fakeFetch([500, 500, 500]);
+    const outcome = await deliverWebhook({ callbackUrl: 'http://hook' }, { event: 'x' }, { fetch, maxAttempts: 3, sleep: async () => {} });
+    expect(outcome.delivered).toBe(false);
+    expect(outcome.attempts).toHaveLength(3);
+  });
+
+  test('rejects callback URLs aimed at private, loopback and link-local addresses', () => {
+    const blocked = [
+      'http://127.0.0.1:3000/admin',
+      'http://localhost/hook',
+      'http://api.localhost/hook',
+      'http://2130706433/', // 127.0.0.1 in decimal
+      'http://0x7f.1/', // 127.0.0.1 in hex shorthand
+      'http://10.0.0.5/hook',
+      'http://172.16.3.4/hook',
+      'http://192.168.1.1/hook',
+      'http://169.254.169.254/latest/meta-data/', // cloud metadata
+      'http://100.64.0.1/hook',
+      'http://0.0.0.0/hook',
+      'http://[::1]/hook',
+      'http://[fe80::1]/hook',
+      'http://[fd00::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook'
+    ];
+    for (const callbackUrl of blocked) {
+      expect(parseCallback({ callbackUrl }).error).toMatch(/private, loopback or link-local/);
+    }
+    expect(parseCallback({ callbackUrl: 'http://93.184.216.34/hook' }).callback).toBeTruthy();
+    expect(isBlockedAddress('172.32.0.1')).toBe(false);
+    expect(isBlockedAddress('2606:4700::1111')).toBe(false);
+  });
+
+  test('enforces the host allow-list when one is configured', () => {
+    const policy = { allowedHosts: ['hooks.example.com'] };
+    expect(parseCallback({ callbackUrl: 'https://hooks.example.com/done' }, policy).callback).toBeTruthy();
+    expect(parseCallback({ callbackUrl: 'https://eu.hooks.example.com/done' }, policy).callback).toBeTruthy();
+    expect(parseCallback({ callbackUrl: 'https://evil.com/done' }, policy).error).toMatch(/not allowed/);
+    expect(parseCallback({ callbackUrl: 'https://hooks.example.com.evil.com/done' }, policy).error).toMatch(/not allowed/);
+  });
+
+  test('refuses to connect when a hostname resolves to a blocked address', (done) => {
+    guardedLookup('localhost', {}, (err) => {
+      expect(err.code).toBe('ECALLBACKBLOCKED');
+      guardedLookup('localhost', { all: true }, (err2) => {
+        expect(err2.code).toBe('ECALLBACKBLOCKED');
+        done();
+      });
+    });
+  });
+
+  test('a delivery to a host that resolves internally never reaches it and is not retried', async () => {
+    let hits = 0;
+    const server = http.createServer((req, res) => { hits++; res.end('ok'); });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      // As if the URL had been accepted and its DNS later re-pointed at this host
+      const callbackUrl = `http://localhost:${server.address().port}/hook`;
+      const outcome = await deliverWebhook({ callbackUrl }, { event: 'x' }, { fetch: nodeFetch, sleep: async () => {} });
+      expect(outcome.delivered).toBe(false);
+      expect(outcome.attempts).toHaveLength(1);
+      expect(outcome.attempts[0]).toMatchObject({ status: null, blocked: true, error: expect.stringMatching(/resolves to/) });
+      expect(hits).toBe(0);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('does not follow redirects', async () => {
+    const { fetch, calls } = fakeFetch([302]);
+    const outcome = await deliverWebhook({ callbackUrl: 'https://hooks.example.com/done' }, { event: 'x' }, { fetch, sleep: async () => {} });
+    expect(calls[0].redirect).toBe('manual');
+    expect(outcome).toMatchObject({ delivered: false, attempts: [{ status: 302 }] });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * TRACK MATCHING
+ * Scores how likely a preview candidate (an iTunes/Deezer/Spotify search
+ * result) is the requested track, from normalized title similarity, artist
+ * similarity, duration difference and version markers (remix, live, edit...).
+ * Scores are 0-1; candidates below PREVIEW_MATCH_THRESHOLD are rejected so a
+ * different song is never analyzed under the requested track's name.
+ */
+
+const DEFAULT_MATCH_THRESHOLD = 0.7;
+const WEIGHTS = { title: 0.5, artist: 0.3, duration: 0.1, version: 0.1 };
+// Below either floor the candidate is a different song (or a cover), whatever the other components say
+const MIN_TITLE = 0.6;
+const MIN_ARTIST = 0.5;
+// A different version (remix offered for the original, original for a live take...) stays under the default threshold
+const MAX_SCORE_OTHER_VERSION = 0.6;
+const DURATION_TOLERANCE_SEC = 3;
+const DURATION_MAX_DIFF_SEC = 30;
+
+// Marker -> pattern; "original mix" and remaster tags are the same recording, so they are not markers
+const VERSION_MARKERS = {
+  remix: /\b(re-?mix(es)?|rmx|rework|bootleg|flip)\b/,
+  live: /\blive\b/,
+  edit: /\bedit\b/,
+  extended: /\bextended\b/,
+  acoustic: /\bacoustic\b/,
+  instrumental: /\binstrumental\b/,
+  vip: /\bvip\b/,
+  dub: /\bdub\b/,
+  mix: /\b(?!original\b)\w+ mix\b/
+};
+// ISRC: country (2 letters), registrant (3 alphanumerics), year (2 digits), designation (5 digits)
+const ISRC_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/;
+const SUFFIX_WORDS = /\b(mix|remix|edit|version|remaster(ed)?|live|extended|acoustic|instrumental|vip|dub|rework|bootleg)\b/;
+
+function fold(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ');
+}
+
+// Canonical ISRC (upper case, no hyphens or spaces), or null when the value is not one
+function normalizeIsrc(value) {
+  if (typeof value !== 'string') return null;
+  const isrc = value.replace(/[\s-]/g, '').toUpperCase();
+  return ISRC_PATTERN.test(isrc) ? isrc : null;
+}
+
+function versionMarkers(title) {
+  const text = fold(title).replace(/\boriginal mix\b/g, '');
+  return Object.keys(VERSION_MARKERS).filter(marker => VERSION_MARKERS[marker].test(text));
+}
+
+// Title without featured artists, bracketed descriptors, version suffixes and punctuation
+function normalizeTitle(title) {
+  let text = fold(title)
+    .replace(/[([][^)\]]*[)\]]/g, ' ')
+    .replace(/\b(feat|ft|featuring)\.?\s.*$/, ' ');
+  const dash = text.indexOf(' - ');
+  if (dash !== -1 && SUFFIX_WORDS.test(text.slice(dash + 3))) text = text.slice(0, dash);
+  return text.replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function normalizeArtist(name) {
+  return fold(name).replace(/^the\s+/, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function splitArtists(value) {
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .flatMap(name => fold(name).split(/,|;|\s(?:and|x|vs\.?|feat\.?|ft\.?|featuring|with)\s/))
+    .map(normalizeArtist)
+    .filter(Boolean);
+}
+
+function bigrams(text) {
+  const compact = text.replace(/\s+/g, '');
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return { grams, size: Math.max(0, compact.length - 1) };
+}
+
+// Sørensen–Dice coefficient over character bigrams of already-normalized strings
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const A = bigrams(a);
+  const B = bigrams(b);
+  if (A.size === 0 || B.size === 0) return 0;
+  let overlap = 0;
+  for (const [gram, count] of A.grams) overlap += Math.min(count, B.grams.get(gram) || 0);
+  return (2 * overlap) / (A.size + B.size);
+}
+
+function artistSimilarity(requested, candidate) {
+  const wanted = splitArtists(requested);
+  const offered = splitArtists(candidate);
+  const offeredFull = normalizeArtist(Array.isArray(candidate) ? candidate.join(' ') : candidate);
+  let best = 0;
+  for (const name of wanted) {
+    if (offeredFull === name || (` ${offeredFull} `).includes(` ${name} `)) return 1;
+    for (const other of offered) best = Math.max(best, similarity(name, other));
+  }
+  return best;
+}
+
+function durationScore(requestedMs, candidateMs) {
+  if (!(requestedMs > 0) || !(candidateMs > 0)) return null;
+  const diff = Math.abs(requestedMs - candidateMs) / 1000;
+  if (diff <= DURATION_TOLERANCE_SEC) return 1;
+  return Math.max(0, 1 - (diff - DURATION_TOLERANCE_SEC) / (DURATION_MAX_DIFF_SEC - DURATION_TOLERANCE_SEC));
+}
+
+function versionScore(requestedTitle, candidateTitle) {
+  const wanted = versionMarkers(requestedTitle);
+  const offered = versionMarkers(candidateTitle);
+  const extra = offered.filter(m => !wanted.includes(m)).length; // e.g. a remix offered for the original
+  const missing = wanted.filter(m => !offered.includes(m)).length; // e.g. the original offered for a remix
+  if (!extra && !missing) return 1;
+  return extra ? 0.2 : 0.4;
+}
+
+/**
+ * @param {{ trackName: string, artistName: string|string[], durationMs?: number }} requested
+ * @param {{ title: string, artist: string|string[], durationMs?: number }} candidate
+ * @returns {{ score: number, title: number, artist: number, duration: number|null, version: number }}
+ */
+function scoreMatch(requested, candidate) {
+  const title = similarity(normalizeTitle(requested.trackName), normalizeTitle(candidate.title));
+  const artist = artistSimilarity(requested.artistName, candidate.artist);
+  const duration = durationScore(requested.durationMs, candidate.durationMs);
+  const version = versionScore(requested.trackName, candidate.title);
+  const parts = { title, artist, version, ...(duration === null ? {} : { duration }) };
+  let weight = 0;
+  let total = 0;
+  for (const [key, value] of Object.entries(parts)) {
+    weight += WEIGHTS[key];
+    total += WEIGHTS[key] * value;
+  }
+  let score = total / weight;
+  if (title < MIN_TITLE || artist < MIN_ARTIST) score = Math.min(score, title, artist);
+  if (version < 1) score = Math.min(score, MAX_SCORE_OTHER_VERSION);
+  const round = v => +v.toFixed(3);
+  return { score: round(score), title: round(title), artist: round(artist), duration: duration === null ? null : round(duration), version: round(version) };
+}
+
+// Candidates scored against the request, best first, without those under the threshold
+function rankCandidates(requested, candidates, threshold = DEFAULT_MATCH_THRESHOLD) {
+  return candidates
+    .map(candidate => ({ candidate, match: scoreMatch(requested, candidate) }))
+    .filter(({ match }) => match.score >= threshold)
+    .sort((a, b) => b.match.score - a.match.score);
+}
+
+module.exports = {
+  DEFAULT_MATCH_THRESHOLD,
+  normalizeIsrc,
+  normalizeTitle,
+  versionMarkers,
+  artistSimilarity,
+  scoreMatch,
+  rankCandidates
+};
@@ -0,0 +1,50 @@
+/**
+ * WASM SCOPE
+ * Essentia.js vectors live on the WASM heap, outside the JS garbage collector:
+ * arrayToVector inputs, FrameGenerator frame lists, every frames.get(i) copy and
+ * every vector in an algorithm result stay allocated until .delete() is called.
+ * A scope collects them as they are created and frees them together, so a
+ * per-frame loop runs in constant WASM memory.
+ */
+
+function isHandle(value) {
+  return !!value && typeof value === 'object' && typeof value.delete === 'function';
+}
+
+function createWasmScope() {
+  const owned = [];
+  const scope = {
+    // Track one embind object; returns it
+    keep(handle) {
+      if (isHandle(handle)) owned.push(handle);
+      return handle;
+    },
+    // Track every embind object in an algorithm result; returns the result
+    out(result) {
+      if (result && typeof result === 'object') Object.values(result).forEach(scope.keep);
+      return result;
+    },
+    free() {
+      while (owned.length) {
+        const handle = owned.pop();
+        if (!handle.isDeleted()) handle.delete();
+      }
+    }
+  };
+  return scope;
+}
+
+// fn(scope) with everything it kept freed afterwards, also when it throws
+function withWasmScope(fn) {
+  const scope = createWasmScope();
+  try {
+    return fn(scope);
+  } finally {
+    scope.free();
+  }
+}
+
+module.exports = {
+  createWasmScope,
+  withWasmScope
+};
@@ -0,0 +1,152 @@
+/**
+ * WEBHOOK DELIVERY
+ * Completion callbacks for long-running endpoints. Callers pass `callbackUrl`
+ * (and optionally `callbackSecret`); the final response body is POSTed there as
+ * JSON. With a secret, requests carry
+ *   x-tiko-timestamp: <unix ms>
+ *   x-tiko-signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ * Network errors, 408/429 and 5xx responses are retried with exponential
+ * backoff; every attempt is reported to the caller-supplied recorder.
+ * Callback URLs are caller input, so they must not reach the service's own
+ * network: hosts that are (or resolve to) private, loopback or link-local
+ * addresses are refused, both when the URL is accepted and when each delivery
+ * connects, and redirects are not followed. An optional host allow-list
+ * narrows this further.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_MS = 2000; // 2s, 4s, 8s, 16s between attempts
+const DELIVERY_TIMEOUT_MS = 10000;
+const BLOCKED_HOST_ERROR = 'callbackUrl must not point at a private, loopback or link-local address';
+
+// Addresses a callback may never reach: this host, private networks, link-local (cloud metadata), CGNAT, multicast, reserved
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_RANGES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_RANGES.addSubnet(prefix, bits, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return BLOCKED_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Exact host or any subdomain of an allow-list entry
+function isAllowedHost(hostname, allowedHosts) {
+  return allowedHosts.some(entry => hostname === entry || hostname.endsWith(`.${entry}`));
+}
+
+// dns.lookup for delivery sockets: fails the connection when any resolved address is blocked,
+// so a hostname cannot be re-pointed at an internal address after the URL was accepted
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') [options, callback] = [{}, options];
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isBlockedAddress(a.address));
+    if (blocked) {
+      const error = new Error(`${BLOCKED_HOST_ERROR} (${hostname} resolves to ${blocked.address})`);
+      error.code = 'ECALLBACKBLOCKED';
+      return callback(error);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const guardedAgents = {
+  'http:': new http.Agent({ lookup: guardedLookup }),
+  'https:': new https.Agent({ lookup: guardedLookup })
+};
+
+function signPayload(body, secret, timestamp) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Receiver-side check (constant time); also used by tests
+function verifySignature(body, secret, timestamp, signature) {
+  const expected = Buffer.from(signPayload(body, secret, timestamp));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// { callbackUrl, callbackSecret } from a request body; error string when callbackUrl is unusable or not allowed.
+// allowedHosts (optional): only these hosts and their subdomains may receive callbacks
+function parseCallback(body = {}, { allowedHosts = [] } = {}) {
+  const { callbackUrl, callbackSecret } = body;
+  if (callbackUrl === undefined || callbackUrl === null || callbackUrl === '') return { callback: null };
+  let url;
+  try {
+    url = new URL(String(callbackUrl));
+  } catch (e) {
+    return { error: 'callbackUrl must be an absolute http(s) URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return { error: 'callbackUrl must be an absolute http(s) URL' };
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts.length > 0 && !isAllowedHost(hostname, allowedHosts)) return { error: 'callbackUrl host is not allowed' };
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || isBlockedAddress(hostname)) return { error: BLOCKED_HOST_ERROR };
+  if (callbackSecret !== undefined && typeof callbackSecret !== 'string') return { error: 'callbackSecret must be a string' };
+  return { callback: { callbackUrl: url.toString(), callbackSecret: callbackSecret || null } };
+}
+
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * POST payload to callbackUrl until it is accepted (2xx), rejected (non-retryable 4xx) or attempts run out.
+ * @param {{ callbackUrl: string, callbackSecret?: string|null }} callback
+ * @param {object} payload JSON body
+ * Connections go through guardedLookup unless opts.agent is given; redirects are returned, not followed.
+ * @param {{ fetch: Function, agent?: Function, maxAttempts?: number, baseDelayMs?: number, onAttempt?: Function, sleep?: Function }} opts
+ * @returns {Promise<{ delivered: boolean, attempts: object[] }>}
+ */
+async function deliverWebhook(callback, payload, opts) {
+  const maxAttempts = opts.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const baseDelayMs = opts.baseDelayMs !== undefined ? opts.baseDelayMs : DEFAULT_BASE_DELAY_MS;
+  const sleep = opts.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const agent = opts.agent || (parsedUrl => guardedAgents[parsedUrl.protocol]);
+  const body = JSON.stringify(payload);
+  const attempts = [];
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const timestamp = String(Date.now());
+    const headers = { 'Content-Type': 'application/json', 'x-tiko-timestamp': timestamp, 'x-tiko-delivery-attempt': String(attempt) };
+    if (payload.correlationId) headers['x-correlation-id'] = payload.correlationId;
+    if (callback.callbackSecret) headers['x-tiko-signature'] = signPayload(body, callback.callbackSecret, timestamp);
+    const t0 = Date.now();
+    let record;
+    try {
+      const resp = await opts.fetch(callback.callbackUrl, { method: 'POST', headers, body, timeout: DELIVERY_TIMEOUT_MS, agent, redirect: 'manual' });
+      record = { attempt, at: new Date(t0), status: resp.status, ok: resp.ok, durationMs: Date.now() - t0 };
+    } catch (e) {
+      record = { attempt, at: new Date(t0), status: null, ok: false, error: e.message, durationMs: Date.now() - t0 };
+      if (e.code === 'ECALLBACKBLOCKED') record.blocked = true;
+    }
+    attempts.push(record);
+    if (opts.onAttempt) await opts.onAttempt(record);
+    if (record.ok) return { delivered: true, attempts };
+    if (record.blocked || (record.status !== null && !isRetryable(record.status))) break;
+    if (attempt < maxAttempts) await sleep(baseDelayMs * Math.pow(2, attempt - 1));
+  }
+  return { delivered: false, attempts };
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  isBlockedAddress,
+  guardedLookup,
+  parseCallback,
+  deliverWebhook
+};